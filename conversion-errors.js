@@ -0,0 +1,164 @@
+/**
+ * Conversion Errors
+ *
+ * This module defines the errors conversions fail with, so callers can tell
+ * failures apart without parsing messages. Every error is a ConversionError
+ * with a stable `code`:
+ * - InvalidInputError (INVALID_INPUT): The document cannot be used - empty
+ *   HTML, an input or data file that cannot be read, invalid JSON data,
+ *   invalid Markdown front matter, a URL that is invalid or answers with an
+ *   HTTP error (`status`). Retrying does not help.
+ * - BrowserLaunchError (BROWSER_LAUNCH_FAILED): Chrome could not be started,
+ *   e.g. because it is missing or the machine is out of memory. Retrying
+ *   later or on another machine may help.
+ * - RenderTimeoutError (RENDER_TIMEOUT, NAVIGATION_TIMEOUT): The document took
+ *   longer than renderTimeout or navigationTimeout. A RenderLimitError, so
+ *   existing checks keep working. Retrying may help for slow resources.
+ * - RenderLimitError (HTML_TOO_LARGE, TOO_MANY_PAGES, PDF_TOO_LARGE): The
+ *   document exceeds a limit of render-limits.js. Retrying does not help.
+ * - ResourceBlockedError (RESOURCE_BLOCKED): Network isolation blocked the
+ *   document itself, e.g. a URL that is not on the allowlist (`url`, `reason`).
+ * - OutputWriteError (OUTPUT_WRITE_FAILED): The PDF could not be written to its
+ *   `outputPath` ('-' for stdout), e.g. a missing directory or a full disk.
+ *
+ * The error that caused a failure, if any, is kept as `cause`. Invalid
+ * options and unexpected failures remain plain errors.
+ *
+ * The command line exits with a distinct code for each kind of failure (see
+ * EXIT_CODES), so scripts can decide whether to retry.
+ *
+ * @example
+ * try {
+ *   await convertHTMLToPDF(html, 'output.pdf');
+ * } catch (error) {
+ *   if (error instanceof BrowserLaunchError) { ... } // Retry later
+ * }
+ */
+
+/**
+ * Base class of the errors conversions fail with
+ */
+class ConversionError extends Error {
+    /**
+     * @param {string} code - Stable error code, e.g. 'INVALID_INPUT'
+     * @param {string} message - Error message
+     * @param {Object} details - Extra properties of the error, and the `cause` of the failure
+     */
+    constructor(code, message, details = {}) {
+        const { cause, ...properties } = details;
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        Object.assign(this, properties);
+    }
+}
+
+/**
+ * Error for a document that cannot be converted as given
+ */
+class InvalidInputError extends ConversionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - e.g. { path } of an input file or { status } of a URL, and the cause
+     */
+    constructor(message, details) {
+        super('INVALID_INPUT', message, details);
+    }
+}
+
+/**
+ * Error for a browser that could not be launched
+ */
+class BrowserLaunchError extends ConversionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - The cause, i.e. Puppeteer's launch error
+     */
+    constructor(message, details) {
+        super('BROWSER_LAUNCH_FAILED', message, details);
+    }
+}
+
+/**
+ * Error for a conversion that exceeded one of its limits (see render-limits.js)
+ */
+class RenderLimitError extends ConversionError {
+    /**
+     * @param {string} code - Which limit was hit, e.g. 'TOO_MANY_PAGES'
+     * @param {string} message - Error message
+     * @param {number} limit - The configured limit
+     */
+    constructor(code, message, limit) {
+        super(code, message, { limit });
+    }
+}
+
+/**
+ * Error for a conversion that exceeded renderTimeout or navigationTimeout
+ */
+class RenderTimeoutError extends RenderLimitError {}
+
+/**
+ * Error for a document that network isolation blocked
+ */
+class ResourceBlockedError extends ConversionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { url, reason } of the blocked request
+     */
+    constructor(message, details) {
+        super('RESOURCE_BLOCKED', message, details);
+    }
+}
+
+/**
+ * Error for a PDF that could not be written
+ */
+class OutputWriteError extends ConversionError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { outputPath } and the cause, i.e. the file system error
+     */
+    constructor(message, details) {
+        super('OUTPUT_WRITE_FAILED', message, details);
+    }
+}
+
+/**
+ * Exit codes of the command line by kind of failure
+ *
+ * 1 is used for everything else: invalid options and unexpected failures.
+ */
+const EXIT_CODES = {
+    INVALID_INPUT: 2,
+    BROWSER_LAUNCH_FAILED: 3,
+    RENDER_TIMEOUT: 4,
+    NAVIGATION_TIMEOUT: 4,
+    RESOURCE_BLOCKED: 5,
+    OUTPUT_WRITE_FAILED: 6,
+    HTML_TOO_LARGE: 7,
+    TOO_MANY_PAGES: 7,
+    PDF_TOO_LARGE: 7
+};
+
+/**
+ * Chooses the command-line exit code for an error
+ *
+ * @param {Error} error - Error of the conversion
+ * @returns {number} - Exit code from EXIT_CODES, or 1
+ */
+function exitCodeFor(error) {
+    return error instanceof ConversionError && EXIT_CODES[error.code] || 1;
+}
+
+module.exports = {
+    ConversionError,      // Base class with a stable code
+    InvalidInputError,    // Unusable documents and input files
+    BrowserLaunchError,   // Chrome could not be started
+    RenderLimitError,     // Exceeded render limits
+    RenderTimeoutError,   // Exceeded render and navigation timeouts
+    ResourceBlockedError, // Documents blocked by network isolation
+    OutputWriteError,     // PDFs that could not be written
+    EXIT_CODES,           // Command-line exit codes by error code
+    exitCodeFor           // Exit code of an error
+};
@@ -19,5 +19,5 @@ const testHTML = `<!DOCTYPE html>
 console.log('=== ORIGINAL HTML ===');
 console.log(testHTML);
 console.log('\n=== PROCESSED HTML ===');
-const processed = processHTMLContent(testHTML, { margin: 10, includeFonts: true });
+const processed = processHTMLContent(testHTML, { margin: 10, includeFonts: true, styleMode: 'inject' });
 console.log(processed);
@@ -0,0 +1,287 @@
+/**
+ * Font Registry
+ *
+ * This module keeps the fonts available to rendered documents, so documents
+ * never load fonts over the network: registered font files are injected into
+ * each document as local @font-face rules, and Chrome is stopped from fetching
+ * fonts from remote servers (such as Google Fonts) while rendering HTML input,
+ * including the stylesheets font services hand out to load them.
+ *
+ * Without registered files, the default Liberation Serif font is used when it
+ * is installed on the system (e.g. the fonts-liberation package), and the
+ * fallback fonts of the font stack otherwise.
+ *
+ * Fonts are registered once per process with registerFont(). Each face is a
+ * font file (.ttf, .otf, .woff or .woff2) with a weight and style:
+ * - A file path: one regular face
+ * - { regular, bold, italic, boldItalic }: file paths of the usual four faces
+ * - An array of paths or { path, weight, style } faces, for other weights
+ *
+ * Faces are embedded as base64 data: URLs, which every document can load,
+ * whatever its origin and network isolation settings.
+ *
+ * A family is only injected into documents that mention its name (in their
+ * own CSS or in the default styles), so registering many fonts does not slow
+ * down documents that do not use them.
+ *
+ * @example
+ * registerFont('Liberation Serif', {
+ *   regular: 'fonts/LiberationSerif-Regular.ttf',
+ *   bold: 'fonts/LiberationSerif-Bold.ttf',
+ *   italic: 'fonts/LiberationSerif-Italic.ttf',
+ *   boldItalic: 'fonts/LiberationSerif-BoldItalic.ttf'
+ * });
+ * registerFont('Inter', [{ path: 'fonts/Inter-Variable.woff2', weight: '100 900' }]);
+ */
+
+const fs = require('fs'); // Font file reading at registration
+const path = require('path'); // Absolute paths and file extensions
+const { getLogger } = require('./logger.js'); // Registration and blocked font logging
+
+/**
+ * Font MIME types and @font-face formats by file extension
+ */
+const FONT_TYPES = {
+    '.ttf': { mime: 'font/ttf', format: 'truetype' },
+    '.otf': { mime: 'font/otf', format: 'opentype' },
+    '.woff': { mime: 'font/woff', format: 'woff' },
+    '.woff2': { mime: 'font/woff2', format: 'woff2' }
+};
+
+/**
+ * Weight and style of the named faces of { regular, bold, italic, boldItalic }
+ */
+const NAMED_FACES = {
+    regular: { weight: '400', style: 'normal' },
+    bold: { weight: '700', style: 'normal' },
+    italic: { weight: '400', style: 'italic' },
+    boldItalic: { weight: '700', style: 'italic' }
+};
+
+/**
+ * Hosts of font services whose stylesheets load remote fonts (subdomains included)
+ */
+const FONT_SERVICE_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.bunny.net',
+    'use.typekit.net',
+    'p.typekit.net',
+    'fast.fonts.net',
+    'cloud.typography.com',
+    'fonts.cdnfonts.com',
+    'api.fontshare.com'
+];
+
+/**
+ * Registered families: family name (lower case) -> { family, faces }
+ */
+const registry = new Map();
+
+/**
+ * Pages that already block remote fonts
+ */
+const blockingPages = new WeakSet();
+
+/**
+ * Normalizes the files argument of registerFont() into a list of faces
+ *
+ * @param {string|Array|Object} files - Path, array of paths/faces, or named faces
+ * @returns {Array<Object>} - Faces: { path, weight, style }
+ * @throws {Error} - If no font file is given
+ */
+function normalizeFaces(files) {
+    let faces = [];
+    if (typeof files === 'string') {
+        faces = [{ path: files, ...NAMED_FACES.regular }];
+    } else if (Array.isArray(files)) {
+        faces = files.map(face => typeof face === 'string'
+            ? { path: face, ...NAMED_FACES.regular }
+            : { path: face.path, weight: String(face.weight || '400'), style: face.style || 'normal' });
+    } else if (files && typeof files === 'object') {
+        faces = Object.entries(files).map(([name, file]) => {
+            if (!NAMED_FACES[name]) {
+                throw new Error(`Unknown font face: "${name}" (expected ${Object.keys(NAMED_FACES).join(', ')})`);
+            }
+            return { path: file, ...NAMED_FACES[name] };
+        });
+    }
+
+    if (faces.length === 0 || faces.some(face => !face.path)) {
+        throw new Error('registerFont needs a font file path, an array of faces or { regular, bold, italic, boldItalic }');
+    }
+    return faces;
+}
+
+/**
+ * Registers a font family for rendered documents
+ *
+ * The font files are read immediately, so missing files are reported at
+ * registration rather than during rendering. Registering a family again
+ * replaces its faces.
+ *
+ * @param {string} family - CSS font family name, e.g. 'Liberation Serif'
+ * @param {string|Array|Object} files - Font files (see module description)
+ * @param {Object} options - Registration options
+ * @param {Object} options.logger - Logger for the registration (default: silent; see logger.js)
+ * @throws {Error} - If the family name is empty, a file cannot be read or has an unknown type
+ *
+ * @example
+ * registerFont('Corporate Sans', { regular: 'fonts/CorpSans.ttf', bold: 'fonts/CorpSans-Bold.ttf' });
+ */
+function registerFont(family, files, options = {}) {
+    if (typeof family !== 'string' || !family.trim() || /['"\\;{}]/.test(family)) {
+        throw new Error(`Invalid font family name: "${family}"`);
+    }
+
+    const faces = normalizeFaces(files).map(face => {
+        const filePath = path.resolve(String(face.path));
+        const type = FONT_TYPES[path.extname(filePath).toLowerCase()];
+        if (!type) {
+            throw new Error(`Unsupported font file type: "${face.path}" (expected ${Object.keys(FONT_TYPES).join(', ')})`);
+        }
+
+        const data = fs.readFileSync(filePath);
+        const url = `data:${type.mime};base64,${data.toString('base64')}`;
+
+        return { weight: face.weight, style: face.style, url, format: type.format };
+    });
+
+    registry.set(family.trim().toLowerCase(), { family: family.trim(), faces });
+    getLogger(options).info(`🔤 Registered font "${family.trim()}" (${faces.length} face${faces.length === 1 ? '' : 's'})`);
+}
+
+/**
+ * Removes a registered font family
+ *
+ * @param {string} family - CSS font family name
+ * @returns {boolean} - True when the family was registered
+ */
+function unregisterFont(family) {
+    return registry.delete(String(family).trim().toLowerCase());
+}
+
+/**
+ * Lists the registered font families
+ *
+ * @returns {Array<string>} - Family names in registration order
+ */
+function listFonts() {
+    return Array.from(registry.values(), entry => entry.family);
+}
+
+/**
+ * Generates @font-face rules for the registered families a document uses
+ *
+ * @param {string} content - Document HTML or CSS; families named in it are included
+ * @returns {string} - A <style> element with the rules, or '' when no family is used
+ *
+ * @example
+ * const fontCSS = generateFontFaceCSS(html);
+ */
+function generateFontFaceCSS(content) {
+    const text = String(content || '').toLowerCase();
+
+    const rules = [];
+    registry.forEach((entry, key) => {
+        if (!text.includes(key)) {
+            return;
+        }
+        entry.faces.forEach(face => rules.push(`
+        @font-face {
+            font-family: '${entry.family}';
+            font-weight: ${face.weight};
+            font-style: ${face.style};
+            src: url('${face.url}') format('${face.format}');
+        }`));
+    });
+
+    return rules.length > 0 ? `
+    <style>${rules.join('')}
+    </style>` : '';
+}
+
+/**
+ * Adds the @font-face rules a complete HTML document needs to its head
+ *
+ * Used for the overlays rendered after the document (headers, footers,
+ * watermarks, signature boxes).
+ *
+ * @param {string} htmlContent - Complete HTML document with a <head> element
+ * @returns {string} - HTML with the font rules at the start of the head
+ */
+function injectFontFaces(htmlContent) {
+    const fontCSS = generateFontFaceCSS(htmlContent);
+    return fontCSS ? htmlContent.replace(/<head(\s[^>]*)?>/i, match => match + fontCSS) : htmlContent;
+}
+
+/**
+ * Checks whether a stylesheet URL belongs to a web font service
+ *
+ * Matches the hosts in FONT_SERVICE_HOSTS and any server with the Google
+ * Fonts API (/css or /css2 with a family parameter), which self-hosted
+ * font proxies copy.
+ *
+ * @param {string} url - Stylesheet URL
+ * @returns {boolean} - True when the stylesheet only exists to load remote fonts
+ */
+function isFontServiceStylesheet(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    const host = parsed.hostname.toLowerCase();
+    return FONT_SERVICE_HOSTS.some(service => host === service || host.endsWith(`.${service}`)) ||
+        (/^\/css2?$/.test(parsed.pathname) && parsed.searchParams.has('family'));
+}
+
+/**
+ * Stops a browser page from loading fonts over the network
+ *
+ * Font requests to http(s):// URLs are aborted, and so are stylesheets from
+ * font services (such as Google Fonts links); local (data: and file:) fonts still
+ * load. Must be called before content is loaded into the page; calling it
+ * again for the same page has no effect.
+ *
+ * @param {Object} page - Puppeteer page
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<void>}
+ */
+async function blockRemoteFonts(page, config = {}) {
+    if (blockingPages.has(page)) {
+        return;
+    }
+    blockingPages.add(page);
+
+    const log = getLogger(config);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
+        }
+        // Cooperative interception (with a priority), so other request handlers
+        // such as network isolation can still block the request
+        const remote = /^https?:/i.test(request.url());
+        if (remote && request.resourceType() === 'font') {
+            log.warn(`🔤 Blocked remote font: ${request.url()} (register it with registerFont)`,
+                { event: 'blockedFont', url: request.url() });
+            request.abort('blockedbyclient', 0);
+        } else if (remote && request.resourceType() === 'stylesheet' && isFontServiceStylesheet(request.url())) {
+            log.warn(`🔤 Blocked font service stylesheet: ${request.url()} (register its fonts with registerFont)`,
+                { event: 'blockedFont', url: request.url() });
+            request.abort('blockedbyclient', 0);
+        } else {
+            request.continue(request.continueRequestOverrides(), 0);
+        }
+    });
+}
+
+module.exports = {
+    registerFont,        // Font family registration
+    unregisterFont,      // Font family removal
+    listFonts,           // Registered family names
+    generateFontFaceCSS, // Local @font-face rules for a document
+    injectFontFaces,     // Local @font-face rules for overlay documents
+    blockRemoteFonts     // Network font blocking in a page
+};
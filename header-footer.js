@@ -0,0 +1,288 @@
+/**
+ * Running Headers and Footers
+ *
+ * This module stamps header and footer templates onto the pages of a PDF
+ * rendered by pdf-converter.js. Chrome's built-in header/footer support cannot
+ * skip the first page or alternate templates between odd and even pages, so the
+ * templates are rendered separately as a transparent overlay (one overlay page
+ * per document page) and drawn on top of the content with pdf-lib.
+ *
+ * Templates are HTML strings or paths to .html files, and may contain tokens:
+ * - {{pageNumber}}: Current page number
+ * - {{totalPages}}: Total number of pages
+ * - {{title}}: Document title (options.title, options.metadata.title or the document's <title>)
+ * - {{date}}: Date of the conversion in the local format
+ * - {{anyName}}: Custom values from options.headerFooterVariables
+ *
+ * Page numbers start at options.firstPageNumber (default: 1), and {{totalPages}}
+ * can be set with options.totalPages, e.g. for documents that continue the page
+ * numbering of another one (see convertManyToPDF in pdf-converter.js).
+ *
+ * Token values are HTML-escaped. Unknown tokens are left in place so that typos
+ * are visible in the output.
+ *
+ * The header is placed in the top margin and the footer in the bottom margin of
+ * each page, so the page geometry needs margins large enough to hold them.
+ *
+ * @example
+ * await convertHTMLToPDF(html, 'report.pdf', {
+ *   margin: { top: 20, right: 15, bottom: 20, left: 15 },
+ *   headerTemplate: '<div style="text-align: right">{{title}}</div>',
+ *   footerTemplate: { odd: 'footer-odd.html', even: 'footer-even.html' },
+ *   skipFirstPageHeaderFooter: true,
+ *   headerFooterVariables: { client: 'ACME Corp' }
+ * });
+ */
+
+const fs = require('fs').promises; // Asynchronous file system operations
+const { PDFDocument } = require('@cantoo/pdf-lib'); // PDF parsing and page composition
+const { injectFontFaces, blockRemoteFonts } = require('./font-registry.js'); // Local fonts for the overlay
+const { hasIsolation, applyIsolation } = require('./network-isolation.js'); // Same request rules as the document
+const { getLogger } = require('./logger.js'); // Progress logging
+const { escapeHTML, formatMillimeters, getFontFamily, isTemplatePath } = require('./html-utils.js'); // Shared HTML helpers
+
+/**
+ * Checks whether any header or footer template is configured
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when headers or footers must be added
+ */
+function hasHeaderFooter(config) {
+    return Boolean(config.headerTemplate || config.footerTemplate);
+}
+
+/**
+ * Loads a header or footer template option into separate odd and even templates
+ *
+ * @param {string|Object} template - HTML string, .html file path, or { odd, even }
+ * @returns {Promise<{odd: string, even: string}>} - Template HTML for each page parity
+ * @throws {Error} - If a template file cannot be read
+ */
+async function loadTemplate(template) {
+    if (!template) {
+        return { odd: '', even: '' };
+    }
+
+    if (typeof template === 'string') {
+        const html = await readTemplate(template);
+        return { odd: html, even: html };
+    }
+
+    return {
+        odd: await readTemplate(template.odd),
+        even: await readTemplate(template.even)
+    };
+}
+
+/**
+ * Returns template HTML, reading it from disk when given a file path
+ *
+ * A value is treated as a path when isTemplatePath() says so.
+ *
+ * @param {string} value - HTML string or file path
+ * @returns {Promise<string>} - Template HTML
+ */
+async function readTemplate(value) {
+    if (!value) {
+        return '';
+    }
+
+    if (isTemplatePath(value)) {
+        return fs.readFile(value.trim(), 'utf8');
+    }
+
+    return value;
+}
+
+/**
+ * Replaces {{token}} placeholders with HTML-escaped values
+ *
+ * @param {string} template - Template HTML
+ * @param {Object} tokens - Token values by name
+ * @returns {string} - Template HTML with known tokens replaced
+ *
+ * @example
+ * fillTemplate('Page {{pageNumber}} of {{totalPages}}', { pageNumber: 2, totalPages: 5 });
+ * // 'Page 2 of 5'
+ */
+function fillTemplate(template, tokens) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (!Object.prototype.hasOwnProperty.call(tokens, name)) {
+            return match;
+        }
+        return escapeHTML(String(tokens[name]));
+    });
+}
+
+/**
+ * Builds the overlay document holding one page of header/footer per section
+ *
+ * Each overlay page has the exact size of a document page. Sections are 1px
+ * shorter than the page so rounding can never push a section onto an extra page.
+ *
+ * @param {Array<Object>} sections - { header, footer, even } for each stamped page
+ * @param {Object} config - Conversion configuration with the resolved geometry
+ * @returns {string} - Complete HTML document for the overlay
+ */
+function buildOverlayHTML(sections, config) {
+    const { width, height, margin, mirrored } = config.geometry;
+    const fontFamily = getFontFamily(config);
+
+    const pages = sections.map(section => {
+        // With mirrored margins, even (left-hand) pages have the inside margin on the right
+        const left = mirrored && section.even ? margin.right : margin.left;
+        const right = mirrored && section.even ? margin.left : margin.right;
+        const sides = `left: ${formatMillimeters(left)}; right: ${formatMillimeters(right)};`;
+
+        return `
+    <div class="overlay-page">
+        <div class="overlay-header" style="${sides}"><div class="overlay-content">${section.header}</div></div>
+        <div class="overlay-footer" style="${sides}"><div class="overlay-content">${section.footer}</div></div>
+    </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        @page { size: ${formatMillimeters(width)} ${formatMillimeters(height)}; margin: 0; }
+
+        /* Transparent so only the header and footer cover the content page */
+        html, body { margin: 0; padding: 0; background: transparent; }
+
+        .overlay-page {
+            position: relative;
+            height: calc(${formatMillimeters(height)} - 1px);
+            overflow: hidden;
+            break-after: page;
+        }
+        .overlay-page:last-child { break-after: auto; }
+
+        /* Header and footer fill their margin areas, vertically centered */
+        .overlay-header, .overlay-footer {
+            position: absolute;
+            box-sizing: border-box;
+            display: flex;
+            align-items: center;
+            overflow: hidden;
+            font-family: ${fontFamily};
+            font-size: 9pt;
+            color: #555;
+        }
+        .overlay-header { top: 0; height: ${formatMillimeters(margin.top)}; }
+        .overlay-footer { bottom: 0; height: ${formatMillimeters(margin.bottom)}; }
+        .overlay-content { width: 100%; }
+
+        * {
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+        }
+    </style>
+</head>
+<body>${pages}
+</body>
+</html>`;
+}
+
+/**
+ * Stamps headers and footers onto every page of a rendered PDF
+ *
+ * Process Flow:
+ * 1. Load the templates (from strings or files)
+ * 2. Count the pages of the rendered PDF
+ * 3. Fill in the tokens for each page and build the overlay document
+ * 4. Render the overlay with the same browser page
+ * 5. Draw each overlay page on top of its document page
+ *
+ * The overlay reuses the page, replacing the document content once the
+ * document title has been read from it.
+ *
+ * @param {Object} page - Puppeteer page holding the rendered document
+ * @param {Buffer} pdf - PDF produced for the document
+ * @param {Object} config - Conversion configuration
+ * @param {string|Object} config.headerTemplate - Header HTML, file path, or { odd, even }
+ * @param {string|Object} config.footerTemplate - Footer HTML, file path, or { odd, even }
+ * @param {boolean} config.skipFirstPageHeaderFooter - Leave the first page without header/footer
+ * @param {Object} config.headerFooterVariables - Custom token values
+ * @param {string} config.title - Title for the {{title}} token (default: document title)
+ * @param {number} config.firstPageNumber - Number of the first page (default: 1)
+ * @param {number} config.totalPages - Value of the {{totalPages}} token (default: number of pages)
+ * @returns {Promise<Buffer>} - PDF with headers and footers
+ * @throws {Error} - If a template cannot be loaded or the overlay cannot be rendered
+ */
+async function applyHeaderFooter(page, pdf, config) {
+    const header = await loadTemplate(config.headerTemplate);
+    const footer = await loadTemplate(config.footerTemplate);
+
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    const pageCount = pdfDoc.getPageCount();
+    const firstPageNumber = config.firstPageNumber || 1;
+    const totalPages = config.totalPages || pageCount;
+    const baseTokens = {
+        date: new Date().toLocaleDateString(),
+        title: config.title || (config.metadata && config.metadata.title) || await page.title(),
+        ...(config.headerFooterVariables || {})
+    };
+
+    // Collect the pages that get a header/footer, with their filled-in templates
+    const sections = [];
+    for (let index = 0; index < pageCount; index++) {
+        if (index === 0 && config.skipFirstPageHeaderFooter) {
+            continue;
+        }
+
+        const pageNumber = firstPageNumber + index;
+        const even = pageNumber % 2 === 0;
+        const tokens = { ...baseTokens, pageNumber, totalPages };
+
+        sections.push({
+            index,
+            even,
+            header: fillTemplate(even ? header.even : header.odd, tokens),
+            footer: fillTemplate(even ? footer.even : footer.odd, tokens)
+        });
+    }
+
+    if (sections.length === 0) {
+        return pdf;
+    }
+
+    getLogger(config).info('🧾 Adding headers and footers...');
+    if (hasIsolation(config)) {
+        // Templates may reference URLs just like the document itself
+        await applyIsolation(page, config);
+    }
+    await blockRemoteFonts(page, config);
+    await page.setContent(injectFontFaces(buildOverlayHTML(sections, config)), { waitUntil: 'networkidle0' });
+    const overlayPdf = await page.pdf({
+        width: formatMillimeters(config.geometry.width),
+        height: formatMillimeters(config.geometry.height),
+        margin: { top: '0mm', right: '0mm', bottom: '0mm', left: '0mm' },
+        printBackground: true,
+        preferCSSPageSize: false
+    });
+
+    const overlay = await PDFDocument.load(overlayPdf, { updateMetadata: false });
+    if (overlay.getPageCount() < sections.length) {
+        throw new Error('Header/footer overlay did not produce one page per document page');
+    }
+
+    // Draw each overlay page anchored to the top-left corner of its document page
+    const overlayPages = await pdfDoc.embedPdf(overlay, sections.map((section, i) => i));
+    sections.forEach((section, i) => {
+        const target = pdfDoc.getPage(section.index);
+        target.drawPage(overlayPages[i], {
+            x: 0,
+            y: target.getHeight() - overlayPages[i].height
+        });
+    });
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    hasHeaderFooter,   // Header/footer detection
+    applyHeaderFooter, // Header/footer stamping
+    fillTemplate       // Token substitution
+};
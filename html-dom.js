@@ -0,0 +1,327 @@
+/**
+ * HTML Document Tree
+ *
+ * This module parses HTML into a document tree with parse5, the parser that
+ * follows the HTML standard like Chrome does, so the converter changes the
+ * structure of documents rather than matching their text. Any input parses:
+ * fragments, documents without <head> or <body>, unclosed and nested tags.
+ *
+ * The parser always creates <html>, <head> and <body>. Elements the parser
+ * implied are told apart from the ones written in the input (isImplied), so
+ * callers know whether the input was a complete document.
+ *
+ * Nodes are parse5 default tree nodes: { nodeName, tagName, attrs,
+ * childNodes, parentNode } for elements and { nodeName: '#text', value } for
+ * text. Elements are changed in place and serialized back with
+ * serializeHTML(); transformHTML() does all three steps and keeps fragments
+ * fragments.
+ *
+ * @example
+ * const document = parseDocument(html);
+ * findElements(document, element => element.tagName === 'pre').forEach(pre => ...);
+ * const output = serializeHTML(document);
+ */
+
+const { parse, parseFragment, serialize, defaultTreeAdapter: adapter } = require('parse5'); // Standards-compliant HTML parsing
+
+/**
+ * Parses an HTML document or fragment into a document tree
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {Object} - Document node, always with <html>, <head> and <body>
+ */
+function parseDocument(html) {
+    return parse(String(html), { sourceCodeLocationInfo: true });
+}
+
+/**
+ * Parses HTML as the content of an element (a <body> by default)
+ *
+ * @param {string} html - HTML fragment
+ * @returns {Object} - Fragment node whose childNodes are the parsed nodes
+ */
+function parseHTMLFragment(html) {
+    return parseFragment(String(html));
+}
+
+/**
+ * Checks whether the parser created an element that is not in the input
+ *
+ * Only meaningful for trees from parseDocument(), e.g. for the <html>,
+ * <head> and <body> elements of a fragment.
+ *
+ * @param {Object} element - Element node
+ * @returns {boolean} - True when the element has no tag in the input
+ */
+function isImplied(element) {
+    return !element.sourceCodeLocation;
+}
+
+/**
+ * Checks whether the input of a document tree had <html>, <head> and <body> tags
+ *
+ * @param {Object} document - Document node from parseDocument()
+ * @returns {boolean} - True when none of the three was implied by the parser
+ */
+function isCompleteDocument(document) {
+    return ['html', 'head', 'body'].every(tagName => !isImplied(findElement(document, tagName)));
+}
+
+/**
+ * Checks whether the input of a document tree was a fragment
+ *
+ * @param {Object} document - Document node from parseDocument()
+ * @returns {boolean} - True without a doctype and without <html>, <head> and <body> tags
+ */
+function isFragment(document) {
+    return !getDoctype(document) &&
+        ['html', 'head', 'body'].every(tagName => isImplied(findElement(document, tagName)));
+}
+
+/**
+ * Returns the doctype of a document tree
+ *
+ * @param {Object} document - Document node
+ * @returns {Object|null} - Doctype node, or null when the input had none
+ */
+function getDoctype(document) {
+    return document.childNodes.find(node => node.nodeName === '#documentType') || null;
+}
+
+/**
+ * Adds <!DOCTYPE html> to a document without a doctype
+ *
+ * Without one, Chrome renders the document in quirks mode.
+ *
+ * @param {Object} document - Document node
+ */
+function addDoctype(document) {
+    if (!getDoctype(document)) {
+        insertNodes(document, [getDoctype(parse('<!DOCTYPE html>'))], document.childNodes[0] || null);
+    }
+}
+
+/**
+ * Serializes a node: a document with its doctype, or the children of any other node
+ *
+ * @param {Object} node - Document, fragment or element node
+ * @returns {string} - HTML
+ */
+function serializeHTML(node) {
+    return serialize(node);
+}
+
+/**
+ * Changes the tree of an HTML document or fragment and serializes it again
+ *
+ * Fragments stay fragments; anything else comes back as a complete document.
+ *
+ * @param {string} html - HTML document or fragment
+ * @param {Function} change - (root) => void, changes the document or fragment node in place
+ * @returns {string} - Changed HTML
+ *
+ * @example
+ * const output = transformHTML(html, root => findElements(root, isWrapper).forEach(unwrapElement));
+ */
+function transformHTML(html, change) {
+    const document = parseDocument(html);
+    const root = isFragment(document) ? parseHTMLFragment(html) : document;
+    change(root);
+    return serializeHTML(root);
+}
+
+/**
+ * Lists the element children of a node
+ *
+ * @param {Object} node - Parent node
+ * @returns {Array<Object>} - Child elements in document order
+ */
+function childElements(node) {
+    return (node.childNodes || []).filter(child => child.tagName);
+}
+
+/**
+ * Finds the elements below a node that match a test, in document order
+ *
+ * The contents of <template> elements are not searched.
+ *
+ * @param {Object} node - Document, fragment or element node
+ * @param {Function} test - (element) => boolean
+ * @returns {Array<Object>} - Matching elements
+ */
+function findElements(node, test) {
+    const found = [];
+    const visit = parent => childElements(parent).forEach(element => {
+        if (test(element)) {
+            found.push(element);
+        }
+        visit(element);
+    });
+    visit(node);
+    return found;
+}
+
+/**
+ * Finds the first element below a node with a tag name
+ *
+ * @param {Object} node - Document, fragment or element node
+ * @param {string} tagName - Lower-case tag name, e.g. 'head'
+ * @returns {Object|null} - The element, or null when there is none
+ */
+function findElement(node, tagName) {
+    return findElements(node, element => element.tagName === tagName)[0] || null;
+}
+
+/**
+ * Reads an attribute of an element
+ *
+ * @param {Object} element - Element node
+ * @param {string} name - Lower-case attribute name
+ * @returns {string|null} - Attribute value, or null when it is absent
+ */
+function getAttribute(element, name) {
+    const attribute = element.attrs.find(attr => attr.name === name);
+    return attribute ? attribute.value : null;
+}
+
+/**
+ * Sets an attribute of an element, replacing its current value
+ *
+ * @param {Object} element - Element node
+ * @param {string} name - Lower-case attribute name
+ * @param {string} value - Attribute value
+ */
+function setAttribute(element, name, value) {
+    const attribute = element.attrs.find(attr => attr.name === name);
+    if (attribute) {
+        attribute.value = String(value);
+    } else {
+        element.attrs.push({ name, value: String(value) });
+    }
+}
+
+/**
+ * Lists the classes of an element
+ *
+ * @param {Object} element - Element node
+ * @returns {Array<string>} - Class names from the class attribute
+ */
+function getClassList(element) {
+    return (getAttribute(element, 'class') || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Returns the text of a node and its descendants, with entities decoded
+ *
+ * @param {Object} node - Any node
+ * @returns {string} - Concatenated text
+ */
+function getTextContent(node) {
+    if (node.nodeName === '#text') {
+        return node.value;
+    }
+    return (node.childNodes || []).map(getTextContent).join('');
+}
+
+/**
+ * Checks whether a node is whitespace-only text or a comment
+ *
+ * @param {Object} node - Any node
+ * @returns {boolean} - True for nodes that do not affect the content
+ */
+function isBlank(node) {
+    return node.nodeName === '#comment' || (node.nodeName === '#text' && !node.value.trim());
+}
+
+/**
+ * Creates an element
+ *
+ * @param {string} tagName - Lower-case tag name
+ * @param {Object} attributes - Attribute names and values
+ * @param {string} text - Text content (optional)
+ * @returns {Object} - Element node without a parent
+ */
+function createElement(tagName, attributes = {}, text = '') {
+    const element = adapter.createElement(tagName, 'http://www.w3.org/1999/xhtml',
+        Object.entries(attributes).map(([name, value]) => ({ name, value: String(value) })));
+    if (text) {
+        adapter.insertText(element, text);
+    }
+    return element;
+}
+
+/**
+ * Inserts nodes into a parent, moving them from where they are
+ *
+ * @param {Object} parent - Parent node
+ * @param {Array<Object>} nodes - Nodes to insert, in order
+ * @param {Object} before - Child of the parent to insert before (default: append at the end)
+ */
+function insertNodes(parent, nodes, before = null) {
+    Array.from(nodes).forEach(node => {
+        if (node.parentNode) {
+            adapter.detachNode(node);
+        }
+        if (before) {
+            adapter.insertBefore(parent, node, before);
+        } else {
+            adapter.appendChild(parent, node);
+        }
+    });
+}
+
+/**
+ * Parses HTML and inserts the nodes into a parent
+ *
+ * @param {Object} parent - Parent node
+ * @param {string} html - HTML fragment, e.g. a <style> element
+ * @param {Object} before - Child of the parent to insert before (default: append at the end)
+ */
+function insertHTML(parent, html, before = null) {
+    insertNodes(parent, parseHTMLFragment(html).childNodes, before);
+}
+
+/**
+ * Inserts nodes right after an element
+ *
+ * @param {Object} element - Element node with a parent
+ * @param {Array<Object>} nodes - Nodes to insert, in order
+ */
+function insertAfter(element, nodes) {
+    const siblings = element.parentNode.childNodes;
+    insertNodes(element.parentNode, nodes, siblings[siblings.indexOf(element) + 1] || null);
+}
+
+/**
+ * Replaces an element with its children
+ *
+ * @param {Object} element - Element node with a parent
+ */
+function unwrapElement(element) {
+    insertNodes(element.parentNode, element.childNodes.slice(), element);
+    adapter.detachNode(element);
+}
+
+module.exports = {
+    parseDocument,      // Document tree of any HTML input
+    parseHTMLFragment,  // Nodes of an HTML fragment
+    isImplied,          // Elements the parser added
+    isCompleteDocument, // Inputs with <html>, <head> and <body>
+    isFragment,         // Inputs without document tags
+    addDoctype,         // Standards mode for wrapped fragments
+    serializeHTML,      // Tree to HTML
+    transformHTML,      // Parse, change and serialize in one step
+    childElements,      // Element children
+    findElements,       // Descendants matching a test
+    findElement,        // First descendant by tag name
+    getAttribute,       // Attribute reading
+    setAttribute,       // Attribute writing
+    getClassList,       // Class names
+    getTextContent,     // Decoded text of a subtree
+    isBlank,            // Whitespace and comment nodes
+    createElement,      // New elements
+    insertNodes,        // Node insertion and moving
+    insertHTML,         // Parsed HTML insertion
+    insertAfter,        // Insertion after an element
+    unwrapElement       // Element replacement by its children
+};
@@ -0,0 +1,164 @@
+/**
+ * Template + Data Rendering
+ *
+ * This module turns a template and a data object into the HTML that
+ * pdf-converter.js renders, so documents with the same layout can be generated
+ * from JSON instead of building HTML strings by hand.
+ *
+ * Templates use Handlebars syntax:
+ * - {{name}}, {{customer.address.city}}: Variables, HTML-escaped
+ * - {{{trustedHTML}}}: Variables inserted without escaping
+ * - {{#each items}}...{{/each}}: Loops ({{@index}}, {{@first}}, {{@last}})
+ * - {{#if paid}}...{{else}}...{{/if}}, {{#unless}}: Conditionals
+ * - {{> partialName}}: Partials from options.partials
+ *
+ * Built-in helpers (formatted with Intl for options.locale):
+ * - {{formatDate issuedAt}}, {{formatDate issuedAt "long"}}: Dates (style short|medium|long|full)
+ * - {{formatNumber quantity}}, {{formatNumber ratio style="percent"}}: Numbers
+ * - {{formatCurrency total}}, {{formatCurrency total "EUR"}}: Amounts (default: options.currency)
+ * - {{#if (eq status "paid")}}: Equality test for conditionals
+ *
+ * Options:
+ * - partials: { name: template string or .hbs/.html file path }
+ * - helpers: { name: function } added to (or replacing) the built-in helpers
+ * - locale: Locale for the formatting helpers (default: 'en-US')
+ * - currency: Default currency code for formatCurrency (default: 'USD')
+ *
+ * Each render uses its own Handlebars environment, so partials and helpers of
+ * one render never leak into another.
+ *
+ * @example
+ * const html = await renderTemplateHTML(
+ *   '<h1>Invoice {{number}}</h1>{{#each lines}}<p>{{description}}: {{formatCurrency amount}}</p>{{/each}}',
+ *   { number: 'INV-7', lines: [{ description: 'Consulting', amount: 1200 }] },
+ *   { currency: 'EUR', locale: 'de-DE' }
+ * );
+ */
+
+const fs = require('fs').promises; // Asynchronous file system operations
+const Handlebars = require('handlebars'); // Template language
+const { getLogger } = require('./logger.js'); // Progress logging
+const { isTemplatePath } = require('./html-utils.js'); // Template file path or markup
+const { InvalidInputError } = require('./conversion-errors.js'); // Template errors
+
+/**
+ * Default template options
+ */
+const TEMPLATE_DEFAULTS = {
+    locale: 'en-US',
+    currency: 'USD'
+};
+
+/**
+ * Returns template source, reading it from disk when given a file path
+ *
+ * A value is treated as a path when isTemplatePath() says so.
+ *
+ * @param {string} value - Template source or file path
+ * @returns {Promise<string>} - Template source
+ */
+async function readTemplateSource(value) {
+    if (isTemplatePath(value)) {
+        return fs.readFile(value.trim(), 'utf8');
+    }
+    return value;
+}
+
+/**
+ * Converts a date helper argument into a Date
+ *
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @returns {Date} - The date
+ * @throws {Error} - If the value is not a valid date
+ */
+function toDate(value) {
+    // Date-only strings are local calendar dates; new Date() would read them as UTC midnight
+    const dateOnly = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (dateOnly) {
+        return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`formatDate: invalid date "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * Creates the built-in formatting helpers for a locale and currency
+ *
+ * Helper arguments come from the template; the trailing Handlebars options
+ * object carries hash arguments (e.g. style="percent"), which are passed on to
+ * Intl as format options.
+ *
+ * @param {Object} options - Resolved template options
+ * @returns {Object} - Helper functions by name
+ */
+function createHelpers(options) {
+    return {
+        formatDate(value, ...args) {
+            const helperOptions = args.pop();
+            const style = typeof args[0] === 'string' ? args[0] : 'medium';
+            if (value === undefined || value === null || value === '') {
+                return '';
+            }
+            return new Intl.DateTimeFormat(options.locale, { dateStyle: style, ...helperOptions.hash })
+                .format(toDate(value));
+        },
+
+        formatNumber(value, helperOptions) {
+            if (value === undefined || value === null || value === '') {
+                return '';
+            }
+            return new Intl.NumberFormat(options.locale, helperOptions.hash).format(Number(value));
+        },
+
+        formatCurrency(value, ...args) {
+            const helperOptions = args.pop();
+            const currency = typeof args[0] === 'string' ? args[0] : options.currency;
+            if (value === undefined || value === null || value === '') {
+                return '';
+            }
+            return new Intl.NumberFormat(options.locale, { style: 'currency', currency, ...helperOptions.hash })
+                .format(Number(value));
+        },
+
+        eq(a, b) {
+            return a === b;
+        }
+    };
+}
+
+/**
+ * Renders a template with data into HTML
+ *
+ * @param {string} template - Template source, or a path to a template file
+ * @param {Object} data - Values available to the template
+ * @param {Object} options - Template options (partials, helpers, locale, currency) and logger
+ * @returns {Promise<string>} - Rendered HTML
+ * @throws {InvalidInputError} - If the template or a partial cannot be read, compiled or rendered
+ */
+async function renderTemplateHTML(template, data = {}, options = {}) {
+    const resolved = { ...TEMPLATE_DEFAULTS, ...options };
+    const handlebars = Handlebars.create();
+
+    handlebars.registerHelper({ ...createHelpers(resolved), ...(resolved.helpers || {}) });
+
+    try {
+        for (const [name, partial] of Object.entries(resolved.partials || {})) {
+            handlebars.registerPartial(name, await readTemplateSource(partial));
+        }
+
+        getLogger(options).info('🧩 Rendering template with data...');
+        const source = await readTemplateSource(template);
+        return handlebars.compile(source)(data);
+    } catch (error) {
+        throw new InvalidInputError(`Template error: ${error.message}`, { cause: error });
+    }
+}
+
+module.exports = {
+    renderTemplateHTML, // Template + data to HTML
+    readTemplateSource  // Template string or file lookup
+};
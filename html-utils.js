@@ -0,0 +1,73 @@
+/**
+ * Shared HTML Helpers
+ *
+ * This module holds the small helpers used by every module that builds an
+ * HTML document for Chrome to render: the converted document itself, the
+ * header/footer and watermark overlays and the visible signature box.
+ * Keeping them in one place makes all of them escape text, write lengths,
+ * choose fonts and tell template file paths from markup the same way.
+ *
+ * @example
+ * const { escapeHTML, formatMillimeters, getFontFamily } = require('./html-utils.js');
+ * const css = `@page { size: ${formatMillimeters(210)} ${formatMillimeters(297)}; }`;
+ */
+
+/**
+ * Escapes text for safe insertion into HTML content and attributes
+ *
+ * @param {string} text - Raw text (other values are converted to strings)
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a millimeter length as a CSS/Puppeteer length string
+ *
+ * @param {number} value - Length in millimeters
+ * @returns {string} - e.g. '12.7mm'
+ */
+function formatMillimeters(value) {
+    return `${parseFloat(value.toFixed(3))}mm`;
+}
+
+/**
+ * Returns the font stack used for document text
+ *
+ * @param {Object} config - Configuration options
+ * @param {boolean} config.includeFonts - Whether to include Liberation Serif font
+ * @returns {string} - CSS font-family value
+ */
+function getFontFamily(config) {
+    return config.includeFonts
+        ? "'Liberation Serif', 'Times New Roman', 'Georgia', serif"
+        : "'Times New Roman', 'Georgia', serif";
+}
+
+/**
+ * Checks whether a template option names a file instead of holding markup
+ *
+ * Header/footer templates, Handlebars templates and partials all use this
+ * test, and the server uses it to refuse file paths in requests, so a value
+ * it accepts as markup is never read from disk.
+ *
+ * @param {*} value - Option value
+ * @returns {boolean} - True for strings without markup or expressions ('<', '{')
+ *   that end in .hbs, .handlebars, .html or .htm
+ */
+function isTemplatePath(value) {
+    return typeof value === 'string' && !/[<{]/.test(value) && /\.(hbs|handlebars|html?)$/i.test(value.trim());
+}
+
+module.exports = {
+    escapeHTML,        // Text and attribute escaping
+    formatMillimeters, // CSS lengths in millimeters
+    getFontFamily,     // Document font stack
+    isTemplatePath     // Template file path or markup
+};
@@ -0,0 +1,426 @@
+/**
+ * Render Job Queue
+ *
+ * This module runs render jobs in the background, so callers of the HTTP
+ * service (see pdf-server.js) do not have to keep a request open while large
+ * documents render. A job is submitted, gets an id right away, and moves
+ * through these states:
+ * - queued: Waiting for a free slot
+ * - rendering: Being rendered
+ * - done: The PDF is ready to download
+ * - failed: Rendering failed; the job has an error message and, for typed
+ *   errors (see conversion-errors.js), an errorCode such as RENDER_TIMEOUT
+ *
+ * Jobs live in memory for the lifetime of the process. Finished jobs and
+ * their PDFs are kept for a retention period and then removed. The number of
+ * queued jobs is limited; submit() throws a QueueFullError beyond it, so a
+ * burst of submissions cannot fill the memory with documents. Finished jobs
+ * are limited too, by count and by the total size of their PDFs: beyond
+ * either limit, the oldest finished jobs are removed before their retention
+ * period is over.
+ *
+ * When a job has a webhook URL, a JSON description of the job (see
+ * describe()) is POSTed to it once the job is done or has failed, after its
+ * rendering slot is freed. Webhook failures are logged and recorded on the
+ * job; they never fail the job. With network isolation settings, webhook URLs
+ * must pass the same allowlist as documents (see network-isolation.js), so
+ * callers cannot make the service send requests to internal hosts.
+ *
+ * Options:
+ * - concurrency: Jobs rendered at the same time (default: 1)
+ * - retention: Milliseconds finished jobs are kept (default: 1 hour)
+ * - maxQueued: Jobs waiting for a slot at most (default: 100)
+ * - maxFinished: Finished jobs kept at most (default: 1000)
+ * - maxResultBytes: Total size of the kept PDFs at most (default: 500 MB)
+ * - webhookTimeout: Milliseconds to wait for a webhook response (default: 10 s)
+ * - isolation: Network isolation settings from resolveIsolation() that webhook
+ *   URLs must pass (default: any http(s) URL)
+ * - links: Function returning extra fields for describe(), e.g. download URLs
+ * - logger, logLevel: Logger for job progress (default: silent; see logger.js)
+ *
+ * @example
+ * const queue = new JobQueue(task => renderer.render(task.htmlContent, task.options), { concurrency: 2 });
+ * const job = queue.submit({ htmlContent, options }, { webhook: 'https://app.example.com/pdf-ready' });
+ * // later: queue.get(job.id).state === 'done' && queue.get(job.id).result
+ */
+
+const crypto = require('crypto'); // Job ids
+const http = require('http'); // Webhook requests
+const https = require('https'); // Webhook requests
+const { getLogger } = require('./logger.js'); // Job progress logging
+const { ConversionError } = require('./conversion-errors.js'); // Error codes of failed jobs
+const { checkRequest } = require('./network-isolation.js'); // Webhook URL allowlist
+
+/**
+ * Default settings of a job queue
+ */
+const QUEUE_DEFAULTS = {
+    concurrency: 1,
+    retention: 60 * 60 * 1000,
+    maxQueued: 100,
+    maxFinished: 1000,
+    maxResultBytes: 500 * 1024 * 1024,
+    webhookTimeout: 10 * 1000
+};
+
+/**
+ * Longest delay setTimeout() supports; longer delays would fire right away
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Error thrown when a job is submitted to a full queue
+ */
+class QueueFullError extends Error {
+    /**
+     * @param {number} maxQueued - Queue limit that was reached
+     */
+    constructor(maxQueued) {
+        super(`Too many queued jobs (${maxQueued}); try again later`);
+        this.name = 'QueueFullError';
+        this.maxQueued = maxQueued;
+    }
+}
+
+/**
+ * Checks that a webhook URL can be called
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} isolation - Network isolation settings the URL must pass (optional)
+ * @returns {string} - The URL
+ * @throws {Error} - If the URL is invalid, not http(s):// or blocked by network isolation
+ */
+function validateWebhookURL(url, isolation = null) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Invalid webhook URL: "${url}"`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported webhook URL scheme: "${parsed.protocol}" (expected http or https)`);
+    }
+    const reason = isolation && checkRequest(url, isolation);
+    if (reason) {
+        throw new Error(`Webhook URL blocked by network isolation: "${url}" (${reason})`);
+    }
+    return url;
+}
+
+/**
+ * POSTs a JSON body to a webhook URL
+ *
+ * @param {string} url - http:// or https:// URL
+ * @param {Object} body - JSON body
+ * @param {number} timeout - Milliseconds to wait for the response
+ * @returns {Promise<number>} - HTTP status of the response
+ * @throws {Error} - If the request fails, times out or gets a non-2xx response
+ */
+function postWebhook(url, body, timeout) {
+    const json = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(json)
+            },
+            timeout
+        }, response => {
+            response.resume();
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve(response.statusCode);
+                } else {
+                    reject(new Error(`Webhook responded with HTTP ${response.statusCode}`));
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${timeout} ms`)));
+        request.on('error', reject);
+        request.end(json);
+    });
+}
+
+/**
+ * In-memory queue of render jobs with limited concurrency
+ */
+class JobQueue {
+    /**
+     * @param {Function} run - Renders a task: async (task) => Buffer
+     * @param {Object} options - Queue settings (see module description)
+     * @param {number} options.concurrency - Jobs rendered at the same time (default: 1)
+     * @param {number} options.retention - Milliseconds finished jobs are kept (default: 1 hour)
+     * @param {number} options.maxQueued - Jobs waiting for a slot at most (default: 100)
+     * @param {number} options.maxFinished - Finished jobs kept at most (default: 1000)
+     * @param {number} options.maxResultBytes - Total size of the kept PDFs at most (default: 500 MB)
+     * @param {number} options.webhookTimeout - Milliseconds to wait for a webhook response (default: 10000)
+     * @param {Function} options.links - Returns extra fields for describe(): (job) => Object
+     * @param {Object} options.isolation - Network isolation settings webhook URLs must pass (optional)
+     * @param {Object} options.logger - Logger for job progress (default: silent)
+     * @throws {Error} - If the retention is not a finite number of milliseconds
+     */
+    constructor(run, options = {}) {
+        this.run = run;
+        this.concurrency = options.concurrency || QUEUE_DEFAULTS.concurrency;
+        this.retention = options.retention !== undefined ? options.retention : QUEUE_DEFAULTS.retention;
+        if (!(this.retention >= 0) || !Number.isFinite(this.retention)) {
+            throw new Error('retention must be a finite number of milliseconds');
+        }
+        this.maxQueued = options.maxQueued || QUEUE_DEFAULTS.maxQueued;
+        this.maxFinished = options.maxFinished || QUEUE_DEFAULTS.maxFinished;
+        this.maxResultBytes = options.maxResultBytes || QUEUE_DEFAULTS.maxResultBytes;
+        this.webhookTimeout = options.webhookTimeout || QUEUE_DEFAULTS.webhookTimeout;
+        this.links = options.links || (() => ({}));
+        this.isolation = options.isolation || null;
+        this.logger = getLogger(options);
+
+        this.jobs = new Map(); // id -> job, in submission order
+        this.pending = []; // Ids of queued jobs, oldest first
+        this.active = 0;
+        this.closed = false;
+        this.sweepTimer = null; // Fires when the next finished job expires
+    }
+
+    /**
+     * Adds a job to the queue
+     *
+     * @param {Object} task - What to render, passed to the run function
+     * @param {Object} options - Job settings
+     * @param {string} options.webhook - URL notified when the job is done or has failed
+     * @param {string} options.filename - File name of the result (default: 'document.pdf')
+     * @returns {Object} - The job: { id, state, createdAt, ... }
+     * @throws {QueueFullError} - If maxQueued jobs are already waiting
+     * @throws {Error} - If the queue is closed or the webhook URL is invalid or blocked
+     */
+    submit(task, options = {}) {
+        if (this.closed) {
+            throw new Error('JobQueue has been closed');
+        }
+        if (this.pending.length >= this.maxQueued) {
+            this.logger.warn(`⚠️ Rejected job: ${this.pending.length} jobs are already waiting`,
+                { event: 'jobRejected', waiting: this.pending.length });
+            throw new QueueFullError(this.maxQueued);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            state: 'queued',
+            task,
+            filename: options.filename || 'document.pdf',
+            webhook: options.webhook ? validateWebhookURL(options.webhook, this.isolation) : null,
+            webhookStatus: null,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            errorCode: null,
+            result: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this.logger.info(`📥 Queued job ${job.id} (${this.pending.length} waiting)`,
+            { event: 'jobQueued', jobId: job.id, waiting: this.pending.length });
+
+        this.next();
+        return job;
+    }
+
+    /**
+     * Looks up a job
+     *
+     * @param {string} id - Job id
+     * @returns {Object|null} - The job, or null when unknown or expired
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Counts the jobs in each state
+     *
+     * @returns {Object} - { queued, rendering, done, failed }
+     */
+    counts() {
+        const counts = { queued: 0, rendering: 0, done: 0, failed: 0 };
+        this.jobs.forEach(job => counts[job.state]++);
+        return counts;
+    }
+
+    /**
+     * Describes a job for API responses and webhooks
+     *
+     * @param {Object} job - Job from submit() or get()
+     * @returns {Object} - { id, state, createdAt, startedAt, finishedAt, error?, errorCode?, size?,
+     *   blockedRequests?, expiresAt?, webhookStatus? }, plus the fields of the links option;
+     *   webhookStatus is null until the webhook was sent, then 'HTTP 200' or why it failed
+     */
+    describe(job) {
+        const description = {
+            id: job.id,
+            state: job.state,
+            createdAt: job.createdAt.toISOString(),
+            startedAt: job.startedAt && job.startedAt.toISOString(),
+            finishedAt: job.finishedAt && job.finishedAt.toISOString(),
+            ...this.links(job)
+        };
+        if (job.state === 'failed') {
+            description.error = job.error;
+            if (job.errorCode) {
+                description.errorCode = job.errorCode;
+            }
+        }
+        if (job.state === 'done') {
+            description.size = job.result.length;
+            if (job.result.blockedRequests) {
+                description.blockedRequests = job.result.blockedRequests; // See network-isolation.js
+            }
+        }
+        if (job.finishedAt) {
+            description.expiresAt = new Date(job.finishedAt.getTime() + this.retention).toISOString();
+        }
+        if (job.webhook) {
+            description.webhookStatus = job.webhookStatus;
+        }
+        return description;
+    }
+
+    /**
+     * Starts queued jobs while there are free slots
+     */
+    next() {
+        while (!this.closed && this.active < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (job) {
+                this.active++;
+                this.process(job).finally(() => {
+                    this.active--;
+                    this.next();
+                    // Sent once the slot is free, so slow webhook receivers never hold up rendering
+                    if (job.webhook) {
+                        this.notify(job);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Renders one job and records its outcome
+     *
+     * @param {Object} job - Queued job
+     * @returns {Promise<void>} - Never rejects
+     */
+    async process(job) {
+        job.state = 'rendering';
+        job.startedAt = new Date();
+        this.logger.info(`⚙️ Rendering job ${job.id}...`, { event: 'jobStarted', jobId: job.id });
+
+        try {
+            job.result = await this.run(job.task);
+            job.state = 'done';
+            this.logger.info(`✅ Job ${job.id} done (${job.result.length} bytes)`,
+                { event: 'jobDone', jobId: job.id, bytes: job.result.length, durationMs: Date.now() - job.startedAt });
+        } catch (error) {
+            job.state = 'failed';
+            job.error = error.message;
+            job.errorCode = error instanceof ConversionError ? error.code : null;
+            this.logger.error(`❌ Job ${job.id} failed: ${error.message}`,
+                { event: 'jobFailed', jobId: job.id, error: error.message, code: job.errorCode });
+        }
+
+        job.finishedAt = new Date();
+        job.task = null; // The document is no longer needed, only the result
+        this.removeExpired();
+        this.removeOldest();
+    }
+
+    /**
+     * Removes the oldest finished jobs beyond maxFinished and maxResultBytes
+     */
+    removeOldest() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => job.finishedAt)
+            .sort((a, b) => a.finishedAt - b.finishedAt);
+        let bytes = finished.reduce((total, job) => total + (job.result ? job.result.length : 0), 0);
+        let count = finished.length;
+
+        for (const job of finished) {
+            if (count <= this.maxFinished && bytes <= this.maxResultBytes) {
+                break;
+            }
+            this.jobs.delete(job.id);
+            count--;
+            bytes -= job.result ? job.result.length : 0;
+            this.logger.info(`🗑️ Removed job ${job.id} before its retention ended (finished job limits)`,
+                { event: 'jobEvicted', jobId: job.id });
+        }
+    }
+
+    /**
+     * Removes the finished jobs whose retention period is over
+     *
+     * Expiry is decided by the finish time, and one timer is kept for the next
+     * job to expire. Its delay is capped, since setTimeout() fires right away
+     * for delays beyond about 24.8 days; the timer never keeps the process alive.
+     */
+    removeExpired() {
+        const now = Date.now();
+        let nextExpiry = Infinity;
+        this.jobs.forEach((job, id) => {
+            if (!job.finishedAt) {
+                return;
+            }
+            const expiresAt = job.finishedAt.getTime() + this.retention;
+            if (expiresAt <= now) {
+                this.jobs.delete(id);
+            } else {
+                nextExpiry = Math.min(nextExpiry, expiresAt);
+            }
+        });
+
+        clearTimeout(this.sweepTimer);
+        this.sweepTimer = nextExpiry === Infinity || this.closed
+            ? null
+            : setTimeout(() => this.removeExpired(), Math.min(nextExpiry - now, MAX_TIMER_DELAY)).unref();
+    }
+
+    /**
+     * Sends the webhook of a finished job
+     *
+     * @param {Object} job - Finished job with a webhook URL
+     * @returns {Promise<void>} - Never rejects; the outcome is stored in job.webhookStatus
+     */
+    async notify(job) {
+        try {
+            const status = await postWebhook(job.webhook, this.describe(job), this.webhookTimeout);
+            job.webhookStatus = `HTTP ${status}`;
+            this.logger.info(`📣 Notified webhook for job ${job.id}`, { event: 'webhook', jobId: job.id, status });
+        } catch (error) {
+            job.webhookStatus = error.message;
+            this.logger.warn(`⚠️ Webhook for job ${job.id} failed: ${error.message}`,
+                { event: 'webhookFailed', jobId: job.id, error: error.message });
+        }
+    }
+
+    /**
+     * Stops starting jobs and forgets all jobs
+     *
+     * Jobs that are rendering finish, but their results are discarded.
+     */
+    close() {
+        this.closed = true;
+        this.pending = [];
+        this.jobs.clear();
+        clearTimeout(this.sweepTimer);
+    }
+}
+
+module.exports = {
+    JobQueue,          // In-memory render job queue
+    QueueFullError,    // Submission beyond maxQueued
+    validateWebhookURL // Webhook URL check
+};
@@ -0,0 +1,237 @@
+/**
+ * Logging
+ *
+ * This module routes the progress messages of conversions to a logger chosen
+ * by the caller. Library use is silent by default; the `logger` option turns
+ * logging on:
+ * - A pino, bunyan or winston logger, or any object with debug, info, warn
+ *   and error methods
+ * - createConsoleLogger(): the emoji progress lines of the command line, or
+ *   one JSON object per line with { format: 'json' }
+ *
+ * Levels, from most to least verbose: debug, info, warn and error; 'silent'
+ * turns logging off. The `logLevel` option sets the least severe level that
+ * is passed on to the logger (default: 'info').
+ *
+ * Messages come with structured fields. The duration of each phase of a
+ * conversion is logged at info level as { event: 'phase', phase, durationMs },
+ * where phase is one of:
+ * - launch: Launching a browser
+ * - process: Preparing the HTML (styles, fonts, code blocks)
+ * - setContent: Loading the HTML into the page (goto for live pages by URL)
+ * - pdf: Printing the PDF
+ *
+ * Structured loggers receive the messages without their leading emoji. A
+ * logger that throws never fails a conversion.
+ *
+ * @example
+ * const logger = require('pino')();
+ * const pdf = await renderPDF(html, { logger, logLevel: 'debug' });
+ * // {"level":30,"event":"phase","phase":"pdf","durationMs":412,"msg":"pdf: 412 ms",...}
+ */
+
+/**
+ * Log levels, from most to least verbose
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Methods a logger object must have
+ */
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Emoji (with variation selectors and joiners) at the start of a message
+ */
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\u{FE0F}\u{200D}]+\s*/u;
+
+/**
+ * Level-filtered logger used by every module of the converter
+ */
+class Logger {
+    /**
+     * @param {Function} write - Outputs a message: (level, message, fields) => void
+     * @param {string} level - Least severe level that is written (default: 'info')
+     * @throws {Error} - If the level is unknown
+     */
+    constructor(write, level = 'info') {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Invalid logLevel: "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+        }
+        this.write = write;
+        this.level = level;
+    }
+
+    /**
+     * Checks whether messages of a level are written
+     *
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @returns {boolean} - True when the level is at or above the logger's level
+     */
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Writes a message if its level is enabled
+     *
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @param {string} message - Human-readable message
+     * @param {Object} fields - Structured fields of the event
+     */
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        try {
+            this.write(level, message, fields);
+        } catch (error) {
+            // Logging must never break a conversion
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Logs how long a phase of a conversion took
+     *
+     * @param {string} phase - Phase name, e.g. 'process'
+     * @param {number} startedAt - Start of the phase (Date.now())
+     * @param {boolean} failed - Whether the phase failed (default: false)
+     */
+    phase(phase, startedAt, failed = false) {
+        const durationMs = Date.now() - startedAt;
+        this.info(`⏱️ ${phase}: ${durationMs} ms${failed ? ' (failed)' : ''}`,
+            { event: 'phase', phase, durationMs, ...(failed ? { failed } : {}) });
+    }
+
+    /**
+     * Runs an async phase of a conversion and logs how long it took
+     *
+     * @param {string} phase - Phase name, e.g. 'launch' or 'pdf'
+     * @param {Function} task - Async function running the phase
+     * @returns {Promise<*>} - Whatever the task resolves to
+     *
+     * @example
+     * const pdf = await log.time('pdf', () => page.pdf(pdfOptions));
+     */
+    async time(phase, task) {
+        const startedAt = Date.now();
+        try {
+            const result = await task();
+            this.phase(phase, startedAt);
+            return result;
+        } catch (error) {
+            this.phase(phase, startedAt, true);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Logger that writes nothing, used when no logger is configured
+ */
+const SILENT_LOGGER = new Logger(() => {}, 'silent');
+
+/**
+ * Removes the leading emoji of a message for structured output
+ *
+ * @param {string} message - Message such as '🌐 Launching browser...'
+ * @returns {string} - 'Launching browser...'
+ */
+function plainMessage(message) {
+    return String(message).replace(LEADING_EMOJI, '');
+}
+
+/**
+ * Creates a logger that writes to the console
+ *
+ * Debug and info messages go to stdout (console.log), warnings and errors to
+ * stderr (console.error), unless a stream is given for all messages.
+ *
+ * @param {Object} options - Console logger options
+ * @param {string} options.level - Least severe level that is written (default: 'info')
+ * @param {string} options.format - 'text' for the emoji progress lines (default) or 'json'
+ *   for one JSON object per line: { time, level, msg, ...fields }
+ * @param {Object} options.stream - Writable stream for every message, e.g. process.stderr when
+ *   stdout carries other output (default: the console)
+ * @returns {Logger} - The logger, for the logger option
+ * @throws {Error} - If the level or format is unknown
+ *
+ * @example
+ * await convertHTMLToPDF(html, 'output.pdf', { logger: createConsoleLogger({ level: 'debug' }) });
+ */
+function createConsoleLogger(options = {}) {
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+        throw new Error(`Invalid log format: "${format}" (expected text or json)`);
+    }
+
+    return new Logger((level, message, fields) => {
+        const output = options.stream
+            ? line => options.stream.write(`${line}\n`)
+            : level === 'warn' || level === 'error' ? console.error : console.log;
+        if (format === 'json') {
+            output(JSON.stringify({ time: new Date().toISOString(), level, msg: plainMessage(message), ...fields }));
+        } else {
+            output(message);
+        }
+    }, options.level || 'info');
+}
+
+/**
+ * Resolves the logger and logLevel options into a Logger
+ *
+ * pino and bunyan loggers are called as logger.info(fields, message), winston
+ * loggers (recognized by their transports) as logger.info(message, fields).
+ *
+ * @param {Object} options - Options or configuration with logger and logLevel
+ * @returns {Logger} - The logger; a silent one when no logger is configured
+ * @throws {Error} - If the logger lacks a level method or the level is unknown
+ *
+ * @example
+ * const log = getLogger(config);
+ * log.debug('🔍 Looking for content wrapper divs...');
+ */
+function getLogger(options = {}) {
+    const { logger, logLevel } = options;
+    if (logger instanceof Logger) {
+        return logLevel && logLevel !== logger.level ? new Logger(logger.write, logLevel) : logger;
+    }
+    if (logger === undefined || logger === null || logger === false) {
+        return SILENT_LOGGER;
+    }
+    if (typeof logger !== 'object' || LOGGER_METHODS.some(method => typeof logger[method] !== 'function')) {
+        throw new Error('Invalid logger: expected an object with debug, info, warn and error methods (e.g. pino or winston)');
+    }
+
+    const isWinston = Array.isArray(logger.transports);
+    return new Logger((level, message, fields) => {
+        if (isWinston) {
+            logger[level](plainMessage(message), fields);
+        } else {
+            logger[level](fields, plainMessage(message));
+        }
+    }, logLevel || 'info');
+}
+
+module.exports = {
+    LOG_LEVELS,          // Level names
+    Logger,              // Level-filtered logger
+    createConsoleLogger, // Text or JSON console output
+    getLogger            // logger and logLevel option resolution
+};
@@ -0,0 +1,180 @@
+/**
+ * Markdown Input
+ *
+ * This module converts Markdown documents into the HTML that pdf-converter.js
+ * renders, so documentation written in Markdown can be converted without a
+ * separate build step.
+ *
+ * Supported syntax is GitHub-flavored Markdown, including tables, task lists
+ * and fenced code. Fenced code marked as `html` (and unlabelled fences) become
+ * plain <pre><code> blocks, so they get the same rendered preview as HTML code
+ * blocks in HTML input (see renderHTMLCodeBlocks in pdf-converter.js).
+ *
+ * A YAML front matter block at the top of the document sets conversion options:
+ * - title, author, subject, keywords, lang: Document metadata (title also sets
+ *   the {{title}} header/footer token)
+ * - pageSize, width, height, orientation, margin: Page geometry
+ * - toc, outline, includeFonts, renderCodeBlocks, skipFirstPageHeaderFooter:
+ *   Same as the conversion options of the same name
+ *
+ * Other front matter keys (e.g. for static site generators) are ignored.
+ * Options passed by the caller take precedence over the front matter.
+ *
+ * @example
+ * // report.md:
+ * // ---
+ * // title: Quarterly Report
+ * // pageSize: Letter
+ * // orientation: landscape
+ * // ---
+ * // # Summary
+ * await convertHTMLToPDF(await fs.readFile('report.md', 'utf8'), 'report.pdf', { inputFormat: 'markdown' });
+ */
+
+const { marked } = require('marked'); // Markdown parser
+const yaml = require('js-yaml'); // YAML front matter parser
+const { getLogger } = require('./logger.js'); // Progress logging
+const { InvalidInputError } = require('./conversion-errors.js'); // Front matter errors
+
+/**
+ * Front matter keys copied to the conversion options unchanged
+ */
+const FRONT_MATTER_OPTIONS = [
+    'pageSize',
+    'width',
+    'height',
+    'orientation',
+    'margin',
+    'toc',
+    'outline',
+    'includeFonts',
+    'renderCodeBlocks',
+    'skipFirstPageHeaderFooter'
+];
+
+/**
+ * Front matter keys mapped to document metadata
+ */
+const FRONT_MATTER_METADATA = {
+    title: 'title',
+    author: 'author',
+    subject: 'subject',
+    keywords: 'keywords',
+    lang: 'language'
+};
+
+/**
+ * Checks whether a file path names a Markdown document
+ *
+ * @param {string} filePath - Input file path
+ * @returns {boolean} - True for .md and .markdown files
+ */
+function isMarkdownPath(filePath) {
+    return /\.(md|markdown)$/i.test(filePath);
+}
+
+/**
+ * Splits a YAML front matter block from a Markdown document
+ *
+ * The block must start on the first line with `---` and end with a line of
+ * `---` or `...`.
+ *
+ * @param {string} source - Markdown document
+ * @returns {Object} - { data, body }: parsed front matter ({} without one) and the remaining Markdown
+ * @throws {InvalidInputError} - If the front matter is not valid YAML or not a mapping
+ */
+function parseFrontMatter(source) {
+    const match = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(source);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    let data;
+    try {
+        data = yaml.load(match[1] || '');
+    } catch (error) {
+        throw new InvalidInputError(`Invalid Markdown front matter: ${error.message}`, { cause: error });
+    }
+
+    if (data === undefined || data === null) {
+        data = {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new InvalidInputError('Invalid Markdown front matter: expected key: value pairs');
+    }
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Maps front matter values to conversion options
+ *
+ * @param {Object} data - Parsed front matter
+ * @returns {Object} - Conversion options (metadata only when any metadata key is present)
+ */
+function frontMatterToOptions(data) {
+    const options = {};
+
+    FRONT_MATTER_OPTIONS.forEach(key => {
+        if (data[key] !== undefined) {
+            options[key] = data[key];
+        }
+    });
+
+    const metadata = {};
+    Object.entries(FRONT_MATTER_METADATA).forEach(([key, name]) => {
+        if (data[key] !== undefined) {
+            metadata[name] = data[key];
+        }
+    });
+
+    if (Object.keys(metadata).length > 0) {
+        options.metadata = metadata;
+    }
+    if (typeof data.title === 'string') {
+        options.title = data.title;
+    }
+
+    return options;
+}
+
+/**
+ * Renders Markdown (without front matter) into an HTML fragment
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {string} - HTML fragment
+ */
+function renderMarkdown(markdown) {
+    const renderer = new marked.Renderer();
+    const renderCode = renderer.code.bind(renderer);
+
+    // HTML fences lose their language class so the code block preview picks them up
+    renderer.code = (code, language, escaped) => renderCode(code, /^html?$/i.test(language || '') ? '' : language, escaped);
+
+    return marked.parse(markdown, { gfm: true, renderer });
+}
+
+/**
+ * Converts a Markdown document into HTML and the options from its front matter
+ *
+ * @param {string} source - Markdown document, optionally with YAML front matter
+ * @param {Object} options - Conversion options with the logger (optional)
+ * @returns {Object} - { html, options }: HTML fragment and front matter options
+ * @throws {InvalidInputError} - If the front matter is invalid
+ */
+function convertMarkdown(source, options = {}) {
+    getLogger(options).info('📘 Converting Markdown to HTML...');
+
+    const { data, body } = parseFrontMatter(source);
+    return {
+        html: renderMarkdown(body),
+        options: frontMatterToOptions(data)
+    };
+}
+
+module.exports = {
+    isMarkdownPath,   // Markdown file detection
+    convertMarkdown,  // Markdown document to HTML and options
+    parseFrontMatter, // Front matter splitting
+    renderMarkdown    // Markdown to HTML fragment
+};
@@ -0,0 +1,242 @@
+/**
+ * Network Isolation
+ *
+ * This module isolates rendering of untrusted HTML. Without it, a document can
+ * load any URL the rendering machine can reach - including internal hosts and
+ * cloud metadata endpoints - and run arbitrary JavaScript. With network isolation:
+ * - Every http(s) request is blocked unless it matches the allowlist
+ * - file:// requests are always blocked, whatever the allowlist says
+ * - WebSockets (ws:, wss:) and other schemes are always blocked; inline data:
+ *   and blob: content still loads
+ * - JavaScript can be turned off for the document
+ *
+ * The rules apply to every request of the page, including subresources,
+ * frames, redirects, requests made by scripts and WebSockets; service workers
+ * are bypassed, so they cannot answer requests in place of the network. Each
+ * blocked request is logged and recorded, so callers can see what a document
+ * tried to load.
+ *
+ * What isolation guarantees: nothing the page loads through Chrome's network
+ * stack reaches a URL outside the allowlist. Scripts still run with
+ * JavaScript on and can use channels outside that stack, such as WebRTC
+ * connections to STUN/TURN servers. Set javascript: false when the scripts of
+ * a document are as untrusted as its markup.
+ *
+ * Options (`isolation` option):
+ * - true: Block all outbound requests, keep JavaScript on (see the guarantee above)
+ * - { allow, javascript }:
+ *   - allow: Hosts and URLs the document may load (see below)
+ *   - javascript: false to disable JavaScript in the document (default: true)
+ *
+ * Allowlist entries:
+ * - 'cdn.example.com': Any http(s) URL on this host
+ * - 'cdn.example.com:8443': This host on this port only
+ * - '*.example.com': Any subdomain of example.com (not example.com itself)
+ * - 'https://assets.example.com/img/': Any URL starting with this prefix
+ *
+ * Host names are matched as written; a host that resolves to an internal
+ * address is reachable when it is on the allowlist.
+ *
+ * @example
+ * const pdf = await renderPDF(customerHTML, {
+ *   isolation: { allow: ['cdn.example.com', 'https://assets.example.com/public/'], javascript: false }
+ * });
+ * console.log(pdf.blockedRequests); // [{ url, resourceType, reason }, ...]
+ */
+
+const { getLogger } = require('./logger.js'); // Blocked request logging
+
+/**
+ * Schemes of inline content, which never leaves the browser
+ */
+const INLINE_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * DevTools URL patterns of WebSockets, which request interception never sees
+ */
+const WEBSOCKET_PATTERNS = ['ws://*', 'wss://*'];
+
+/**
+ * Pages that are already isolated
+ */
+const isolatedPages = new WeakSet();
+
+/**
+ * Checks whether a configuration asks for network isolation
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {boolean} - True when the isolation option is set
+ */
+function hasIsolation(config) {
+    return Boolean(config.isolation);
+}
+
+/**
+ * Validates one allowlist entry
+ *
+ * @param {string} entry - Host, host:port, *.domain or http(s):// URL prefix
+ * @returns {string} - The entry, with URL prefixes normalized
+ * @throws {Error} - If the entry is not a host or an http(s) URL
+ */
+function normalizeAllowEntry(entry) {
+    if (typeof entry !== 'string' || !entry.trim()) {
+        throw new Error(`Invalid allowlist entry: "${entry}"`);
+    }
+    entry = entry.trim();
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(entry)) {
+        let url;
+        try {
+            url = new URL(entry);
+        } catch (error) {
+            throw new Error(`Invalid allowlist URL: "${entry}"`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`Allowlist URLs must be http or https: "${entry}"`);
+        }
+        // new URL() adds the trailing slash, so 'https://a.com' cannot match 'https://a.com.evil.net'
+        return url.href;
+    }
+
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i.test(entry)) {
+        throw new Error(`Invalid allowlist entry: "${entry}" (expected a host, *.domain or an http(s) URL)`);
+    }
+    return entry.toLowerCase();
+}
+
+/**
+ * Resolves the isolation option into its settings
+ *
+ * @param {boolean|Object} option - true or { allow, javascript }
+ * @returns {Object} - { allow, javascript } with validated allowlist entries
+ * @throws {Error} - If the option or an allowlist entry is invalid
+ */
+function resolveIsolation(option) {
+    if (option === true) {
+        return { allow: [], javascript: true };
+    }
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+        throw new Error('isolation must be true or an object: { allow, javascript }');
+    }
+
+    const allow = option.allow === undefined ? [] : [].concat(option.allow);
+    return {
+        allow: allow.map(normalizeAllowEntry),
+        javascript: option.javascript !== false
+    };
+}
+
+/**
+ * Checks whether a host matches a host allowlist entry
+ *
+ * @param {URL} url - Requested URL
+ * @param {string} entry - Host, host:port or *.domain entry
+ * @returns {boolean} - True when the entry allows the URL
+ */
+function matchesHost(url, entry) {
+    const [host, port] = entry.split(':');
+    if (port !== undefined) {
+        const urlPort = url.port || (url.protocol === 'https:' ? '443' : '80');
+        if (urlPort !== port) {
+            return false;
+        }
+    }
+    return host.startsWith('*.')
+        ? url.hostname.endsWith(host.slice(1))
+        : url.hostname === host;
+}
+
+/**
+ * Decides whether network isolation lets a request through
+ *
+ * @param {string} requestURL - URL of the request
+ * @param {Object} isolation - Settings from resolveIsolation()
+ * @returns {string|null} - Why the request is blocked, or null when it is allowed
+ */
+function checkRequest(requestURL, isolation) {
+    let url;
+    try {
+        url = new URL(requestURL);
+    } catch (error) {
+        return 'invalid URL';
+    }
+
+    if (INLINE_SCHEMES.includes(url.protocol)) {
+        return null;
+    }
+    if (url.protocol === 'file:') {
+        return 'file access is not allowed';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return `${url.protocol} requests are not allowed`;
+    }
+
+    const allowed = isolation.allow.some(entry => /^https?:/.test(entry)
+        ? url.href.startsWith(entry)
+        : matchesHost(url, entry));
+    return allowed ? null : 'not on the allowlist';
+}
+
+/**
+ * Isolates a browser page from the network
+ *
+ * Must be called before content is loaded into the page; calling it again for
+ * the same page has no effect. Blocked requests are appended to
+ * config.blockedRequests as { url, resourceType, reason }.
+ *
+ * Requests are blocked through cooperative request interception, except for
+ * WebSockets, which are blocked with DevTools URL patterns.
+ *
+ * @param {Object} page - Puppeteer page
+ * @param {Object} config - Configuration from createConfig() with resolved isolation settings
+ * @returns {Promise<void>}
+ */
+async function applyIsolation(page, config) {
+    if (isolatedPages.has(page)) {
+        return;
+    }
+    isolatedPages.add(page);
+
+    const isolation = config.isolation;
+    if (!isolation.javascript) {
+        await page.setJavaScriptEnabled(false);
+    }
+
+    const log = getLogger(config);
+    const record = (url, resourceType, reason) => {
+        log.warn(`🚫 Blocked request: ${url.slice(0, 200)} (${reason})`, { event: 'blockedRequest', url, reason });
+        config.blockedRequests.push({ url, resourceType, reason });
+    };
+
+    // WebSockets bypass request interception; Chrome refuses to open them instead
+    const session = await page.target().createCDPSession();
+    await session.send('Network.enable');
+    await session.send('Network.setBlockedURLs', { urls: WEBSOCKET_PATTERNS });
+    session.on('Network.webSocketCreated', ({ url }) => record(url, 'websocket', checkRequest(url, isolation)));
+
+    // Requests answered by a service worker would never reach the handler below
+    await page.setBypassServiceWorker(true);
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
+        }
+
+        const reason = checkRequest(request.url(), isolation);
+        if (reason) {
+            record(request.url(), request.resourceType(), reason);
+            // Cooperative interception: other handlers (e.g. font blocking) vote too, and an abort always wins
+            request.abort('blockedbyclient', 0);
+        } else {
+            request.continue(request.continueRequestOverrides(), 0);
+        }
+    });
+}
+
+module.exports = {
+    hasIsolation,     // Isolation detection
+    resolveIsolation, // Isolation option validation
+    checkRequest,     // Allowlist decision for one URL
+    applyIsolation    // Request blocking in a page
+};
@@ -0,0 +1,362 @@
+/**
+ * PDF/A Archival Output
+ *
+ * This module turns a rendered PDF into a PDF/A-1b, PDF/A-2b or PDF/A-3b
+ * document for long-term archiving. It runs after metadata (see
+ * pdf-metadata.js) and before anything else touches the file.
+ *
+ * The conversion:
+ * - Embeds an sRGB ICC profile as the document's output intent
+ * - Writes complete XMP metadata (kept in sync with the Info dictionary)
+ *   identifying the PDF/A part and conformance level, and describes custom XMP
+ *   properties with a PDF/A extension schema
+ * - Marks annotations (links) as printable, as PDF/A requires
+ * - Saves PDF/A-1 files without object streams (PDF 1.4 syntax)
+ *
+ * Some content cannot be fixed afterwards. The conversion fails with a report
+ * listing every problem when the document:
+ * - Uses a font that is not embedded
+ * - Uses transparency (opacity, soft masks or blend modes) with PDF/A-1;
+ *   use '2b' or '3b' for such documents
+ * - Is to be encrypted (PDF/A does not allow encryption)
+ *
+ * Chrome embeds every font it uses, so font problems normally only come from
+ * PDFs changed by other tools. The result should still be checked with a
+ * validator such as veraPDF when compliance is audited.
+ *
+ * @example
+ * await convertHTMLToPDF(recordHTML, 'record.pdf', {
+ *   pdfa: '2b',
+ *   metadata: { author: 'Records Office', language: 'en-GB' }
+ * });
+ */
+
+const {
+    PDFDocument,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFStream,
+    PDFNumber
+} = require('@cantoo/pdf-lib'); // PDF object model and PDF/A conversion
+const { escapeXML } = require('./pdf-metadata.js'); // XMP text escaping
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Supported PDF/A levels and their pdf-lib conformance names
+ */
+const PDFA_LEVELS = {
+    '1b': '1B',
+    '2b': '2B',
+    '3b': '3B'
+};
+
+/**
+ * Namespace URIs of the PDF/A extension schema description
+ */
+const EXTENSION_NAMESPACES = {
+    pdfaExtension: 'http://www.aiim.org/pdfa/ns/extension/',
+    pdfaSchema: 'http://www.aiim.org/pdfa/ns/schema#',
+    pdfaProperty: 'http://www.aiim.org/pdfa/ns/property#'
+};
+
+/**
+ * Checks whether PDF/A output is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the pdfa option is set
+ */
+function hasPDFA(config) {
+    return Boolean(config.pdfa);
+}
+
+/**
+ * Resolves the pdfa option into a PDF/A level
+ *
+ * @param {string} pdfa - '1b', '2b' or '3b' (case-insensitive)
+ * @returns {string} - The level in lower case, e.g. '2b'
+ * @throws {Error} - If the level is not supported
+ */
+function resolvePDFALevel(pdfa) {
+    const level = String(pdfa).toLowerCase();
+    if (!PDFA_LEVELS[level]) {
+        throw new Error(`Invalid pdfa level: "${pdfa}" (expected ${Object.keys(PDFA_LEVELS).join(', ')})`);
+    }
+    return level;
+}
+
+/**
+ * Builds the PDF/A extension schema describing custom XMP properties
+ *
+ * PDF/A only allows XMP properties from namespaces it knows or that are
+ * described in the packet itself.
+ *
+ * @param {Object} xmp - Custom XMP from the metadata option: { namespaces, properties }
+ * @returns {string|null} - rdf:Description element, or null without custom properties
+ */
+function buildExtensionSchema(xmp) {
+    const namespaces = (xmp && xmp.namespaces) || {};
+    const properties = Object.entries((xmp && xmp.properties) || {});
+
+    const schemas = Object.entries(namespaces).map(([prefix, uri]) => {
+        const described = properties
+            .filter(([name]) => name.startsWith(`${prefix}:`))
+            .map(([name, value]) => {
+                const localName = name.slice(prefix.length + 1);
+                return `<rdf:li rdf:parseType="Resource">` +
+                    `<pdfaProperty:name>${escapeXML(localName)}</pdfaProperty:name>` +
+                    `<pdfaProperty:valueType>${Array.isArray(value) ? 'bag Text' : 'Text'}</pdfaProperty:valueType>` +
+                    '<pdfaProperty:category>external</pdfaProperty:category>' +
+                    `<pdfaProperty:description>${escapeXML(localName)}</pdfaProperty:description>` +
+                    '</rdf:li>';
+            });
+        if (described.length === 0) {
+            return null;
+        }
+
+        return '<rdf:li rdf:parseType="Resource">' +
+            `<pdfaSchema:schema>${escapeXML(prefix)} properties</pdfaSchema:schema>` +
+            `<pdfaSchema:namespaceURI>${escapeXML(uri)}</pdfaSchema:namespaceURI>` +
+            `<pdfaSchema:prefix>${escapeXML(prefix)}</pdfaSchema:prefix>` +
+            `<pdfaSchema:property><rdf:Seq>${described.join('')}</rdf:Seq></pdfaSchema:property>` +
+            '</rdf:li>';
+    }).filter(Boolean);
+
+    if (schemas.length === 0) {
+        return null;
+    }
+
+    const declarations = Object.entries(EXTENSION_NAMESPACES)
+        .map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`)
+        .join('');
+    return `<rdf:Description rdf:about=""${declarations}>` +
+        `<pdfaExtension:schemas><rdf:Bag>${schemas.join('')}</rdf:Bag></pdfaExtension:schemas>` +
+        '</rdf:Description>';
+}
+
+/**
+ * Visits a resource dictionary and the resources of its form XObjects
+ *
+ * @param {PDFDict} resources - Resource dictionary
+ * @param {Function} visit - Called with each resource dictionary
+ * @param {Set} seen - Dictionaries already visited (forms are often shared)
+ */
+function walkResources(resources, visit, seen = new Set()) {
+    if (!(resources instanceof PDFDict) || seen.has(resources)) {
+        return;
+    }
+    seen.add(resources);
+    visit(resources);
+
+    const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (xObjects) {
+        xObjects.values().forEach(value => {
+            const xObject = resources.context.lookup(value);
+            if (xObject instanceof PDFStream) {
+                walkResources(xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), visit, seen);
+            }
+        });
+    }
+}
+
+/**
+ * Returns the resource dictionaries of a page's annotation appearances
+ *
+ * Form fields, for example, draw their values with fonts from these resources.
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Array<PDFDict>} - Resource dictionaries of the normal appearance streams
+ */
+function annotationResources(page) {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    const resources = [];
+    if (!annots) {
+        return resources;
+    }
+
+    for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        const appearance = annot instanceof PDFDict ? annot.lookupMaybe(PDFName.of('AP'), PDFDict) : null;
+        const normal = appearance && appearance.lookup(PDFName.of('N'));
+        // Check boxes and radio buttons have one appearance stream per state
+        const streams = normal instanceof PDFDict
+            ? normal.values().map(value => page.doc.context.lookup(value))
+            : [normal];
+        streams.forEach(stream => {
+            if (stream instanceof PDFStream) {
+                resources.push(stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict));
+            }
+        });
+    }
+    return resources;
+}
+
+/**
+ * Checks whether a font dictionary has its font program embedded
+ *
+ * Type 3 fonts are made of PDF drawing operators, so they are always embedded.
+ *
+ * @param {PDFDict} font - Font dictionary
+ * @returns {boolean} - True when the font is embedded
+ */
+function isFontEmbedded(font) {
+    const subtype = font.get(PDFName.of('Subtype'));
+    if (subtype === PDFName.of('Type3')) {
+        return true;
+    }
+
+    const descendants = subtype === PDFName.of('Type0') ? font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray) : null;
+    const programFont = descendants ? descendants.lookup(0, PDFDict) : font;
+    const descriptor = programFont.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+
+    return Boolean(descriptor) && ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * Checks whether a resource dictionary uses transparency
+ *
+ * @param {PDFDict} resources - Resource dictionary
+ * @returns {boolean} - True for opacity below 1, soft masks or blend modes
+ */
+function usesTransparency(resources) {
+    const states = resources.lookupMaybe(PDFName.of('ExtGState'), PDFDict);
+    const transparentState = states && states.values().some(value => {
+        const state = resources.context.lookup(value);
+        if (!(state instanceof PDFDict)) {
+            return false;
+        }
+        const opacity = ['CA', 'ca'].some(key => {
+            const alpha = state.lookup(PDFName.of(key));
+            return alpha instanceof PDFNumber && alpha.asNumber() < 1;
+        });
+        const softMask = state.get(PDFName.of('SMask'));
+        const blendMode = state.get(PDFName.of('BM'));
+        return opacity ||
+            (softMask !== undefined && softMask !== PDFName.of('None')) ||
+            (blendMode !== undefined && blendMode !== PDFName.of('Normal') && blendMode !== PDFName.of('Compatible'));
+    });
+
+    const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const transparentImage = xObjects && xObjects.values().some(value => {
+        const xObject = resources.context.lookup(value);
+        return xObject instanceof PDFStream && xObject.dict.has(PDFName.of('SMask'));
+    });
+
+    return Boolean(transparentState || transparentImage);
+}
+
+/**
+ * Lists the problems that prevent a document from becoming PDF/A
+ *
+ * @param {PDFDocument} pdfDoc - Loaded rendered PDF
+ * @param {string} level - PDF/A level, e.g. '1b'
+ * @param {Object} config - Conversion configuration
+ * @returns {Array<string>} - Problem descriptions (empty when the document can be converted)
+ */
+function findComplianceProblems(pdfDoc, level, config) {
+    const problems = [];
+    if (config.encryption) {
+        problems.push('Encryption is not allowed in PDF/A - remove the encryption option');
+    }
+
+    const unembeddedFonts = new Set();
+    const transparentPages = [];
+    pdfDoc.getPages().forEach((page, index) => {
+        let transparent = false;
+        const check = resources => {
+            const fonts = resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+            if (fonts) {
+                fonts.values().forEach(value => {
+                    const font = resources.context.lookup(value);
+                    if (font instanceof PDFDict && !isFontEmbedded(font)) {
+                        const baseFont = font.get(PDFName.of('BaseFont'));
+                        unembeddedFonts.add(baseFont ? baseFont.decodeText() : 'unnamed font');
+                    }
+                });
+            }
+            transparent = transparent || usesTransparency(resources);
+        };
+
+        const seen = new Set();
+        walkResources(page.node.Resources(), check, seen);
+        annotationResources(page).forEach(resources => walkResources(resources, check, seen));
+        if (transparent) {
+            transparentPages.push(index + 1);
+        }
+    });
+
+    unembeddedFonts.forEach(font => problems.push(`Font "${font}" is not embedded`));
+    if (level === '1b' && transparentPages.length > 0) {
+        problems.push(`Transparency (opacity, soft masks or blend modes) on page${transparentPages.length > 1 ? 's' : ''} ` +
+            `${transparentPages.join(', ')} is not allowed in PDF/A-1 - use pdfa: '2b' or remove it`);
+    }
+
+    return problems;
+}
+
+/**
+ * Makes every annotation printable and visible, as PDF/A requires
+ *
+ * @param {PDFDocument} pdfDoc - Document to change
+ */
+function makeAnnotationsPrintable(pdfDoc) {
+    pdfDoc.getPages().forEach(page => {
+        const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+        if (!annots) {
+            return;
+        }
+        for (let i = 0; i < annots.size(); i++) {
+            const annot = annots.lookup(i);
+            if (annot instanceof PDFDict) {
+                const flags = annot.lookup(PDFName.of('F'));
+                const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+                // Print (4) on; Invisible (1), Hidden (2) and NoView (32) off
+                annot.set(PDFName.of('F'), PDFNumber.of((value | 4) & ~(1 | 2 | 32)));
+            }
+        }
+    });
+}
+
+/**
+ * Converts a rendered PDF to PDF/A
+ *
+ * Process Flow:
+ * 1. Check the document for problems that cannot be fixed and report them all
+ * 2. Make annotations printable
+ * 3. Add the output intent, XMP metadata and document ID
+ *
+ * @param {Buffer} pdf - Rendered PDF (with metadata applied)
+ * @param {Object} config - Conversion configuration with the pdfa option
+ * @returns {Promise<Buffer>} - PDF/A document
+ * @throws {Error} - If the level is invalid or the document cannot be made compliant;
+ *   the error's `problems` property lists each problem
+ */
+async function applyPDFA(pdf, config) {
+    const level = resolvePDFALevel(config.pdfa);
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+
+    getLogger(config).info(`🗄️ Converting to PDF/A-${level}...`);
+    const problems = findComplianceProblems(pdfDoc, level, config);
+    if (problems.length > 0) {
+        const error = new Error(`Cannot produce PDF/A-${level}:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+        error.problems = problems;
+        throw error;
+    }
+
+    makeAnnotationsPrintable(pdfDoc);
+
+    const extension = buildExtensionSchema(config.metadata && config.metadata.xmp);
+    pdfDoc.convertToPDFA({
+        conformance: PDFA_LEVELS[level],
+        extensions: extension ? [extension] : []
+    });
+
+    // PDF/A-1 is based on PDF 1.4, which has no object streams
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: level !== '1b' }));
+}
+
+module.exports = {
+    hasPDFA,               // PDF/A detection
+    applyPDFA,             // PDF/A conversion after rendering
+    findComplianceProblems // Compliance checks
+};
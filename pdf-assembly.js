@@ -0,0 +1,240 @@
+/**
+ * PDF Assembly
+ *
+ * This module joins separately rendered PDFs - for example a cover, several
+ * chapters and an appendix - into one document, in order. Each part keeps its
+ * own page size and orientation.
+ *
+ * Chrome links to named destinations (see pdf-destinations.js), which are
+ * stored per document and get lost (or clash between parts) when pages are
+ * copied. Internal links are therefore pointed straight at their target pages
+ * before copying, and the outline entries and form fields of all parts are
+ * combined into one outline and one form for the assembled document.
+ *
+ * Page numbering across parts is handled when the parts are rendered (see
+ * convertManyToPDF in pdf-converter.js); this module only combines the pages.
+ *
+ * @example
+ * const book = await assemblePDF([
+ *   { pdf: coverPdf },
+ *   { pdf: chapterPdf, outlineEntries: chapterEntries }
+ * ]);
+ */
+
+const {
+    PDFDocument,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFString,
+    PDFHexString,
+    PDFNumber,
+    PDFNull
+} = require('@cantoo/pdf-lib'); // PDF object model
+const { collectNamedDestinations } = require('./pdf-destinations.js'); // Link target lookup
+const { placeOutlineEntries, writeOutline } = require('./pdf-outline.js'); // Combined outline
+const { placeFormFields, writeFormFields } = require('./pdf-forms.js'); // Combined form
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Document information copied from the first part to the assembled document
+ */
+const INFO_FIELDS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate'];
+
+/**
+ * Counts the pages of a PDF
+ *
+ * @param {Buffer|Uint8Array} pdf - PDF bytes
+ * @returns {Promise<number>} - Number of pages
+ */
+async function countPages(pdf) {
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    return pdfDoc.getPageCount();
+}
+
+/**
+ * Calls a function for the link annotations of a page
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @param {Function} visit - Called with each link annotation dictionary
+ */
+function forEachLink(page, visit) {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (!annots) {
+        return;
+    }
+
+    for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        if (annot instanceof PDFDict && annot.get(PDFName.of('Subtype')) === PDFName.of('Link')) {
+            visit(annot);
+        }
+    }
+}
+
+/**
+ * Returns the dictionary and key holding a link's destination
+ *
+ * Links either have a /Dest entry or a GoTo action with a /D entry.
+ *
+ * @param {PDFDict} link - Link annotation
+ * @returns {Object|null} - { holder, key }, or null for links to other documents or URLs
+ */
+function findLinkDestination(link) {
+    if (link.has(PDFName.of('Dest'))) {
+        return { holder: link, key: PDFName.of('Dest') };
+    }
+
+    const action = link.lookupMaybe(PDFName.of('A'), PDFDict);
+    if (action && action.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+        return { holder: action, key: PDFName.of('D') };
+    }
+    return null;
+}
+
+/**
+ * Replaces named link destinations with destinations by page index
+ *
+ * The page index (a number in place of the page reference) survives copying
+ * the pages into another document; linkPageIndexes() turns it back into a
+ * page reference afterwards.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded part
+ */
+function unlinkNamedDestinations(pdfDoc) {
+    const destinations = collectNamedDestinations(pdfDoc);
+    const context = pdfDoc.context;
+
+    pdfDoc.getPages().forEach(page => forEachLink(page, link => {
+        const target = findLinkDestination(link);
+        const name = target && target.holder.lookup(target.key);
+        const isName = name instanceof PDFName || name instanceof PDFString || name instanceof PDFHexString;
+        const destination = isName && destinations.get(name.decodeText());
+        if (!destination) {
+            return;
+        }
+
+        target.holder.set(target.key, context.obj([
+            PDFNumber.of(destination.pageIndex),
+            PDFName.of('XYZ'),
+            PDFNull,
+            destination.y === null ? PDFNull : PDFNumber.of(destination.y),
+            PDFNull
+        ]));
+    }));
+}
+
+/**
+ * Points page-index link destinations at the copied pages of their part
+ *
+ * @param {Array<PDFPage>} pages - The part's pages in the assembled document
+ */
+function linkPageIndexes(pages) {
+    pages.forEach(page => forEachLink(page, link => {
+        const target = findLinkDestination(link);
+        const destination = target && target.holder.lookup(target.key);
+        if (!(destination instanceof PDFArray) || !(destination.get(0) instanceof PDFNumber)) {
+            return;
+        }
+
+        const targetPage = pages[destination.get(0).asNumber()];
+        if (targetPage) {
+            destination.set(0, targetPage.ref);
+        }
+    }));
+}
+
+/**
+ * Copies the document information and language of a part
+ *
+ * @param {PDFDocument} source - First part
+ * @param {PDFDocument} target - Assembled document
+ */
+function copyDocumentInfo(source, target) {
+    const sourceInfo = source.context.lookupMaybe(source.context.trailerInfo.Info, PDFDict);
+    if (sourceInfo) {
+        const info = target.context.obj({});
+        INFO_FIELDS.forEach(field => {
+            const value = sourceInfo.lookup(PDFName.of(field));
+            if (value instanceof PDFString || value instanceof PDFHexString) {
+                info.set(PDFName.of(field), value);
+            }
+        });
+        target.context.trailerInfo.Info = target.context.register(info);
+    }
+
+    const language = source.catalog.lookup(PDFName.of('Lang'));
+    if (language instanceof PDFString || language instanceof PDFHexString) {
+        target.catalog.set(PDFName.of('Lang'), language);
+    }
+}
+
+/**
+ * Joins rendered parts into one PDF
+ *
+ * Process Flow:
+ * 1. Point each part's internal links at page indexes instead of names
+ * 2. Copy the part's pages to the end of the assembled document
+ * 3. Point the links at the copied pages and place the part's outline entries and form fields
+ * 4. Write the combined outline and form, and the first part's document information
+ *
+ * @param {Array<Object>} parts - Parts in order: { pdf, outlineEntries, formFields } where
+ *   outlineEntries (optional) come from insertOutlineAnchors() and formFields
+ *   (optional) from insertFormFieldAnchors()
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<Buffer>} - The assembled PDF
+ * @throws {Error} - If there are no parts or a part is not a valid PDF
+ */
+async function assemblePDF(parts, config = {}) {
+    if (!Array.isArray(parts) || parts.length === 0) {
+        throw new Error('At least one PDF is needed for assembly');
+    }
+
+    const log = getLogger(config);
+    log.info(`📚 Assembling ${parts.length} documents into one PDF...`);
+    const assembled = await PDFDocument.create({ updateMetadata: false });
+    const outline = [];
+    const formFields = [];
+
+    for (const [index, part] of parts.entries()) {
+        const pdfDoc = await PDFDocument.load(part.pdf, { updateMetadata: false });
+        const placed = part.outlineEntries ? placeOutlineEntries(pdfDoc, part.outlineEntries) : [];
+        const placedFields = part.formFields ? placeFormFields(pdfDoc, part.formFields) : [];
+        const firstPageIndex = assembled.getPageCount();
+
+        unlinkNamedDestinations(pdfDoc);
+        const pages = await assembled.copyPages(pdfDoc, pdfDoc.getPageIndices());
+        pages.forEach(page => assembled.addPage(page));
+        linkPageIndexes(pages);
+
+        placed.forEach(entry => outline.push({
+            ...entry,
+            destination: { ...entry.destination, pageRef: pages[entry.destination.pageIndex].ref }
+        }));
+        placedFields.forEach(field => formFields.push({
+            ...field,
+            destination: { ...field.destination, pageIndex: firstPageIndex + field.destination.pageIndex }
+        }));
+
+        if (index === 0) {
+            copyDocumentInfo(pdfDoc, assembled);
+        }
+    }
+
+    if (outline.length > 0) {
+        log.info('🔖 Writing PDF outline...');
+        writeOutline(assembled, outline);
+    }
+
+    if (formFields.length > 0) {
+        log.info(`📝 Creating ${formFields.length} form field${formFields.length === 1 ? '' : 's'}...`);
+        writeFormFields(assembled, formFields);
+    }
+
+    return Buffer.from(await assembled.save());
+}
+
+module.exports = {
+    assemblePDF, // Joining rendered parts
+    countPages   // Page count of rendered PDFs
+};
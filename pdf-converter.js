@@ -8,13 +8,39 @@
  * - Converts HTML strings to PDF files
  * - Supports custom page sizes, orientations, and margins
  * - Applies Liberation Serif font for professional typography
+ * - Font registry for local fonts; fonts are never loaded over the network
  * - Handles HTML code blocks rendering
+ * - Standards-compliant HTML parsing, with default styles merged into, injected over or kept out of documents
  * - Automatic file download/saving
+ * - Reusable renderer with a warm browser pool for batch jobs
+ * - Running headers and footers with page numbers and document tokens
+ * - Automatic table of contents with real page numbers and links
+ * - PDF outline (bookmarks) from document headings
+ * - Document metadata (Info dictionary, language and XMP)
+ * - Template + data rendering with Handlebars templates
+ * - Markdown input with YAML front matter
+ * - Live web pages by URL, with request headers, cookies and authentication
+ * - Text and image watermarks and stamps
+ * - One PDF from several documents, with continued or restarted page numbering
+ * - Password protection and permission flags (AES-128/256 encryption)
+ * - PDF/A-1b, PDF/A-2b and PDF/A-3b archival output
+ * - Digital signatures with a local certificate (PKCS#12 or PEM), visible or invisible
+ * - Fillable PDF form fields from HTML inputs, textareas and selects
+ * - Content-hash render cache in memory or on disk
+ * - Network isolation with a host/URL allowlist for untrusted HTML
+ * - Render timeouts and limits on input size, page count and output size
+ * - Typed errors with stable codes, and distinct exit codes on the command line
  * - Command-line interface for batch processing
+ * - HTTP rendering service with a REST API, background jobs and webhooks (see pdf-server.js)
  * - Comprehensive error handling and logging
  * 
  * Dependencies:
  * - puppeteer: For headless browser automation and PDF generation
+ * - @cantoo/pdf-lib: For post-processing generated PDFs (headers, footers, etc.)
+ * - handlebars: For rendering templates with data
+ * - marked, js-yaml: For Markdown input and its front matter
+ * - parse5: For parsing and changing the HTML before rendering
+ * - node-forge: For PKCS#7 signatures and PKCS#12 certificates
  * - fs.promises: For asynchronous file system operations
  * - path: For file path manipulation
  * 
@@ -35,6 +61,17 @@
  *   renderCodeBlocks: true
  * });
  * 
+ * // Documents from a template and JSON data
+ * const pdf = await renderTemplate('invoice.hbs', invoiceData, { currency: 'EUR' });
+ * 
+ * // Local fonts instead of system fonts
+ * registerFont('Liberation Serif', { regular: 'fonts/LiberationSerif-Regular.ttf', bold: 'fonts/LiberationSerif-Bold.ttf' });
+ * 
+ * // Batch usage with a warm browser pool
+ * const renderer = createRenderer({ poolSize: 2 });
+ * await renderer.convert(htmlContent, 'output.pdf');
+ * await renderer.close();
+ * 
  * // Command line usage
  * node pdf-converter.js input.html output.pdf --page-size=Letter --orientation=landscape
  * 
@@ -47,6 +84,68 @@
 const puppeteer = require('puppeteer'); // Headless Chrome browser automation
 const fs = require('fs').promises; // Asynchronous file system operations
 const path = require('path'); // File path utilities
+const { pipeline, Readable } = require('stream'); // Stream piping and creation
+const { promisify } = require('util'); // Promise wrappers for callback APIs
+const { hasHeaderFooter, applyHeaderFooter } = require('./header-footer.js'); // Running headers and footers
+const { hasTableOfContents, insertTableOfContents, applyTableOfContents } = require('./table-of-contents.js'); // Automatic TOC
+const { hasOutline, insertOutlineAnchors, applyOutline } = require('./pdf-outline.js'); // PDF bookmarks
+const { hasMetadata, readDocumentInfo, applyMetadata } = require('./pdf-metadata.js'); // Info dictionary and XMP
+const { hasWatermark, applyWatermark } = require('./watermark.js'); // Watermarks and stamps
+const { assemblePDF, countPages } = require('./pdf-assembly.js'); // Multi-document PDFs
+const { hasEncryption, applyEncryption } = require('./pdf-encryption.js'); // Passwords and permissions
+const { hasPDFA, applyPDFA } = require('./pdf-archive.js'); // PDF/A archival output
+const { hasSignature, applySignature } = require('./pdf-signature.js'); // Digital signatures
+const { hasForms, insertFormFieldAnchors, applyFormFields } = require('./pdf-forms.js'); // Fillable form fields
+const { registerFont, generateFontFaceCSS, blockRemoteFonts } = require('./font-registry.js'); // Local fonts
+const { hasCache, resolveCache, createCacheKey, readCache, writeCache, createRenderCache } = require('./render-cache.js'); // Render cache
+const { hasIsolation, resolveIsolation, checkRequest, applyIsolation } = require('./network-isolation.js'); // Untrusted HTML isolation
+const {
+    LIMIT_DEFAULTS,
+    LIMIT_OPTIONS,
+    checkLimitOptions,
+    checkHTMLSize,
+    checkPageCount,
+    checkPDFSize,
+    toNavigationError,
+    startRenderDeadline,
+    checkRenderDeadline,
+    withRenderTimeout,
+    RenderLimitError
+} = require('./render-limits.js'); // Timeouts and resource limits
+const { renderTemplateHTML } = require('./html-template.js'); // Template + data rendering
+const { isMarkdownPath, convertMarkdown } = require('./markdown-input.js'); // Markdown to HTML
+const { createConsoleLogger, getLogger } = require('./logger.js'); // Pluggable logging
+const { formatMillimeters, getFontFamily } = require('./html-utils.js'); // Shared HTML helpers
+const {
+    parseDocument,
+    parseHTMLFragment,
+    isCompleteDocument,
+    addDoctype,
+    serializeHTML,
+    transformHTML,
+    findElement,
+    findElements,
+    getAttribute,
+    setAttribute,
+    getClassList,
+    getTextContent,
+    isBlank,
+    createElement,
+    insertNodes,
+    insertHTML,
+    insertAfter,
+    unwrapElement
+} = require('./html-dom.js'); // Parser-based HTML processing
+const {
+    ConversionError,
+    InvalidInputError,
+    BrowserLaunchError,
+    RenderTimeoutError,
+    ResourceBlockedError,
+    OutputWriteError,
+    EXIT_CODES,
+    exitCodeFor
+} = require('./conversion-errors.js'); // Typed errors and exit codes
 
 /**
  * Converts HTML content to a PDF file using Puppeteer
@@ -55,6 +154,10 @@ const path = require('path'); // File path utilities
  * It launches a headless browser, processes the HTML content, applies styling,
  * and generates a high-quality PDF file.
  * 
+ * This is a one-shot wrapper around PdfRenderer: the browser is launched for this
+ * call only. When converting many documents, use createRenderer() instead so the
+ * browser stays warm between conversions.
+ * 
  * Process Flow:
  * 1. Validate and set default options
  * 2. Launch Puppeteer browser instance
@@ -66,13 +169,53 @@ const path = require('path'); // File path utilities
  * @param {string} htmlContent - The HTML content to convert (can be partial HTML or complete document)
  * @param {string} outputPath - Path where the PDF file should be saved (absolute or relative)
  * @param {Object} options - Configuration options for the PDF generation
- * @param {string} options.pageSize - Page size: 'A4', 'Letter', 'Legal', 'A3' (default: 'A4')
+ * @param {string} options.inputFormat - Input format: 'html' or 'markdown' (default: 'html'; see markdown-input.js)
+ * @param {string} options.pageSize - Page size: 'A4', 'Letter', 'Legal', 'A3', etc. (default: 'A4')
+ * @param {number|string} options.width - Custom page width, e.g. 210 or '8.5in' (overrides pageSize)
+ * @param {number|string} options.height - Custom page height, e.g. 297 or '11in' (overrides pageSize)
  * @param {string} options.orientation - Page orientation: 'portrait' or 'landscape' (default: 'portrait')
- * @param {number} options.margin - Margin in millimeters (default: 10)
- * @param {boolean} options.includeFonts - Whether to include Liberation Serif font (default: true)
+ * @param {number|string|Object} options.margin - Margin in millimeters, a length with unit ('0.5in'),
+ *   a CSS-style shorthand ('20mm 15mm'), per-side {top, right, bottom, left} or mirrored
+ *   {top, bottom, inside, outside} for duplex binding (default: 10)
+ * @param {boolean} options.includeFonts - Whether to use the Liberation Serif font, registered or installed (default: true)
  * @param {boolean} options.renderCodeBlocks - Whether to render HTML code blocks as actual HTML (default: true)
+ * @param {string} options.styleMode - How the default styles combine with the document's own: 'merge' (beneath
+ *   them), 'inject' (over them) or 'preserve' (no default styles) (default: 'merge' for documents with
+ *   their own styles, 'inject' for the others)
+ * @param {string|Object} options.headerTemplate - Header HTML, .html file path, or { odd, even } (see header-footer.js)
+ * @param {string|Object} options.footerTemplate - Footer HTML, .html file path, or { odd, even }
+ * @param {boolean} options.skipFirstPageHeaderFooter - Leave the first page without header and footer (default: false)
+ * @param {Object} options.headerFooterVariables - Custom {{tokens}} for header and footer templates
+ * @param {string} options.title - Title for the {{title}} token (default: the document's <title>)
+ * @param {number} options.firstPageNumber - Number of the first page in headers, footers and the TOC (default: 1)
+ * @param {number} options.totalPages - Value of the {{totalPages}} token (default: number of pages)
+ * @param {boolean|Object} options.toc - Generate a table of contents (see table-of-contents.js)
+ * @param {boolean|Object} options.outline - Generate PDF bookmarks from headings (see pdf-outline.js)
+ * @param {Object} options.metadata - Title, author, keywords, language and custom XMP properties (see pdf-metadata.js)
+ * @param {string|Object|Array} options.watermark - Watermark text, or text/image watermark and stamp options (see watermark.js)
+ * @param {Object} options.encryption - User/owner passwords, algorithm and permissions (see pdf-encryption.js)
+ * @param {string} options.pdfa - PDF/A level for archiving: '1b', '2b' or '3b' (see pdf-archive.js)
+ * @param {Object} options.sign - Certificate, reason, location and appearance of a digital signature (see pdf-signature.js)
+ * @param {boolean} options.forms - Turn HTML form controls into fillable PDF form fields (see pdf-forms.js)
+ * @param {boolean|Object} options.cache - Reuse PDFs of identical documents: true, { directory, ttl, maxSize }
+ *   or a cache object (see render-cache.js)
+ * @param {boolean|Object} options.isolation - Block outbound requests of untrusted HTML: true or
+ *   { allow, javascript } (see network-isolation.js); rendered PDF Buffers then list the blocked
+ *   requests in their blockedRequests property
+ * @param {number} options.renderTimeout - Milliseconds a document may spend rendering (default: 120000, 0: none)
+ * @param {number} options.navigationTimeout - Milliseconds to load the HTML or URL with its resources
+ *   (default: 30000, 0: none)
+ * @param {number} options.maxHTMLBytes - Largest HTML input in bytes (default: no limit)
+ * @param {number} options.maxPages - Most pages in the PDF (default: no limit)
+ * @param {number} options.maxPDFBytes - Largest PDF in bytes (default: no limit)
+ * @param {Object} options.logger - pino/winston-style logger, or createConsoleLogger() (default: silent;
+ *   see logger.js)
+ * @param {string} options.logLevel - Least severe level logged: 'debug', 'info', 'warn', 'error' or
+ *   'silent' (default: 'info')
  * @returns {Promise<string>} - Path to the generated PDF file
- * @throws {Error} - If PDF generation fails or browser cannot be launched
+ * @throws {ConversionError} - With a stable code for invalid input, a browser that cannot be launched,
+ *   timeouts and other limits, blocked documents and unwritable output (see conversion-errors.js)
+ * @throws {Error} - If an option is invalid or PDF generation fails otherwise
  * 
  * @example
  * // Basic usage
@@ -88,116 +231,1523 @@ const path = require('path'); // File path utilities
  * });
  */
 async function convertHTMLToPDF(htmlContent, outputPath, options = {}) {
-    // Validate input parameters
-    if (!htmlContent || typeof htmlContent !== 'string') {
-        throw new Error('htmlContent must be a non-empty string');
+    // One-shot wrapper: a single-browser renderer that lives only for this call
+    const renderer = new PdfRenderer({ poolSize: 1, logger: options.logger, logLevel: options.logLevel });
+    try {
+        return await renderer.convert(htmlContent, outputPath, options);
+    } finally {
+        // Always close the browser to free up system resources
+        // This is crucial for preventing memory leaks in long-running applications
+        await renderer.close();
+    }
+}
+
+/**
+ * Converts a live web page to a PDF file
+ * 
+ * One-shot wrapper around PdfRenderer.convertURL(), e.g. for archiving
+ * authenticated dashboards. The page is rendered with its own styles.
+ * 
+ * @param {string} url - http:// or https:// URL of the page to render
+ * @param {string} outputPath - Path where the PDF file should be saved
+ * @param {Object} options - Configuration options (see convertHTMLToPDF), plus the
+ *   navigation options headers, cookies, auth, userAgent, waitUntil and
+ *   navigationTimeout (see PdfRenderer.renderURL)
+ * @returns {Promise<string>} - Path to the generated PDF file
+ * @throws {Error} - If the URL is invalid, the page cannot be loaded or PDF generation fails
+ * 
+ * @example
+ * await convertURLToPDF('https://intranet.example.com/reports/42', 'report-42.pdf', {
+ *   auth: { username: 'archiver', password: process.env.ARCHIVER_PASSWORD },
+ *   headers: { 'X-Tenant': 'acme' }
+ * });
+ */
+async function convertURLToPDF(url, outputPath, options = {}) {
+    const renderer = new PdfRenderer({ poolSize: 1, logger: options.logger, logLevel: options.logLevel });
+    try {
+        return await renderer.convertURL(url, outputPath, options);
+    } finally {
+        await renderer.close();
+    }
+}
+
+/**
+ * Assembles one PDF file from several documents
+ * 
+ * One-shot wrapper around PdfRenderer.convertMany(), e.g. for "book"
+ * deliverables made of a cover, chapter files and an appendix. Each part may
+ * have its own page size, orientation and header/footer settings, and page
+ * numbering continues across parts unless a part restarts it.
+ * 
+ * @param {Array<Object>} parts - Parts in order: { html }, { path } or { url }, each
+ *   with optional `options` that override the shared options for that part
+ * @param {string} outputPath - Path where the PDF file should be saved
+ * @param {Object} options - Options shared by all parts (see convertHTMLToPDF), plus
+ *   pageNumbering: 'continue' (default) or 'restart' (see PdfRenderer.renderMany)
+ * @returns {Promise<string>} - Path to the generated PDF file
+ * @throws {Error} - If a part is invalid or PDF generation fails
+ * 
+ * @example
+ * await convertManyToPDF([
+ *   { path: 'cover.html', options: { skipFirstPageHeaderFooter: true } },
+ *   { path: 'chapter-1.html' },
+ *   { path: 'chapter-2.html' },
+ *   { path: 'appendix.html', options: { orientation: 'landscape' } }
+ * ], 'book.pdf', {
+ *   outline: true,
+ *   footerTemplate: '<div style="text-align: center">Page {{pageNumber}} of {{totalPages}}</div>'
+ * });
+ */
+async function convertManyToPDF(parts, outputPath, options = {}) {
+    const renderer = new PdfRenderer({ poolSize: 1, logger: options.logger, logLevel: options.logLevel });
+    try {
+        return await renderer.convertMany(parts, outputPath, options);
+    } finally {
+        await renderer.close();
+    }
+}
+
+/**
+ * Renders HTML content to an in-memory PDF Buffer
+ * 
+ * Same as convertHTMLToPDF() but nothing is written to disk, which suits
+ * uploading the PDF or sending it in an HTTP response.
+ * 
+ * @param {string} htmlContent - The HTML content to convert
+ * @param {Object} options - Configuration options (see convertHTMLToPDF)
+ * @returns {Promise<Buffer>} - The generated PDF
+ * @throws {Error} - If PDF generation fails or browser cannot be launched
+ * 
+ * @example
+ * const pdf = await renderPDF('<h1>Invoice</h1>', { pageSize: 'Letter' });
+ * await s3.putObject({ Bucket, Key: 'invoice.pdf', Body: pdf });
+ */
+async function renderPDF(htmlContent, options = {}) {
+    const renderer = new PdfRenderer({ poolSize: 1, logger: options.logger, logLevel: options.logLevel });
+    try {
+        return await renderer.render(htmlContent, options);
+    } finally {
+        await renderer.close();
+    }
+}
+
+/**
+ * Renders HTML content to a readable PDF stream
+ * 
+ * The browser is closed automatically once the stream has been fully read or
+ * destroyed.
+ * 
+ * @param {string} htmlContent - The HTML content to convert
+ * @param {Object} options - Configuration options (see convertHTMLToPDF)
+ * @returns {Promise<Readable>} - Node.js readable stream of PDF bytes
+ * @throws {Error} - If PDF generation fails or browser cannot be launched
+ * 
+ * @example
+ * const stream = await renderPDFStream(htmlContent);
+ * res.setHeader('Content-Type', 'application/pdf');
+ * stream.pipe(res);
+ */
+async function renderPDFStream(htmlContent, options = {}) {
+    const renderer = new PdfRenderer({ poolSize: 1, logger: options.logger, logLevel: options.logLevel });
+    try {
+        const stream = await renderer.renderStream(htmlContent, options);
+        stream.once('close', () => renderer.close().catch(error => logCleanupError(renderer.logger, error)));
+        return stream;
+    } catch (error) {
+        await renderer.close();
+        throw error;
+    }
+}
+
+/**
+ * Renders a template with data to an in-memory PDF Buffer
+ * 
+ * The template is filled in with the data first (see html-template.js for the
+ * template syntax and helpers), and the resulting HTML is converted like any
+ * other document.
+ * 
+ * @param {string} templatePath - Path to a Handlebars template file (or the template source)
+ * @param {Object} data - Values available to the template
+ * @param {Object} options - Configuration options (see convertHTMLToPDF), plus template options
+ * @param {Object} options.partials - Partials by name: template strings or file paths
+ * @param {Object} options.helpers - Custom helper functions by name
+ * @param {string} options.locale - Locale for the date, number and currency helpers (default: 'en-US')
+ * @param {string} options.currency - Default currency for formatCurrency (default: 'USD')
+ * @returns {Promise<Buffer>} - The generated PDF
+ * @throws {Error} - If the template cannot be rendered or PDF generation fails
+ * 
+ * @example
+ * const pdf = await renderTemplate('templates/invoice.hbs', {
+ *   number: 'INV-2024-017',
+ *   issuedAt: '2024-05-02',
+ *   lines: [{ description: 'Consulting', amount: 1200 }]
+ * }, { partials: { letterhead: 'templates/letterhead.hbs' }, currency: 'EUR' });
+ * await fs.writeFile('invoice.pdf', pdf);
+ */
+async function renderTemplate(templatePath, data = {}, options = {}) {
+    const htmlContent = await renderTemplateHTML(templatePath, data, options);
+    return renderPDF(htmlContent, options);
+}
+
+/**
+ * Chrome launch arguments used for every browser in a renderer pool
+ *
+ * These settings are designed for server-side operation and stability.
+ * '--single-process' is intentionally absent: pooled browsers serve many pages
+ * over their lifetime, and single-process Chrome tends to crash when pages close.
+ */
+const DEFAULT_LAUNCH_ARGS = [
+    '--no-sandbox', // Required for some server environments (Docker, etc.)
+    '--disable-setuid-sandbox', // Disable setuid sandbox for security
+    '--disable-dev-shm-usage', // Prevents issues in Docker containers with limited shared memory
+    '--disable-gpu', // Disable GPU hardware acceleration for stability
+    '--no-first-run', // Skip first run setup
+    '--no-zygote' // Disable zygote process for better resource management
+];
+
+/**
+ * Reusable PDF renderer backed by a warm pool of headless browsers
+ *
+ * Launching Chrome dominates the cost of a single conversion, so a renderer keeps
+ * up to `poolSize` browsers alive between jobs. Each job is handed a fresh page in
+ * its own browser context (separate cookies and storage) in one of the pooled
+ * browsers; the context is closed when the job finishes so no state leaks
+ * between documents. A browser is recycled (closed and replaced on demand)
+ * after `maxRendersPerBrowser` renders, or as soon as it crashes or disconnects.
+ *
+ * Pool Behaviour:
+ * 1. Jobs pick a live browser with a free page slot (`pagesPerBrowser`)
+ * 2. If none is free and the pool is not full, a new browser is launched
+ * 3. Otherwise the job waits until another job releases its page
+ * 4. Retired browsers are closed once their last page has been released
+ *
+ * @example
+ * const renderer = createRenderer({ poolSize: 2 });
+ * try {
+ *     for (const invoice of invoices) {
+ *         await renderer.convert(invoice.html, `${invoice.id}.pdf`);
+ *     }
+ * } finally {
+ *     await renderer.close();
+ * }
+ */
+class PdfRenderer {
+    /**
+     * @param {Object} options - Pool configuration
+     * @param {number} options.poolSize - Maximum number of browsers kept alive (default: 1)
+     * @param {number} options.pagesPerBrowser - Maximum concurrent pages per browser (default: 1)
+     * @param {number} options.maxRendersPerBrowser - Renders before a browser is recycled (default: 100)
+     * @param {Object} options.launchOptions - Extra options passed to puppeteer.launch()
+     * @param {Object} options.logger - Logger of the pool and default logger of its jobs (default: silent)
+     * @param {string} options.logLevel - Least severe level logged (default: 'info')
+     */
+    constructor(options = {}) {
+        this.poolSize = options.poolSize || 1;
+        this.pagesPerBrowser = options.pagesPerBrowser || 1;
+        this.maxRendersPerBrowser = options.maxRendersPerBrowser || 100;
+        this.launchOptions = options.launchOptions || {};
+        this.logger = getLogger(options);
+
+        this.workers = []; // { ready: Promise<Browser>, browser, active, renders, retired }
+        this.waiters = []; // Resolvers of jobs waiting for a free page slot
+        this.closed = false;
+    }
+
+    /**
+     * Renders HTML content to PDF bytes using a pooled browser page
+     *
+     * Accepts the same options as convertHTMLToPDF().
+     *
+     * @param {string} htmlContent - The HTML content to convert
+     * @param {Object} options - Configuration options (see convertHTMLToPDF)
+     * @returns {Promise<Buffer>} - The generated PDF
+     * @throws {Error} - If PDF generation fails or browser cannot be launched
+     */
+    async render(htmlContent, options = {}) {
+        const input = resolveInput(htmlContent, options);
+        return this.renderSource({ html: input.htmlContent }, input.options);
+    }
+
+    /**
+     * Renders a live web page to PDF bytes using a pooled browser page
+     *
+     * The page is loaded with page.goto(), so it renders with its own styles;
+     * only the page geometry is added. Accepts the same options as
+     * convertHTMLToPDF(), plus the navigation options below.
+     *
+     * @param {string} url - http:// or https:// URL of the page to render
+     * @param {Object} options - Configuration options (see convertHTMLToPDF)
+     * @param {Object} options.headers - Extra HTTP request headers, sent with the requests to the URL's origin
+     * @param {Array<Object>} options.cookies - Cookies to set before loading, e.g. { name, value };
+     *   cookies without a url or domain are set for the page URL
+     * @param {Object} options.auth - HTTP basic authentication for the URL's origin: { username, password }
+     * @param {string} options.userAgent - User agent override
+     * @param {string} options.waitUntil - When navigation is complete: 'load', 'domcontentloaded',
+     *   'networkidle0' or 'networkidle2' (default: 'networkidle0')
+     * @param {number} options.navigationTimeout - Maximum navigation time in milliseconds (default: 30000, 0: none)
+     * @returns {Promise<Buffer>} - The generated PDF
+     * @throws {Error} - If the URL is invalid, the page responds with an error status, or PDF generation fails
+     *
+     * @example
+     * const pdf = await renderer.renderURL('https://dashboards.internal/sales', {
+     *     cookies: [{ name: 'session', value: sessionId }],
+     *     orientation: 'landscape'
+     * });
+     */
+    async renderURL(url, options = {}) {
+        return this.renderSource({ url }, options);
+    }
+
+    /**
+     * Renders a document source: { html } with resolved HTML content, or { url }
+     *
+     * With the cache option, HTML documents are looked up in the render cache
+     * before a page is acquired, so cache hits never launch a browser.
+     *
+     * @param {Object} source - Document source
+     * @param {Object} options - Configuration options, including any front matter options
+     * @returns {Promise<Buffer>} - The generated PDF
+     * @throws {Error} - If PDF generation fails or browser cannot be launched
+     */
+    async renderSource(source, options) {
+        const config = this.startJob(source, options);
+        const log = config.logger;
+
+        // Only HTML can be cached: the content of a live page is unknown until it is loaded
+        let cache = null;
+        let cacheKey = null;
+        if (hasCache(config) && source.html !== undefined) {
+            if (hasSignature(config)) {
+                log.info('💾 Signed documents are not cached - rendering');
+            } else if (hasIsolation(config)) {
+                // A cached PDF could not report the requests its document tried to make
+                log.info('💾 Isolated documents are not cached - rendering');
+            } else {
+                cache = resolveCache(config.cache);
+                source = { ...source, processedHTML: processHTMLContent(source.html, config) };
+                cacheKey = createCacheKey(source.processedHTML, config);
+
+                const cached = await readCache(cache, cacheKey, config);
+                if (cached) {
+                    log.info(`💾 Using cached PDF (${cacheKey.slice(0, 12)})`, { event: 'cacheHit', cacheKey });
+                    return cached;
+                }
+            }
+        }
+
+        try {
+            const pdf = await this.withPage(page => renderDocument(page, source, config), config);
+            checkPDFSize(pdf, config);
+            if (cache) {
+                await writeCache(cache, cacheKey, pdf, config);
+            }
+            return hasIsolation(config) ? reportBlockedRequests(pdf, config.blockedRequests, log) : pdf;
+        } catch (error) {
+            // Log detailed error information for debugging
+            logRenderError(log, error);
+            throw error; // Re-throw the error for the calling code to handle
+        }
+    }
+
+    /**
+     * Renders HTML content to a readable PDF stream using a pooled browser page
+     *
+     * The PDF is streamed from Chrome as it is produced. The page stays reserved
+     * until the stream closes, so consumers must read it to the end or destroy it.
+     * When the PDF needs post-processing (e.g. headers and footers), the finished
+     * document is streamed from memory instead.
+     *
+     * @param {string} htmlContent - The HTML content to convert
+     * @param {Object} options - Configuration options (see convertHTMLToPDF)
+     * @returns {Promise<Readable>} - Node.js readable stream of PDF bytes
+     * @throws {Error} - If the page cannot be prepared or browser cannot be launched
+     */
+    async renderStream(htmlContent, options = {}) {
+        const input = resolveInput(htmlContent, options);
+        const inputConfig = this.configure(input.options);
+        if (requiresPostProcessing(inputConfig) || hasCache(inputConfig) || inputConfig.maxPages || inputConfig.maxPDFBytes) {
+            // Post-processing, caching and output limits need the complete document before anything can be sent
+            const pdf = await this.renderSource({ html: input.htmlContent }, input.options);
+            const stream = Readable.from([pdf]);
+            return pdf.blockedRequests ? Object.assign(stream, { blockedRequests: pdf.blockedRequests }) : stream;
+        }
+
+        const config = this.startJob({ html: input.htmlContent }, input.options);
+        const { worker, page } = await this.acquire(config);
+
+        try {
+            // The render timeout covers loading and the start of printing, not reading the stream
+            const stream = await withRenderTimeout((async () => {
+                await loadPageContent(page, input.htmlContent, config);
+
+                config.logger.info('🖨️ Streaming PDF...');
+                return page.createPDFStream(buildPDFOptions(config));
+            })(), config);
+            if (hasIsolation(config)) {
+                // The document has finished loading, so the list is complete
+                reportBlockedRequests(stream, config.blockedRequests, config.logger);
+            }
+
+            // Hand the page back to the pool only once the consumer is done with the stream
+            let failed = false;
+            stream.once('error', () => { failed = true; });
+            stream.once('close', () => this.release(worker, page, failed).catch(error => logCleanupError(config.logger, error)));
+            return stream;
+        } catch (error) {
+            await this.release(worker, page, isRenderTimeout(error) || page.isClosed() || !worker.browser.isConnected());
+            logRenderError(config.logger, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Converts HTML content to a PDF file using a pooled browser page
+     *
+     * Accepts the same arguments and options as convertHTMLToPDF().
+     *
+     * @param {string} htmlContent - The HTML content to convert
+     * @param {string} outputPath - Path where the PDF file should be saved
+     * @param {Object} options - Configuration options (see convertHTMLToPDF)
+     * @returns {Promise<string>} - Path to the generated PDF file
+     * @throws {Error} - If PDF generation fails or browser cannot be launched
+     */
+    async convert(htmlContent, outputPath, options = {}) {
+        return this.writePDF(outputPath, () => this.render(htmlContent, options), options);
+    }
+
+    /**
+     * Converts a live web page to a PDF file using a pooled browser page
+     *
+     * @param {string} url - http:// or https:// URL of the page to render
+     * @param {string} outputPath - Path where the PDF file should be saved
+     * @param {Object} options - Configuration and navigation options (see renderURL)
+     * @returns {Promise<string>} - Path to the generated PDF file
+     * @throws {Error} - If the page cannot be loaded or PDF generation fails
+     */
+    async convertURL(url, outputPath, options = {}) {
+        return this.writePDF(outputPath, () => this.renderURL(url, options), options);
+    }
+
+    /**
+     * Renders several documents into one PDF, e.g. a cover, chapters and an appendix
+     *
+     * Each part is rendered with the shared options merged with its own, so parts
+     * can differ in page size, orientation, headers and footers. Page numbers (in
+     * headers, footers and tables of contents) continue across parts; a part with
+     * `pageNumbering: 'restart'` starts again at 1, and {{totalPages}} counts the
+     * pages up to the next restart. Outlines of all parts are combined, and
+     * `metadata`, `pdfa`, `encryption` and `sign` are applied to the assembled document.
+     * The shared `renderTimeout` limits the whole render, from the first part to the
+     * finished PDF; parts cannot set their own.
+     *
+     * Process Flow:
+     * 1. Print every part in order, numbering its pages after the previous part
+     * 2. Add headers, footers and watermarks now that the totals are known
+     * 3. Join the parts (see pdf-assembly.js) and apply the metadata
+     *
+     * @param {Array<Object>} parts - Parts in order: { html }, { path } (an HTML or
+     *   Markdown file) or { url }, each with optional `options`
+     * @param {Object} options - Options shared by all parts (see convertHTMLToPDF)
+     * @param {string} options.pageNumbering - 'continue' (default) or 'restart' for every part
+     * @returns {Promise<Buffer>} - The assembled PDF
+     * @throws {Error} - If a part is invalid or cannot be rendered
+     *
+     * @example
+     * const pdf = await renderer.renderMany([
+     *     { path: 'cover.html', options: { margin: 0 } },
+     *     { path: 'chapters/01-introduction.md' },
+     *     { path: 'chapters/02-results.md' },
+     *     { path: 'appendix.html', options: { orientation: 'landscape', pageNumbering: 'restart' } }
+     * ], { footerTemplate: '<div style="text-align: center">{{pageNumber}} / {{totalPages}}</div>' });
+     */
+    async renderMany(parts, options = {}) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            throw new InvalidInputError('parts must be a non-empty array');
+        }
+
+        // Every step below only gets the time the steps before it left over
+        const config = startRenderDeadline(this.configure(options));
+        const { renderTimeout, renderDeadline } = config;
+        const withinDeadline = step => {
+            checkRenderDeadline(config);
+            return withRenderTimeout(step(), config);
+        };
+        const log = config.logger;
+        try {
+            // Printing fixes the pages of each part, which the page numbers depend on
+            const printed = [];
+            let nextPageNumber = 1;
+            let pageTotal = 0;
+            for (const [index, part] of parts.entries()) {
+                log.info(`📗 Part ${index + 1} of ${parts.length}`);
+                const { source, options: partOptions } = await resolvePart(part, { ...options, logger: log });
+                if (partOptions.pageNumbering && !['continue', 'restart'].includes(partOptions.pageNumbering)) {
+                    throw new Error(`Invalid pageNumbering: "${partOptions.pageNumbering}" (expected continue or restart)`);
+                }
+                const restart = index === 0 || partOptions.pageNumbering === 'restart';
+                const firstPageNumber = restart ? 1 : nextPageNumber;
+
+                const config = this.startJob(source, { ...partOptions, firstPageNumber, renderTimeout, renderDeadline });
+                const layout = await this.withPage(page => printDocument(page, source, config), config);
+                const pageCount = await countPages(layout.pdf);
+                pageTotal += pageCount;
+                checkPageCount(pageTotal, config);
+
+                // Parts of one numbering sequence share the list of their page counts
+                const sequence = restart ? [] : printed[index - 1].sequence;
+                sequence.push(pageCount);
+                printed.push({ config, layout, sequence });
+                nextPageNumber = firstPageNumber + pageCount;
+            }
+
+            // Headers and footers need the total of each numbering sequence
+            const assembly = [];
+            for (const { config, layout, sequence } of printed) {
+                const stampConfig = {
+                    ...config,
+                    totalPages: sequence.reduce((total, count) => total + count, 0),
+                    // The stamping page is blank, so the title comes from the printed document
+                    title: config.title || (config.metadata && config.metadata.title) || layout.title
+                };
+                const pdf = hasHeaderFooter(config) || hasWatermark(config)
+                    ? await this.withPage(page => stampDocument(page, layout.pdf, stampConfig), stampConfig)
+                    : layout.pdf;
+                assembly.push({ pdf, outlineEntries: layout.outlineEntries, formFields: layout.formFields });
+            }
+
+            let pdf = await withinDeadline(() => assemblePDF(assembly, config));
+            if (hasMetadata(config)) {
+                pdf = await withinDeadline(() => applyMetadata(pdf, config, printed[0].layout.documentInfo));
+            }
+            if (hasPDFA(config)) {
+                pdf = await withinDeadline(() => applyPDFA(pdf, config));
+            }
+            if (hasSignature(config)) {
+                pdf = await this.withPage(page => applySignature(page, pdf, config), config);
+            } else if (hasEncryption(config)) {
+                pdf = await withinDeadline(() => applyEncryption(pdf, config));
+            }
+            checkPDFSize(pdf, config);
+
+            const isolated = printed.filter(part => hasIsolation(part.config));
+            return isolated.length > 0
+                ? reportBlockedRequests(pdf, isolated.flatMap(part => part.config.blockedRequests), log)
+                : pdf;
+        } catch (error) {
+            logRenderError(log, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Renders several documents into one PDF file
+     *
+     * @param {Array<Object>} parts - Parts in order (see renderMany)
+     * @param {string} outputPath - Path where the PDF file should be saved
+     * @param {Object} options - Options shared by all parts (see renderMany)
+     * @returns {Promise<string>} - Path to the generated PDF file
+     * @throws {Error} - If a part is invalid or cannot be rendered
+     */
+    async convertMany(parts, outputPath, options = {}) {
+        return this.writePDF(outputPath, () => this.renderMany(parts, options), options);
+    }
+
+    /**
+     * Runs a render job and saves its PDF
+     *
+     * @param {string} outputPath - Path where the PDF file should be saved
+     * @param {Function} renderJob - Async function resolving to the PDF bytes
+     * @param {Object} options - Options of the job, for its logger
+     * @returns {Promise<string>} - Path to the generated PDF file
+     * @throws {OutputWriteError} - If the PDF cannot be written
+     * @throws {Error} - If the output path is invalid or the job fails
+     */
+    async writePDF(outputPath, renderJob, options = {}) {
+        if (!outputPath || typeof outputPath !== 'string') {
+            throw new Error('outputPath must be a non-empty string');
+        }
+
+        const pdf = await renderJob();
+        try {
+            await fs.writeFile(outputPath, pdf);
+        } catch (error) {
+            throw new OutputWriteError(`Cannot write ${outputPath}: ${error.message}`, { outputPath, cause: error });
+        }
+
+        this.jobLogger(options).info(`✅ PDF generated successfully: ${outputPath}`,
+            { event: 'written', outputPath, bytes: pdf.length });
+        return outputPath;
+    }
+
+    /**
+     * Validates the input of a render job and builds its configuration
+     *
+     * @param {Object} source - { html } with the HTML content, or { url } of a page
+     * @param {Object} options - Options passed by the caller
+     * @returns {Object} - Complete configuration object
+     * @throws {InvalidInputError} - If the HTML content is missing or not a string, or the URL is not http(s)
+     * @throws {ResourceBlockedError} - If network isolation does not allow the URL
+     */
+    startJob(source, options) {
+        // Validate input parameters
+        if (source.url !== undefined) {
+            validateURL(source.url);
+        } else if (!source.html || typeof source.html !== 'string') {
+            throw new InvalidInputError('htmlContent must be a non-empty string');
+        }
+
+        const config = this.configure(options);
+        if (source.html !== undefined) {
+            checkHTMLSize(source.html, config);
+        } else if (hasIsolation(config)) {
+            // Checked before a browser is launched; redirects are checked by loadPageURL()
+            const reason = checkRequest(source.url, config.isolation);
+            if (reason) {
+                throw new ResourceBlockedError(`Network isolation blocked ${source.url} (${reason})`, { url: source.url, reason });
+            }
+        }
+
+        // Log configuration for debugging and transparency
+        const log = config.logger;
+        log.info(source.url ? `🚀 Starting URL to PDF conversion: ${source.url}` : '🚀 Starting HTML to PDF conversion...',
+            { event: 'start', url: source.url });
+        log.info(`📄 Page Size: ${config.pageSize}`);
+        log.info(`🔄 Orientation: ${config.orientation}`);
+        log.info(`📐 Page: ${describePageGeometry(config.geometry)}`);
+        log.info(`🔤 Include Fonts: ${config.includeFonts}`);
+        log.info(`💻 Render Code Blocks: ${config.renderCodeBlocks}`);
+        log.info(`🎨 Style Mode: ${config.styleMode || 'by document (merge with own styles, inject without)'}`);
+
+        return config;
+    }
+
+    /**
+     * Builds the configuration of a job, which logs to the renderer's logger
+     * unless the job has a logger of its own
+     *
+     * @param {Object} options - Options passed by the caller
+     * @returns {Object} - Complete configuration object
+     * @throws {Error} - If an option is invalid
+     */
+    configure(options) {
+        return createConfig({ ...options, logger: this.jobLogger(options) });
+    }
+
+    /**
+     * Resolves the logger of a job
+     *
+     * @param {Object} options - Options passed by the caller
+     * @returns {Logger} - The job's logger, or the renderer's (at the job's logLevel, if any)
+     */
+    jobLogger(options) {
+        return getLogger(options.logger ? options : { ...options, logger: this.logger });
+    }
+
+    /**
+     * Runs a job with a fresh page from the pool
+     *
+     * The page and its browser context are always closed afterwards. If the page or its browser crashed
+     * during the job, or the job ran out of time, the browser is retired so the next job gets a healthy one.
+     *
+     * @param {Function} job - Async function receiving the Puppeteer page
+     * @param {Object} config - Configuration with the renderTimeout (and renderDeadline, see
+     *   startRenderDeadline) and logger of the job (default: no timeout)
+     * @returns {Promise<*>} - Whatever the job resolves to
+     * @throws {RenderTimeoutError} - RENDER_TIMEOUT if the job takes longer than the renderTimeout
+     */
+    async withPage(job, config = {}) {
+        checkRenderDeadline(config);
+        const { worker, page } = await this.acquire(config);
+        let crashed = false;
+        page.once('error', () => { crashed = true; }); // Emitted when the page crashes
+
+        try {
+            return await withRenderTimeout(job(page), config);
+        } catch (error) {
+            crashed = crashed || isRenderTimeout(error) || page.isClosed() || !worker.browser.isConnected();
+            throw error;
+        } finally {
+            await this.release(worker, page, crashed);
+        }
+    }
+
+    /**
+     * Reserves a page slot, launching a browser if the pool has room
+     *
+     * @param {Object} config - Configuration with the logger of the job (default: the renderer's)
+     * @returns {Promise<{worker: Object, page: Object}>} - The owning worker and a new page
+     * @throws {BrowserLaunchError} - If the browser cannot be launched
+     * @throws {Error} - If the renderer is closed
+     */
+    async acquire(config = {}) {
+        const log = config.logger || this.logger;
+        for (;;) {
+            if (this.closed) {
+                throw new Error('PdfRenderer has been closed');
+            }
+
+            let worker = this.workers.find(w => !w.retired && w.active < this.pagesPerBrowser);
+            if (!worker && this.workers.length < this.poolSize) {
+                worker = this.launchWorker(log);
+            }
+
+            if (worker) {
+                worker.active++;
+                try {
+                    const browser = await worker.ready;
+                    log.info('📄 Creating new page...');
+                    // Each job gets its own context, so cookies and storage never reach the next job
+                    const context = await browser.createIncognitoBrowserContext();
+                    try {
+                        return { worker, page: await context.newPage() };
+                    } catch (error) {
+                        await context.close().catch(() => {});
+                        throw error;
+                    }
+                } catch (error) {
+                    // A browser that fails to launch or open pages is of no further use
+                    worker.active--;
+                    worker.retired = true;
+                    await this.disposeIfIdle(worker);
+                    throw error;
+                }
+            }
+
+            // Pool is saturated - wait for a release and try again
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Returns a page slot to the pool and recycles the browser if needed
+     *
+     * @param {Object} worker - Worker that owns the page
+     * @param {Object} page - Page to close
+     * @param {boolean} crashed - Whether the job ended with a crashed page or browser
+     * @returns {Promise<void>}
+     */
+    async release(worker, page, crashed) {
+        try {
+            // Closing the job's context also closes its page
+            await page.browserContext().close();
+        } catch (error) {
+            crashed = true; // A page that cannot be closed means the browser is unhealthy
+        }
+
+        worker.active--;
+        worker.renders++;
+        if (crashed || worker.renders >= this.maxRendersPerBrowser) {
+            worker.retired = true;
+        }
+
+        await this.disposeIfIdle(worker);
+        this.wakeWaiter();
+    }
+
+    /**
+     * Launches a new pooled browser and registers it as a worker
+     *
+     * @param {Logger} log - Logger of the job that needs the browser (default: the renderer's)
+     * @returns {Object} - The new worker; `worker.ready` resolves to the browser
+     */
+    launchWorker(log = this.logger) {
+        log.info('🌐 Launching browser...');
+        const worker = { ready: null, browser: null, active: 0, renders: 0, retired: false };
+
+        worker.ready = log.time('launch', () => puppeteer.launch({
+            headless: true, // Run in headless mode (no GUI) for server environments
+            ...this.launchOptions,
+            args: [...DEFAULT_LAUNCH_ARGS, ...(this.launchOptions.args || [])]
+        })).catch(error => {
+            throw new BrowserLaunchError(`Cannot launch the browser: ${error.message}`, { cause: error });
+        }).then(browser => {
+            worker.browser = browser;
+            // A crashed or killed browser must never be handed out again
+            browser.once('disconnected', () => {
+                worker.retired = true;
+                this.disposeIfIdle(worker);
+                this.wakeWaiter();
+            });
+            return browser;
+        });
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Closes a retired worker's browser once it has no active pages
+     *
+     * @param {Object} worker - Worker to dispose of
+     * @returns {Promise<void>}
+     */
+    async disposeIfIdle(worker) {
+        if (!worker.retired || worker.active > 0 || !this.workers.includes(worker)) {
+            return;
+        }
+
+        this.workers.splice(this.workers.indexOf(worker), 1);
+        try {
+            const browser = await worker.ready;
+            if (browser.isConnected()) {
+                this.logger.info('🔒 Closing browser...');
+                await browser.close();
+            }
+        } catch (error) {
+            // The browser never launched or is already gone - nothing to clean up
+        }
+    }
+
+    /**
+     * Lets the next waiting job retry acquiring a page slot
+     */
+    wakeWaiter() {
+        const resolve = this.waiters.shift();
+        if (resolve) {
+            resolve();
+        }
+    }
+
+    /**
+     * Closes every pooled browser and rejects any jobs still waiting for a page
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        this.waiters.splice(0).forEach(resolve => resolve());
+
+        const workers = this.workers.splice(0);
+        await Promise.all(workers.map(async (worker) => {
+            try {
+                const browser = await worker.ready;
+                this.logger.info('🔒 Closing browser...');
+                await browser.close();
+            } catch (error) {
+                // The browser never launched or is already gone - nothing to clean up
+            }
+        }));
+    }
+}
+
+/**
+ * Creates a reusable renderer with a warm browser pool
+ *
+ * @param {Object} options - Pool configuration (see PdfRenderer)
+ * @returns {PdfRenderer} - A renderer; call close() when done with it
+ */
+function createRenderer(options = {}) {
+    return new PdfRenderer(options);
+}
+
+/**
+ * Converts the input to HTML according to options.inputFormat
+ *
+ * Markdown is converted to an HTML fragment, and its front matter options are
+ * merged under the caller's options (the caller's values win, metadata is
+ * merged field by field).
+ *
+ * @param {string} content - The document content in its input format
+ * @param {Object} options - Options passed by the caller
+ * @returns {Object} - { htmlContent, options } ready for rendering
+ * @throws {Error} - If the input format is unknown or the Markdown front matter is invalid
+ */
+function resolveInput(content, options) {
+    const inputFormat = options.inputFormat || 'html';
+    if (!['html', 'markdown'].includes(inputFormat)) {
+        throw new Error(`Unknown inputFormat: "${inputFormat}" (expected html or markdown)`);
+    }
+
+    // Empty or invalid content is reported by startJob()
+    if (inputFormat === 'html' || !content || typeof content !== 'string') {
+        return { htmlContent: content, options };
     }
-    if (!outputPath || typeof outputPath !== 'string') {
-        throw new Error('outputPath must be a non-empty string');
+
+    const { html, options: frontMatter } = convertMarkdown(content, options);
+    const merged = { ...frontMatter, ...options };
+    if (frontMatter.metadata && options.metadata) {
+        merged.metadata = { ...frontMatter.metadata, ...options.metadata };
+    }
+
+    return { htmlContent: html, options: merged };
+}
+
+/**
+ * Reads an input file of a conversion
+ *
+ * @param {string} filePath - Path of an HTML, Markdown, template or data file
+ * @returns {Promise<string>} - The file content
+ * @throws {InvalidInputError} - If the file cannot be read
+ */
+async function readInputFile(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new InvalidInputError(`Cannot read input file ${filePath}: ${error.message}`, { path: filePath, cause: error });
+    }
+}
+
+/**
+ * Resolves one part of a multi-document conversion into a render source
+ *
+ * @param {Object} part - { html }, { path } or { url }, with optional `options`
+ * @param {Object} options - Options shared by all parts
+ * @returns {Promise<Object>} - { source, options }: the source for renderDocument() and
+ *   the part's options (shared options, front matter and part options merged)
+ * @throws {InvalidInputError} - If the part has no content or its file cannot be read
+ */
+async function resolvePart(part, options) {
+    if (!part || typeof part !== 'object') {
+        throw new InvalidInputError('Each part must be an object with html, path or url');
+    }
+
+    const partOptions = { ...options, ...(part.options || {}) };
+    if (part.url !== undefined) {
+        return { source: { url: part.url }, options: partOptions };
+    }
+
+    let content = part.html;
+    if (part.path !== undefined) {
+        content = await readInputFile(part.path);
+        if (!partOptions.inputFormat && isMarkdownPath(part.path)) {
+            partOptions.inputFormat = 'markdown';
+        }
+    } else if (content === undefined) {
+        throw new InvalidInputError('Each part must be an object with html, path or url');
     }
 
-    // Set default options and merge with provided options
-    // This ensures all required properties exist with sensible defaults
+    const input = resolveInput(content, partOptions);
+    return { source: { html: input.htmlContent }, options: input.options };
+}
+
+/**
+ * Merges user options with defaults
+ *
+ * This ensures all required properties exist with sensible defaults.
+ *
+ * @param {Object} options - Options passed by the caller
+ * @returns {Object} - Complete configuration object
+ * @throws {Error} - If the page size, margins, limits, style mode or logger are invalid
+ */
+function createConfig(options = {}) {
     const config = {
         pageSize: options.pageSize || 'A4',
         orientation: options.orientation || 'portrait',
-        margin: options.margin || 10,
+        margin: options.margin !== undefined ? options.margin : 10, // 0 is a valid margin
         includeFonts: options.includeFonts !== false, // Default to true unless explicitly set to false
         renderCodeBlocks: options.renderCodeBlocks !== false, // Default to true unless explicitly set to false
+        ...LIMIT_DEFAULTS, // renderTimeout and navigationTimeout
         ...options // Spread any additional options
     };
+    checkLimitOptions(config);
+    getStyleMode(config); // Validated now; without the option, each document gets its own mode
+    config.logger = getLogger(config);
 
-    // Log configuration for debugging and transparency
-    console.log('🚀 Starting HTML to PDF conversion...');
-    console.log(`📄 Page Size: ${config.pageSize}`);
-    console.log(`🔄 Orientation: ${config.orientation}`);
-    console.log(`📏 Margin: ${config.margin}mm`);
-    console.log(`🔤 Include Fonts: ${config.includeFonts}`);
-    console.log(`💻 Render Code Blocks: ${config.renderCodeBlocks}`);
+    // Resolve the page geometry once so CSS and PDF options always agree
+    config.geometry = resolvePageGeometry(config);
 
-    let browser;
-    try {
-        // Launch Puppeteer browser instance with optimized settings
-        // These settings are designed for server-side operation and stability
-        console.log('🌐 Launching browser...');
-        browser = await puppeteer.launch({
-            headless: true, // Run in headless mode (no GUI) for server environments
-            args: [
-                '--no-sandbox', // Required for some server environments (Docker, etc.)
-                '--disable-setuid-sandbox', // Disable setuid sandbox for security
-                '--disable-dev-shm-usage', // Prevents issues in Docker containers with limited shared memory
-                '--disable-gpu', // Disable GPU hardware acceleration for stability
-                '--no-first-run', // Skip first run setup
-                '--no-zygote', // Disable zygote process for better resource management
-                '--single-process' // Run in single process mode for better isolation
-            ]
-        });
+    if (hasIsolation(config)) {
+        // Validated before a browser is launched; the list fills while the document loads
+        config.isolation = resolveIsolation(config.isolation);
+        config.blockedRequests = [];
+    }
+    return config;
+}
 
-        // Create a new page in the browser for content rendering
-        console.log('📄 Creating new page...');
-        const page = await browser.newPage();
+/**
+ * Named page sizes in millimeters (portrait, width x height)
+ *
+ * Matches the paper formats supported by Puppeteer.
+ */
+const PAGE_SIZES = {
+    letter: { width: 215.9, height: 279.4 },
+    legal: { width: 215.9, height: 355.6 },
+    tabloid: { width: 279.4, height: 431.8 },
+    ledger: { width: 431.8, height: 279.4 },
+    a0: { width: 841, height: 1189 },
+    a1: { width: 594, height: 841 },
+    a2: { width: 420, height: 594 },
+    a3: { width: 297, height: 420 },
+    a4: { width: 210, height: 297 },
+    a5: { width: 148, height: 210 },
+    a6: { width: 105, height: 148 }
+};
 
-        // Process the HTML content to add fonts, styling, and handle code blocks
-        // This step ensures the HTML is properly formatted for PDF generation
-        const processedHTML = processHTMLContent(htmlContent, config);
-        
-        // Set the page content with our processed HTML
-        // waitUntil: 'networkidle0' ensures all resources are loaded before proceeding
-        console.log('📝 Setting page content...');
-        await page.setContent(processedHTML, {
-            waitUntil: 'networkidle0' // Wait until network is idle (no requests for 500ms)
-        });
+/**
+ * Length units accepted for page sizes and margins, as millimeters per unit
+ *
+ * Pixels are CSS pixels (96 per inch), matching how Chrome lays out the page.
+ */
+const LENGTH_UNITS = {
+    mm: 1,
+    cm: 10,
+    in: 25.4,
+    pt: 25.4 / 72,
+    px: 25.4 / 96
+};
+
+/**
+ * Converts a length to millimeters
+ *
+ * Bare numbers (and numeric strings without a unit) are millimeters, which keeps
+ * the original `margin: 10` option working unchanged.
+ *
+ * @param {number|string} value - Length such as 10, '10mm', '0.5in', '72pt' or '96px'
+ * @param {string} name - Option name used in error messages
+ * @returns {number} - Length in millimeters
+ * @throws {Error} - If the value is not a valid non-negative length
+ *
+ * @example
+ * toMillimeters('1in', 'margin'); // 25.4
+ */
+function toMillimeters(value, name) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        return value;
+    }
+
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(mm|cm|in|pt|px)?$/i);
+    if (!match) {
+        throw new Error(`Invalid ${name}: "${value}" (expected a non-negative length in mm, cm, in, pt or px)`);
+    }
+
+    return parseFloat(match[1]) * LENGTH_UNITS[(match[2] || 'mm').toLowerCase()];
+}
+
+/**
+ * Resolves the margin option into per-side margins in millimeters
+ *
+ * Supported forms:
+ * - 10 or '0.5in': same margin on every side
+ * - '20mm 15mm': CSS shorthand with 1 to 4 values (top, right, bottom, left)
+ * - { top, right, bottom, left }: per-side margins (missing sides use 10mm)
+ * - { top, bottom, inside, outside }: mirrored margins for duplex binding
+ *
+ * For mirrored margins, `left`/`right` describe the first page, which is a
+ * right-hand page, so the inside (binding) margin is on its left.
+ *
+ * @param {number|string|Object} margin - Margin option
+ * @returns {Object} - { top, right, bottom, left, mirrored }
+ * @throws {Error} - If any margin is not a valid length
+ */
+function resolveMargins(margin) {
+    const DEFAULT_MARGIN = 10;
 
-        // Configure PDF generation options
-        // These options control the appearance and layout of the generated PDF
-        const pdfOptions = {
-            path: outputPath, // Output file path
-            format: config.pageSize, // Page size (A4, Letter, etc.)
-            landscape: config.orientation === 'landscape', // Convert orientation to boolean
-            margin: {
-                top: '0mm', // Set to 0 to allow CSS centering to work properly
-                right: '0mm', // Set to 0 to allow CSS centering to work properly
-                bottom: '0mm', // Set to 0 to allow CSS centering to work properly
-                left: '0mm' // Set to 0 to allow CSS centering to work properly
-            },
-            printBackground: true, // Include background colors and images in PDF
-            preferCSSPageSize: true, // Use CSS page size if available in the HTML
-            displayHeaderFooter: false, // Don't show browser header/footer
-            scale: 1.0 // Scale factor (1.0 = 100%, 0.8 = 80%, etc.)
+    if (margin !== null && typeof margin === 'object') {
+        const side = (key) => toMillimeters(margin[key] !== undefined ? margin[key] : DEFAULT_MARGIN, `margin.${key}`);
+        const mirrored = margin.inside !== undefined || margin.outside !== undefined;
+
+        return {
+            top: side('top'),
+            right: side(mirrored ? 'outside' : 'right'),
+            bottom: side('bottom'),
+            left: side(mirrored ? 'inside' : 'left'),
+            mirrored
         };
+    }
 
-        console.log('🖨️ Generating PDF...');
-        
-        // Generate the PDF using Puppeteer's PDF generation capabilities
-        // This is the core operation that converts the rendered page to PDF
-        await page.pdf(pdfOptions);
+    // CSS-style shorthand: 1 to 4 space-separated values
+    const values = String(margin).trim().split(/\s+/).map(value => toMillimeters(value, 'margin'));
+    if (values.length > 4) {
+        throw new Error(`Invalid margin: "${margin}" (expected 1 to 4 values)`);
+    }
+    const [top, right = top, bottom = top, left = right] = values;
 
-        console.log(`✅ PDF generated successfully: ${outputPath}`);
-        return outputPath;
+    return { top, right, bottom, left, mirrored: false };
+}
+
+/**
+ * Resolves page size, orientation and margins into a single geometry model
+ *
+ * All lengths are in millimeters. Custom `width`/`height` take precedence over
+ * the named `pageSize`; landscape orientation swaps the two dimensions.
+ *
+ * @param {Object} config - Configuration with pageSize, width, height, orientation and margin
+ * @returns {Object} - { width, height, margin: { top, right, bottom, left }, mirrored }
+ * @throws {Error} - If the page size is unknown or margins leave no room for content
+ *
+ * @example
+ * resolvePageGeometry({ pageSize: 'A4', margin: { top: 20, bottom: 20, inside: 25, outside: 15 } });
+ * // { width: 210, height: 297, margin: { top: 20, right: 15, bottom: 20, left: 25 }, mirrored: true }
+ */
+function resolvePageGeometry(config) {
+    let width;
+    let height;
+
+    if (config.width !== undefined || config.height !== undefined) {
+        if (config.width === undefined || config.height === undefined) {
+            throw new Error('Custom page sizes need both width and height');
+        }
+        width = toMillimeters(config.width, 'width');
+        height = toMillimeters(config.height, 'height');
+    } else {
+        const size = PAGE_SIZES[String(config.pageSize).toLowerCase()];
+        if (!size) {
+            throw new Error(`Unknown page size: "${config.pageSize}" (use one of ${Object.keys(PAGE_SIZES).join(', ')} or width/height)`);
+        }
+        ({ width, height } = size);
+    }
+
+    if (config.orientation === 'landscape') {
+        [width, height] = [height, width];
+    }
+
+    const { mirrored, ...margin } = resolveMargins(config.margin);
+    if (margin.left + margin.right >= width || margin.top + margin.bottom >= height) {
+        throw new Error('Margins leave no room for content on the page');
+    }
+
+    return { width, height, margin, mirrored };
+}
+
+/**
+ * Describes a page geometry for log output
+ *
+ * @param {Object} geometry - Geometry from resolvePageGeometry()
+ * @returns {string} - e.g. '210mm x 297mm, margins 10mm 10mm 10mm 10mm'
+ */
+function describePageGeometry(geometry) {
+    const { top, right, bottom, left } = geometry.margin;
+    const margins = [top, right, bottom, left].map(formatMillimeters).join(' ');
+    return `${formatMillimeters(geometry.width)} x ${formatMillimeters(geometry.height)}, ` +
+        `margins ${margins}${geometry.mirrored ? ' (mirrored)' : ''}`;
+}
+
+/**
+ * Renders a document to PDF bytes in a browser page
+ *
+ * Loads the processed HTML (or navigates to the URL), prints it with the
+ * configured geometry and applies any post-processing steps to the result.
+ *
+ * @param {Object} page - Puppeteer page to render in
+ * @param {Object} source - { html } with raw HTML content, or { url } of a page
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Promise<Buffer>} - The generated PDF
+ */
+async function renderDocument(page, source, config) {
+    const layout = await printDocument(page, source, config);
+    if (config.maxPages) {
+        checkPageCount(await countPages(layout.pdf), config);
+    }
+    let pdf = await stampDocument(page, layout.pdf, config);
+
+    if (layout.formFields) {
+        pdf = await applyFormFields(pdf, layout.formFields, config);
+    }
+
+    if (layout.outlineEntries) {
+        pdf = await applyOutline(pdf, layout.outlineEntries, config);
+    }
+
+    if (layout.documentInfo) {
+        pdf = await applyMetadata(pdf, config, layout.documentInfo);
+    }
+
+    if (hasPDFA(config)) {
+        pdf = await applyPDFA(pdf, config);
+    }
+
+    // Always last: the signed or encrypted PDF cannot be changed any more
+    if (hasSignature(config)) {
+        pdf = await applySignature(page, pdf, config); // Encrypts in the same step
+    } else if (hasEncryption(config)) {
+        pdf = await applyEncryption(pdf, config);
+    }
+
+    return pdf;
+}
+
+/**
+ * Lays out a document and prints it, including its table of contents
+ *
+ * This is the part of rendering that determines the pages of the document;
+ * the page content is final after this step.
+ *
+ * @param {Object} page - Puppeteer page to render in
+ * @param {Object} source - { html } with raw HTML content (and optionally its processedHTML), or { url } of a page
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Promise<Object>} - { pdf, documentInfo, outlineEntries, formFields, title }: the
+ *   printed PDF, document info for metadata, outline entries and form fields (null when
+ *   not requested), and the document title (for headers and footers)
+ */
+async function printDocument(page, source, config) {
+    if (source.url !== undefined) {
+        await loadPageURL(page, source.url, config);
+    } else {
+        await loadPageContent(page, source.html, config, source.processedHTML);
+    }
+
+    // Read before header/footer rendering replaces the page content
+    const documentInfo = hasMetadata(config) ? await readDocumentInfo(page) : null;
 
+    if (hasTableOfContents(config)) {
+        // The TOC font may not be used anywhere else in the document
+        const tocCSS = generateTOCCSS(config);
+        await insertTableOfContents(page, config, generateFontFaceCSS(tocCSS).replace(/<\/?style>/g, '') + tocCSS);
+    }
+
+    // Outline entries must be linked before rendering so Chrome records their positions
+    const outlineEntries = hasOutline(config) ? await insertOutlineAnchors(page, config) : null;
+    const formFields = hasForms(config) ? await insertFormFieldAnchors(page, config) : null;
+
+    config.logger.info('🖨️ Generating PDF...');
+
+    // Generate the PDF using Puppeteer's PDF generation capabilities
+    // This is the core operation that converts the rendered page to PDF
+    const pdfOptions = buildPDFOptions(config);
+    let pdf = await config.logger.time('pdf', () => page.pdf(pdfOptions));
+
+    // The TOC page numbers are only known after the first render
+    if (hasTableOfContents(config)) {
+        pdf = await applyTableOfContents(page, pdf, pdfOptions, config.firstPageNumber, config);
+    }
+
+    // Read while the page still holds the document
+    const title = hasHeaderFooter(config) ? await page.title() : '';
+
+    return { pdf, documentInfo, outlineEntries, formFields, title };
+}
+
+/**
+ * Draws headers, footers and watermarks onto a printed document
+ *
+ * Both are rendered as overlays in the given page, replacing its content.
+ *
+ * @param {Object} page - Puppeteer page (holding the document, or blank when config.title is set)
+ * @param {Buffer} pdf - Printed PDF from printDocument()
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Promise<Buffer>} - PDF with headers, footers and watermarks
+ */
+async function stampDocument(page, pdf, config) {
+    if (hasHeaderFooter(config)) {
+        pdf = await applyHeaderFooter(page, pdf, config);
+    }
+
+    if (hasWatermark(config)) {
+        pdf = await applyWatermark(page, pdf, config);
+    }
+
+    return pdf;
+}
+
+/**
+ * Checks whether the PDF from Chrome needs changes before it can be returned
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {boolean} - True when the output cannot be streamed straight from Chrome
+ */
+function requiresPostProcessing(config) {
+    return hasHeaderFooter(config) || hasTableOfContents(config) || hasOutline(config) || hasMetadata(config) ||
+        hasWatermark(config) || hasPDFA(config) || hasEncryption(config) || hasSignature(config) || hasForms(config);
+}
+
+/**
+ * Checks whether a render job was stopped by its renderTimeout
+ *
+ * The page of such a job may still be busy, so its browser is not reused.
+ *
+ * @param {Error} error - Error of the job
+ * @returns {boolean} - True for RENDER_TIMEOUT errors
+ */
+function isRenderTimeout(error) {
+    return error instanceof RenderTimeoutError && error.code === 'RENDER_TIMEOUT';
+}
+
+/**
+ * Logs the error of a failed render job
+ *
+ * The stack trace is only logged at debug level.
+ *
+ * @param {Logger} log - Logger of the job
+ * @param {Error} error - Error of the job
+ */
+function logRenderError(log, error) {
+    log.error(`❌ Error generating PDF: ${error.message}`, { event: 'error', error: error.message, code: error.code });
+    log.debug(`Stack trace: ${error.stack}`);
+}
+
+/**
+ * Logs an error of the cleanup after a PDF stream was read
+ *
+ * The stream has already been handed to the caller, so there is nothing left
+ * to reject; the error must not become an unhandled rejection either.
+ *
+ * @param {Logger} log - Logger of the job
+ * @param {Error} error - Error of closing the page or browser
+ */
+function logCleanupError(log, error) {
+    log.error(`❌ Error cleaning up after the PDF stream: ${error.message}`, { event: 'cleanupError', error: error.message });
+}
+
+/**
+ * Attaches the requests network isolation blocked to a rendering result
+ *
+ * @param {Buffer|Readable} result - Rendered PDF or PDF stream
+ * @param {Array<Object>} blockedRequests - Blocked requests: { url, resourceType, reason }
+ * @param {Logger} log - Logger of the job
+ * @returns {Buffer|Readable} - The result, with a blockedRequests property
+ */
+function reportBlockedRequests(result, blockedRequests, log) {
+    log.info(`🚫 Blocked ${blockedRequests.length} request${blockedRequests.length === 1 ? '' : 's'}`,
+        { event: 'blockedRequests', count: blockedRequests.length });
+    result.blockedRequests = blockedRequests;
+    return result;
+}
+
+/**
+ * Processes HTML content and loads it into a browser page
+ *
+ * @param {Object} page - Puppeteer page to load the content into
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} config - Configuration from createConfig()
+ * @param {string} processedHTML - Output of processHTMLContent() for the content, if already computed
+ * @returns {Promise<void>}
+ * @throws {RenderTimeoutError} - NAVIGATION_TIMEOUT if loading takes longer than the navigationTimeout
+ */
+async function loadPageContent(page, htmlContent, config, processedHTML) {
+    // Process the HTML content to add fonts, styling, and handle code blocks
+    // This step ensures the HTML is properly formatted for PDF generation
+    // (unless the caller already did, e.g. to compute the cache key)
+    processedHTML = processedHTML || processHTMLContent(htmlContent, config);
+    const log = config.logger;
+
+    // Untrusted HTML only reaches the allowlist; must come before other request handlers
+    if (hasIsolation(config)) {
+        await applyIsolation(page, config);
+    }
+
+    // Fonts come from the font registry or the system, never from remote servers
+    await blockRemoteFonts(page, config);
+
+    // Set the page content with our processed HTML
+    // waitUntil: 'networkidle0' ensures all resources are loaded before proceeding
+    log.info('📝 Setting page content...');
+    try {
+        await log.time('setContent', () => page.setContent(processedHTML, {
+            waitUntil: 'networkidle0', // Wait until network is idle (no requests for 500ms)
+            timeout: config.navigationTimeout // Pages that keep requesting never become idle
+        }));
     } catch (error) {
-        // Log detailed error information for debugging
-        console.error('❌ Error generating PDF:', error.message);
-        console.error('Stack trace:', error.stack);
-        throw error; // Re-throw the error for the calling code to handle
-    } finally {
-        // Always close the browser to free up system resources
-        // This is crucial for preventing memory leaks in long-running applications
-        if (browser) {
-            console.log('🔒 Closing browser...');
-            await browser.close();
+        throw toNavigationError(error, config);
+    }
+}
+
+/**
+ * Checks that a URL can be rendered
+ *
+ * Only http:// and https:// are accepted, so file:// and other schemes cannot
+ * be used to read local resources.
+ *
+ * @param {string} url - URL to check
+ * @returns {URL} - The parsed URL
+ * @throws {InvalidInputError} - If the URL is invalid or uses another scheme
+ */
+function validateURL(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new InvalidInputError(`Invalid URL: "${url}"`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new InvalidInputError(`Unsupported URL scheme: "${parsed.protocol}" (expected http or https)`);
+    }
+    return parsed;
+}
+
+/**
+ * Sends the request headers and credentials of a URL conversion to the origin of the URL only
+ *
+ * page.setExtraHTTPHeaders() and page.authenticate() would hand them to every
+ * host the page loads from (CDNs, analytics, embedded frames), so they are
+ * added to each request of the URL's origin instead. Credentials are sent
+ * upfront as a basic Authorization header. Cross-origin redirects do not
+ * receive them either.
+ *
+ * @param {Object} page - Puppeteer page to load the URL into
+ * @param {string} url - http:// or https:// URL being converted
+ * @param {Object} config - Configuration with headers and auth
+ * @returns {Promise<void>}
+ */
+async function applyOriginHeaders(page, url, config) {
+    const origin = new URL(url).origin;
+    const headers = {};
+    Object.entries(config.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = String(value);
+    });
+    if (config.auth) {
+        const credentials = Buffer.from(`${config.auth.username}:${config.auth.password}`).toString('base64');
+        headers.authorization = `Basic ${credentials}`;
+    }
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
         }
+        // Cooperative interception, so network isolation and font blocking still apply
+        const overrides = request.continueRequestOverrides();
+        if (new URL(request.url()).origin === origin) {
+            overrides.headers = { ...request.headers(), ...(overrides.headers || {}), ...headers };
+        }
+        request.continue(overrides, 0);
+    });
+}
+
+/**
+ * Navigates a browser page to a live web page
+ *
+ * Request headers, cookies, credentials and the user agent are applied before
+ * navigating; headers and credentials only for the origin of the URL. Only the @page rule for the page geometry is added afterwards;
+ * the page keeps its own styles.
+ *
+ * @param {Object} page - Puppeteer page to load the URL into
+ * @param {string} url - http:// or https:// URL
+ * @param {Object} config - Configuration from createConfig() with the navigation options
+ * @returns {Promise<void>}
+ * @throws {InvalidInputError} - If the page responds with an error status
+ * @throws {ResourceBlockedError} - If network isolation blocks the page or one of its redirects
+ * @throws {RenderTimeoutError} - NAVIGATION_TIMEOUT if loading takes longer than the navigationTimeout
+ * @throws {Error} - If navigation fails otherwise
+ */
+async function loadPageURL(page, url, config) {
+    if (hasIsolation(config)) {
+        // The page URL itself must be on the allowlist too
+        await applyIsolation(page, config);
+    }
+    if (config.userAgent) {
+        await page.setUserAgent(config.userAgent);
+    }
+    if (config.headers || config.auth) {
+        await applyOriginHeaders(page, url, config);
+    }
+    if (config.cookies && config.cookies.length > 0) {
+        // Cookies without a scope belong to the page being rendered
+        await page.setCookie(...config.cookies.map(cookie =>
+            cookie.url || cookie.domain ? cookie : { ...cookie, url }
+        ));
+    }
+
+    config.logger.info(`🔗 Loading ${url}...`);
+    let response;
+    try {
+        response = await config.logger.time('goto', () => page.goto(url, {
+            waitUntil: config.waitUntil || 'networkidle0',
+            timeout: config.navigationTimeout
+        }));
+    } catch (error) {
+        if (hasIsolation(config) && /ERR_BLOCKED_BY_CLIENT/.test(error.message)) {
+            const blocked = config.blockedRequests[config.blockedRequests.length - 1] || { url, reason: 'blocked' };
+            throw new ResourceBlockedError(`Network isolation blocked ${blocked.url} (${blocked.reason})`,
+                { url: blocked.url, reason: blocked.reason, cause: error });
+        }
+        throw toNavigationError(error, config);
+    }
+
+    if (response && !response.ok()) {
+        throw new InvalidInputError(`Failed to load ${url}: HTTP ${response.status()} ${response.statusText()}`.trim(),
+            { url, status: response.status() });
+    }
+
+    // Inserted first, as for HTML input, so the page's own @page rules take precedence
+    const pageCSS = generatePageCSS(config.geometry).replace(/<\/?style>/g, '');
+    await page.evaluate((css) => {
+        const style = document.createElement('style');
+        style.textContent = css;
+        document.head.prepend(style);
+    }, pageCSS);
+}
+
+/**
+ * Builds the options passed to Puppeteer's page.pdf()
+ *
+ * These options control the appearance and layout of the generated PDF.
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Object} - Puppeteer PDF options (without an output path)
+ */
+function buildPDFOptions(config) {
+    const { width, height, margin } = config.geometry;
+
+    return {
+        // Orientation is already applied to the geometry, so landscape stays false
+        width: formatMillimeters(width), // Page width
+        height: formatMillimeters(height), // Page height
+        // Same margins as the injected @page rule; Chrome uses these when the
+        // document's own CSS does not define page margins
+        margin: {
+            top: formatMillimeters(margin.top),
+            right: formatMillimeters(margin.right),
+            bottom: formatMillimeters(margin.bottom),
+            left: formatMillimeters(margin.left)
+        },
+        printBackground: true, // Include background colors and images in PDF
+        preferCSSPageSize: true, // Use CSS page size if available in the HTML
+        displayHeaderFooter: false, // Don't show browser header/footer
+        scale: 1.0 // Scale factor (1.0 = 100%, 0.8 = 80%, etc.)
+    };
+}
+
+/**
+ * How the default styles are combined with the document's own styles
+ *
+ * - inject: The default styles follow the document's styles and win with
+ *   !important; wrapper divs that break centering are removed
+ * - merge: The default styles only fill in what the document does not style
+ *   itself (lowest cascade layer, without !important)
+ * - preserve: No default styles; the document is rendered as written
+ *
+ * Without the styleMode option, documents with their own styles (<style>,
+ * stylesheet links or style attributes) are merged and all others injected,
+ * so unstyled documents keep the converter's standard look.
+ */
+const STYLE_MODES = ['inject', 'merge', 'preserve'];
+
+/**
+ * Languages of code blocks that get a rendered preview (language-* classes)
+ */
+const PREVIEW_LANGUAGES = ['html', 'xhtml', 'xml', 'svg', 'markup'];
+
+/**
+ * Returns the style mode for a document
+ *
+ * @param {Object} config - Configuration options with styleMode
+ * @param {Object} document - Document tree the default is chosen for (optional)
+ * @returns {string} - 'inject', 'merge' or 'preserve' (default: 'merge' for
+ *   documents with their own styles, 'inject' otherwise)
+ * @throws {Error} - If the style mode is unknown
+ */
+function getStyleMode(config, document = null) {
+    const styleMode = config.styleMode || (document && hasAuthorStyles(document) ? 'merge' : 'inject');
+    if (!STYLE_MODES.includes(styleMode)) {
+        throw new Error(`Invalid styleMode: "${styleMode}" (expected ${STYLE_MODES.join(', ')})`);
     }
+    return styleMode;
+}
+
+/**
+ * Checks whether a document has styles of its own
+ *
+ * @param {Object} document - Document tree
+ * @returns {boolean} - True with a <style> element, a stylesheet link or a style attribute
+ */
+function hasAuthorStyles(document) {
+    return findElements(document, element => element.tagName === 'style' ||
+        (element.tagName === 'link' && /(^|\s)stylesheet(\s|$)/i.test(getAttribute(element, 'rel') || '')) ||
+        getAttribute(element, 'style') !== null).length > 0;
 }
 
 /**
  * Processes HTML content to add fonts, styling, and render code blocks
  * 
  * This function prepares the HTML content for PDF generation by:
- * 1. Checking if the HTML is a complete document or needs wrapping
- * 2. Adding professional CSS styling with Liberation Serif font
- * 3. Optionally rendering HTML code blocks as actual HTML previews
- * 4. Fixing centering issues by removing interfering wrapper divs
+ * 1. Parsing it into a document tree (see html-dom.js), so any input works
+ * 2. Completing fragments into documents (doctype, charset, viewport, title)
+ * 3. Adding the default styles with Liberation Serif font, as set by styleMode
+ * 4. Fixing centering issues by removing interfering wrapper divs ('inject' only)
+ * 5. Optionally rendering HTML code blocks as actual HTML previews
+ * 6. Injecting @page rules for the page size and margins (always applied)
+ * 7. Embedding the registered fonts the document uses (always applied)
  * 
  * The function handles both complete HTML documents and partial HTML fragments,
  * ensuring consistent styling and typography in the final PDF.
@@ -206,74 +1756,245 @@ async function convertHTMLToPDF(htmlContent, outputPath, options = {}) {
  * @param {Object} config - Configuration options from the main function
  * @param {boolean} config.includeFonts - Whether to include Liberation Serif font
  * @param {boolean} config.renderCodeBlocks - Whether to render HTML code blocks
- * @param {number} config.margin - Margin setting for CSS
+ * @param {string} config.styleMode - 'inject', 'merge' or 'preserve' (default: chosen by document, see STYLE_MODES)
+ * @param {number|string|Object} config.margin - Margin setting for the page geometry
+ * @param {Object} config.geometry - Resolved page geometry (computed from config when absent)
  * @returns {string} - Processed HTML with fonts, styling, and rendered code blocks
+ * @throws {Error} - If the style mode is unknown
  * 
  * @example
  * const processed = processHTMLContent('<h1>Hello</h1>', { includeFonts: true });
  * // Returns complete HTML document with CSS styling
  */
 function processHTMLContent(htmlContent, config) {
-    console.log('🎨 Processing HTML content...');
+    const log = getLogger(config);
+    log.info('🎨 Processing HTML content...');
+
+    const startedAt = Date.now();
+    const processedHTML = prepareHTMLContent(htmlContent, config, log);
+    log.phase('process', startedAt);
+    return processedHTML;
+}
+
+/**
+ * Does the work of processHTMLContent()
+ *
+ * @param {string} htmlContent - Raw HTML content
+ * @param {Object} config - Configuration options (see processHTMLContent)
+ * @param {Logger} log - Logger of the job
+ * @returns {string} - Processed HTML
+ */
+function prepareHTMLContent(htmlContent, config, log) {
+    // Page geometry applies to every document; callers may pass a partial config
+    const geometry = config.geometry || resolvePageGeometry(createConfig(config));
+    const pageCSS = generatePageCSS(geometry);
+
+    const document = parseDocument(htmlContent);
+    const head = findElement(document, 'head');
+    const styleMode = getStyleMode(config, document);
 
-    // Check if the HTML has custom styling - if so, skip all processing
-    const hasCustomStyling = htmlContent.includes('<style>') || htmlContent.includes('class=');
-    if (hasCustomStyling) {
-        console.log('📋 HTML has custom styling - bypassing all processing to preserve layout');
-        // Skip all processing and return the HTML as-is
-        return htmlContent;
+    // The parser already placed the content in <html>, <head> and <body>;
+    // fragments also get the doctype and head elements of a complete document
+    if (!isCompleteDocument(document)) {
+        log.info('📋 Wrapping HTML content in complete document structure...');
+        completeDocument(document);
     }
-    
-    // Fix centering issues by removing interfering wrapper divs
-    console.log('🔧 Fixing centering issues...');
-    htmlContent = fixCenteringIssues(htmlContent);
-
-    // Check if the HTML already has a complete document structure
-    // This regex checks for the presence of HTML, head, and body tags
-    const hasHTML = /<html[^>]*>/i.test(htmlContent);
-    const hasHead = /<head[^>]*>/i.test(htmlContent);
-    const hasBody = /<body[^>]*>/i.test(htmlContent);
-
-    let processedHTML = htmlContent;
-
-    // If it's not a complete HTML document, wrap it in a proper HTML structure
-    // This ensures consistent rendering regardless of input format
-    if (!hasHTML || !hasHead || !hasBody) {
-        console.log('📋 Wrapping HTML content in complete document structure...');
-        processedHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>HTML to PDF</title>
-    ${generateCSS(config)}
-</head>
-<body>
-    ${htmlContent}
-</body>
-</html>`;
+
+    let defaultCSS = '';
+    if (styleMode === 'inject') {
+        log.info('🔧 Fixing centering issues...');
+        unwrapCenteringWrappers(document, log);
+
+        // After the document's own styles, so the default styles take precedence
+        log.info('📋 Adding CSS after the document styles (styleMode: inject)...');
+        defaultCSS = generateCSS(config);
+        insertHTML(head, defaultCSS);
+    } else if (styleMode === 'merge') {
+        // Before the document's own styles, so they only fill in what the document leaves unstyled
+        log.info('📋 Adding CSS beneath the document styles (styleMode: merge)...');
+        defaultCSS = generateMergeCSS(config);
+        insertHTML(head, defaultCSS, head.childNodes[0] || null);
     } else {
-        // It's a complete HTML document, check if it has custom styling
-        const hasCustomStyling = htmlContent.includes('<style>') || htmlContent.includes('class=');
-        if (hasCustomStyling) {
-            console.log('📋 HTML has custom styling - skipping CSS injection to preserve layout');
-            processedHTML = htmlContent;
-        } else {
-            // It's a complete HTML document, just inject our CSS into the head section
-            console.log('📋 Adding CSS to existing HTML document...');
-            processedHTML = htmlContent.replace('</head>', `${generateCSS(config)}
-</head>`);
-        }
+        log.info('📋 Preserving the document as written (styleMode: preserve)');
     }
 
     // Optionally render HTML code blocks as actual HTML previews
     // This is useful for documentation that shows both code and rendered output
-    if (config.renderCodeBlocks) {
-        console.log('🔧 Rendering HTML code blocks...');
-        processedHTML = renderHTMLCodeBlocks(processedHTML);
+    if (config.renderCodeBlocks && styleMode !== 'preserve') {
+        log.info('🔧 Rendering HTML code blocks...');
+        insertCodePreviews(document);
     }
 
-    return processedHTML;
+    // Registered fonts are embedded in the document, so none is loaded over the network
+    insertHTML(head, pageCSS + generateFontFaceCSS(htmlContent + defaultCSS), head.childNodes[0] || null);
+    return serializeHTML(document);
+}
+
+/**
+ * Adds what a fragment lacks to be a complete document
+ *
+ * Adds the doctype (standards mode), lang="en", the charset and viewport
+ * meta elements and a title from the first <h1>, unless the input has them.
+ *
+ * @param {Object} document - Document tree from parseDocument()
+ */
+function completeDocument(document) {
+    addDoctype(document);
+
+    const html = findElement(document, 'html');
+    if (getAttribute(html, 'lang') === null) {
+        setAttribute(html, 'lang', 'en');
+    }
+
+    const head = findElement(document, 'head');
+    const metas = findElements(head, element => element.tagName === 'meta');
+    const elements = [];
+    if (!metas.some(meta => getAttribute(meta, 'charset') !== null)) {
+        elements.push(createElement('meta', { charset: 'UTF-8' }));
+    }
+    if (!metas.some(meta => getAttribute(meta, 'name') === 'viewport')) {
+        elements.push(createElement('meta', { name: 'viewport', content: 'width=device-width, initial-scale=1.0' }));
+    }
+    if (!findElement(document, 'title')) {
+        elements.push(createElement('title', {}, getDocumentTitle(document)));
+    }
+    insertNodes(head, elements, head.childNodes[0] || null);
+}
+
+/**
+ * Derives a document title for wrapped HTML fragments from their first <h1>
+ *
+ * @param {Object} document - Document tree
+ * @returns {string} - Heading text with collapsed whitespace, or an empty string without a heading
+ */
+function getDocumentTitle(document) {
+    const heading = findElement(findElement(document, 'body'), 'h1');
+    return heading ? getTextContent(heading).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Generates CSS for the automatic table of contents
+ *
+ * The TOC uses the same typography as generateCSS() - font family, heading
+ * size and colors - even with styleMode 'preserve', which adds no default styles.
+ * Entries are indented by heading level, with dotted leaders and a fixed-width
+ * page number column so filling in the numbers never reflows the TOC.
+ *
+ * @param {Object} config - Configuration options
+ * @param {boolean} config.includeFonts - Whether to include Liberation Serif font
+ * @returns {string} - CSS rules (without a <style> element)
+ */
+function generateTOCCSS(config) {
+    const fontFamily = getFontFamily(config);
+
+    return `
+        /* Table of contents container - starts on its own page unless placed by the author */
+        .pdf-toc {
+            font-family: ${fontFamily} !important;
+            font-size: 12pt;
+            line-height: 1.4;
+            color: #333;
+        }
+        .pdf-toc-start { break-after: page; }
+        .pdf-toc-after-cover { break-before: page; break-after: page; }
+        
+        /* TOC title matches the h1 style */
+        .pdf-toc-title {
+            font-family: ${fontFamily} !important;
+            font-size: 24pt;
+            font-weight: bold;
+            color: #000000;
+            margin-top: 1.5em;
+            margin-bottom: 0.5em;
+        }
+        
+        .pdf-toc-list {
+            list-style: none;
+            margin: 1em 0;
+            padding-left: 0;
+        }
+        
+        .pdf-toc-entry {
+            margin: 0.3em 0;
+            page-break-inside: avoid;
+        }
+        
+        /* Whole entry is a link to the heading */
+        .pdf-toc-entry a {
+            display: flex;
+            align-items: baseline;
+            color: inherit;
+            text-decoration: none;
+        }
+        
+        /* Dotted leader between the text and the page number */
+        .pdf-toc-leader {
+            flex: 1;
+            min-width: 1em;
+            margin: 0 0.4em;
+            border-bottom: 1px dotted #999;
+        }
+        
+        .pdf-toc-page {
+            min-width: 3em;
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+        
+        /* Indentation by heading level */
+        .pdf-toc-level-1 { font-weight: bold; }
+        .pdf-toc-level-2 { padding-left: 1.5em; }
+        .pdf-toc-level-3 { padding-left: 3em; }
+        .pdf-toc-level-4 { padding-left: 4.5em; }
+        .pdf-toc-level-5 { padding-left: 6em; }
+        .pdf-toc-level-6 { padding-left: 7.5em; }
+    `;
+}
+
+/**
+ * Generates the @page rules for a page geometry
+ *
+ * Page size and margins are applied through CSS as well as through Puppeteer's
+ * PDF options, so that Chrome lays out content in exactly the box it prints.
+ * Mirrored margins use the :left/:right page selectors; the first page is a
+ * right-hand page, so its inside (binding) margin is on the left.
+ *
+ * @param {Object} geometry - Geometry from resolvePageGeometry()
+ * @returns {string} - A <style> element with the @page rules
+ *
+ * @example
+ * const css = generatePageCSS(resolvePageGeometry({ pageSize: 'Letter', margin: '1in' }));
+ * // <style> @page { size: 215.9mm 279.4mm; margin: 25.4mm 25.4mm 25.4mm 25.4mm; } </style>
+ */
+function generatePageCSS(geometry) {
+    const { width, height, margin, mirrored } = geometry;
+    const mm = formatMillimeters;
+
+    let css = `
+    <style>
+        /* Page geometry - injected first so the document's own @page rules take precedence */
+        @page {
+            size: ${mm(width)} ${mm(height)};
+            margin: ${mm(margin.top)} ${mm(margin.right)} ${mm(margin.bottom)} ${mm(margin.left)};
+        }`;
+
+    if (mirrored) {
+        css += `
+        
+        /* Mirrored margins for duplex binding: the inside margin faces the spine */
+        @page :right {
+            margin-left: ${mm(margin.left)};
+            margin-right: ${mm(margin.right)};
+        }
+        
+        @page :left {
+            margin-left: ${mm(margin.right)};
+            margin-right: ${mm(margin.left)};
+        }`;
+    }
+
+    return `${css}
+    </style>`;
 }
 
 /**
@@ -307,20 +2028,16 @@ function processHTMLContent(htmlContent, config) {
  * // Returns CSS string with Liberation Serif font and 15mm margins
  */
 function generateCSS(config) {
+    const fontFamily = getFontFamily(config);
+
     // Base CSS with Liberation Serif font and professional styling
     // The CSS is designed for PDF generation with print-optimized styles
     let css = `
     <style>
-        /* Import Liberation Serif font from Google Fonts if enabled */
-        /* This font provides excellent readability and professional appearance */
-        ${config.includeFonts ? `
-        @import url('https://fonts.googleapis.com/css2?family=Liberation+Serif:ital,wght@0,400;0,700;1,400;1,700&display=swap');
-        ` : ''}
-        
         /* Base styles for the document body */
         /* These styles establish the foundation for all content */
         body {
-            font-family: ${config.includeFonts ? "'Liberation Serif', 'Times New Roman', 'Georgia', serif" : "'Times New Roman', 'Georgia', serif"} !important;
+            font-family: ${fontFamily} !important;
             font-size: 12pt; /* Standard document font size */
             line-height: 1.4; /* Comfortable reading line height */
             margin: 0; /* Remove body margin to allow proper centering */
@@ -332,7 +2049,7 @@ function generateCSS(config) {
         /* Heading styles with proper hierarchy and spacing */
         /* Headings use the same font family for consistency */
         h1, h2, h3, h4, h5, h6 {
-            font-family: ${config.includeFonts ? "'Liberation Serif', 'Times New Roman', 'Georgia', serif" : "'Times New Roman', 'Georgia', serif"} !important;
+            font-family: ${fontFamily} !important;
             color: #000000 !important; /* Pure black for headings - no blue tint */
             background: none !important; /* Remove any background gradients */
             border: none !important; /* Remove any borders */
@@ -352,12 +2069,12 @@ function generateCSS(config) {
         /* This ensures typography consistency throughout the document */
         /* But preserve flexbox and centering styles */
         p, span, li, td, th {
-            font-family: ${config.includeFonts ? "'Liberation Serif', 'Times New Roman', 'Georgia', serif" : "'Times New Roman', 'Georgia', serif"} !important;
+            font-family: ${fontFamily} !important;
         }
         
         /* Preserve flexbox and centering styles on divs */
         div {
-            font-family: ${config.includeFonts ? "'Liberation Serif', 'Times New Roman', 'Georgia', serif" : "'Times New Roman', 'Georgia', serif"} !important;
+            font-family: ${fontFamily} !important;
         }
         
         /* Ensure flexbox centering works properly */
@@ -460,118 +2177,141 @@ function generateCSS(config) {
     return css;
 }
 
+/**
+ * Generates the default styles for styleMode 'merge'
+ *
+ * The rules of generateCSS() without !important, in a cascade layer: styles
+ * outside of layers always win over layered ones, so every rule of the
+ * document overrides them, whatever its specificity.
+ *
+ * @param {Object} config - Configuration options (see generateCSS)
+ * @returns {string} - A <style> element with the layered rules
+ */
+function generateMergeCSS(config) {
+    const rules = generateCSS(config)
+        .replace(/<\/?style>/g, '')
+        .replace(/\s*!important/g, '');
+
+    return `
+    <style>
+    @layer pdf-converter-defaults {${rules}}
+    </style>`;
+}
+
 /**
  * Fixes centering issues by removing interfering wrapper divs
  * 
  * This function detects and removes wrapper divs that prevent proper centering
- * of content. It looks for patterns where a wrapper div contains a child div
- * with centering styles (like margin: auto) and removes the wrapper to allow
- * the centering to work properly.
+ * of content: a div whose only content is a child div centered with auto
+ * margins (margin: auto, margin: 0 auto, margin-left/right: auto) is replaced
+ * by that child. Wrappers with inline styles of their own are kept, except
+ * for "content" wrappers. Nested wrappers are removed from the inside out.
  * 
  * Common patterns it fixes:
  * - <div class="content"><div style="margin: auto">...</div></div>
  * - <div><div style="margin: 0 auto">...</div></div>
- * - Any wrapper div that contains a div with auto margins
+ * - <div><div><div style="margin: 40px auto">...</div></div></div>
+ * 
+ * processHTMLContent() applies it with styleMode 'inject'.
  * 
- * @param {string} htmlContent - HTML content to process
+ * @param {string} htmlContent - HTML document or fragment to process
+ * @param {Logger} log - Logger for the steps taken (default: silent)
  * @returns {string} - HTML content with centering issues fixed
  * 
  * @example
  * // Input: <div class="content"><div style="margin: auto">Centered content</div></div>
  * // Output: <div style="margin: auto">Centered content</div>
  */
-function fixCenteringIssues(htmlContent) {
-    console.log('🔍 Debug: Starting fixCenteringIssues function');
-    console.log('🔍 Debug: Looking for content wrapper divs...');
-    
-    // Pattern to match wrapper divs that contain divs with auto margins
-    // This regex looks for a div that contains another div with margin: auto, margin: 0 auto, or margin: 40px auto
-    // Made the pattern more flexible to handle different spacing and quote styles
-    const centeringPattern = /<div[^>]*class\s*=\s*["']content["'][^>]*>\s*(<div[^>]*style\s*=\s*["'][^"']*margin\s*:\s*[^"']*auto[^"']*["'][^>]*>[\s\S]*?<\/div>)\s*<\/div>/gi;
-    
-    // Let's also try a simpler approach - just remove the content wrapper div
-    const simpleContentPattern = /<div[^>]*class\s*=\s*["']content["'][^>]*>([\s\S]*?)<\/div>/gi;
-    
-    // Also match any wrapper div that contains a div with auto margins (more general pattern)
-    const generalCenteringPattern = /<div[^>]*>\s*(<div[^>]*style\s*=\s*["'][^"']*margin\s*:\s*[^"']*auto[^"']*["'][^>]*>[\s\S]*?<\/div>)\s*<\/div>/gi;
-    
-    let fixedContent = htmlContent;
-    
-    // Check if the HTML contains the content class
-    if (htmlContent.includes('class="content"')) {
-        console.log('🔍 Debug: Found class="content" in HTML');
-    } else {
-        console.log('🔍 Debug: No class="content" found in HTML');
-    }
-    
-    // Check if the HTML contains margin: auto
-    if (htmlContent.includes('margin:') && htmlContent.includes('auto')) {
-        console.log('🔍 Debug: Found margin: auto pattern in HTML');
-    } else {
-        console.log('🔍 Debug: No margin: auto pattern found in HTML');
-    }
-    
-    // First, try to match the specific "content" class pattern
-    if (centeringPattern.test(fixedContent)) {
-        console.log('🎯 Found wrapper div with "content" class interfering with centering - removing it');
-        fixedContent = fixedContent.replace(centeringPattern, '$1');
-    } else {
-        console.log('🔍 Debug: No match found for content class pattern');
-        
-        // Try the simpler approach - just remove the content wrapper div
-        if (simpleContentPattern.test(fixedContent)) {
-            console.log('🎯 Found content wrapper div - removing it with simple pattern');
-            fixedContent = fixedContent.replace(simpleContentPattern, '$1');
+function fixCenteringIssues(htmlContent, log = getLogger()) {
+    return transformHTML(htmlContent, root => unwrapCenteringWrappers(root, log));
+}
+
+/**
+ * Does the work of fixCenteringIssues() on a document tree
+ *
+ * @param {Object} root - Document or fragment node, changed in place
+ * @param {Logger} log - Logger for the steps taken
+ */
+function unwrapCenteringWrappers(root, log) {
+    log.debug('🔍 Looking for wrapper divs around centered content...');
+
+    // Reverse document order handles inner wrappers before their ancestors
+    let removed = 0;
+    findElements(root, element => element.tagName === 'div').reverse().forEach(wrapper => {
+        const content = wrapper.childNodes.filter(node => !isBlank(node));
+        const centered = content.length === 1 && content[0].tagName === 'div' &&
+            hasAutoHorizontalMargins(getAttribute(content[0], 'style'));
+        if (!centered) {
+            return;
+        }
+
+        if (getClassList(wrapper).includes('content')) {
+            log.info('🎯 Found wrapper div with "content" class interfering with centering - removing it');
+        } else if ((getAttribute(wrapper, 'style') || '').trim()) {
+            log.debug('🔍 Keeping wrapper div with its own styles');
+            return;
         } else {
-            console.log('🔍 Debug: No match found for simple content pattern either');
+            log.info('🎯 Found interfering wrapper div - removing it to fix centering');
         }
+        unwrapElement(wrapper);
+        removed++;
+    });
+
+    if (removed === 0) {
+        log.debug('🔍 No wrapper divs interfering with centering found');
     }
-    
-    // Then check for general wrapper divs that might interfere with centering
-    // We need to be more careful with this pattern to avoid removing legitimate nested divs
-    const generalMatches = fixedContent.match(generalCenteringPattern);
-    if (generalMatches) {
-        // Only remove wrapper divs if they don't have meaningful styling or content
-        // and if the inner div has clear centering styles
-        fixedContent = fixedContent.replace(generalCenteringPattern, (match, innerDiv) => {
-            // Check if the wrapper div has minimal or no styling
-            const wrapperDiv = match.replace(innerDiv, '').replace(/<\/div>$/, '');
-            const hasMinimalStyling = !wrapperDiv.includes('style=') || 
-                                    wrapperDiv.includes('style=""') || 
-                                    wrapperDiv.includes("style=''");
-            
-            // Check if the inner div has clear centering styles
-            const hasCenteringStyles = innerDiv.includes('margin:') && 
-                                     (innerDiv.includes('auto') || innerDiv.includes('center'));
-            
-            if (hasMinimalStyling && hasCenteringStyles) {
-                console.log('🎯 Found interfering wrapper div - removing it to fix centering');
-                return innerDiv;
-            }
-            
-            // Keep the original if the wrapper has meaningful styling
-            return match;
-        });
-    }
-    
-    return fixedContent;
+}
+
+/**
+ * Checks whether inline styles center an element with auto side margins
+ *
+ * Later declarations override earlier ones, as in CSS.
+ *
+ * @param {string} style - Value of a style attribute
+ * @returns {boolean} - True when both the left and right margins are auto
+ */
+function hasAutoHorizontalMargins(style) {
+    let left = null;
+    let right = null;
+
+    String(style || '').split(';').forEach(declaration => {
+        const separator = declaration.indexOf(':');
+        if (separator < 0) {
+            return;
+        }
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const value = declaration.slice(separator + 1).replace(/!important/i, '').trim().toLowerCase();
+
+        if (property === 'margin') {
+            // One to four values: top, right, bottom and left (right repeats top, left repeats right)
+            const values = value.split(/\s+/);
+            right = values[1] || values[0];
+            left = values[3] || right;
+        } else if (property === 'margin-left') {
+            left = value;
+        } else if (property === 'margin-right') {
+            right = value;
+        }
+    });
+
+    return left === 'auto' && right === 'auto';
 }
 
 /**
  * Renders HTML code blocks as actual HTML in the document
  * 
- * This function finds <pre><code> blocks that contain HTML markup and renders them
- * as actual HTML elements with a preview label. This is useful for documentation
- * that shows both the code and its rendered output.
+ * This function finds <pre> elements whose content is a single <code> element
+ * (with any attributes, e.g. <pre class="example"><code class="language-html">)
+ * and whose code contains HTML elements, and adds a preview section after each
+ * one showing how the code renders. This is useful for documentation that
+ * shows both the code and its rendered output.
  * 
- * The function uses regex to identify code blocks and checks if they contain HTML
- * tags. If HTML is detected, it creates a preview section showing how the code
- * would render.
+ * The code text is read from the document tree, so escaped markup (&lt;h1&gt;)
+ * is previewed as the markup it shows. Code blocks in another language (a
+ * language-* or lang-* class other than those in PREVIEW_LANGUAGES) and code
+ * without elements (such as `a < b`) get no preview.
  * 
- * Note: This is a simplified implementation using regex. For production use with
- * complex HTML, consider using a proper HTML parser like jsdom or cheerio.
- * 
- * @param {string} htmlContent - HTML content to process
+ * @param {string} htmlContent - HTML document or fragment to process
  * @returns {string} - HTML content with rendered code blocks
  * 
  * @example
@@ -579,31 +2319,297 @@ function fixCenteringIssues(htmlContent) {
  * // Output: Original code block + rendered HTML preview
  */
 function renderHTMLCodeBlocks(htmlContent) {
-    // Use regex to find and replace code blocks
-    // This pattern matches <pre><code>content</code></pre> with any content
-    return htmlContent.replace(
-        /<pre><code>([\s\S]*?)<\/code><\/pre>/gi,
-        (match, codeContent) => {
-            // Check if this looks like HTML (contains angle brackets)
-            // This is a simple heuristic - in practice, you might want more sophisticated detection
-            if (codeContent.includes('<') && codeContent.includes('>')) {
-                // Create a container for the rendered HTML preview
-                // The preview is styled to be visually distinct from the code
-                const renderedHTML = `
-                <div style="border: 1px solid #ddd; padding: 10px; margin: 10px 0; background-color: #f9f9f9;">
-                    <div style="font-weight: bold; margin-bottom: 5px; color: #666;">Rendered HTML Preview:</div>
-                    <div>${codeContent}</div>
-                </div>`;
-                
-                // Return both the original code block and the rendered version
-                // This allows users to see both the code and its output
-                return match + renderedHTML;
-            }
-            
-            // If it's not HTML, just return the original code block unchanged
-            return match;
+    return transformHTML(htmlContent, insertCodePreviews);
+}
+
+/**
+ * Does the work of renderHTMLCodeBlocks() on a document tree
+ *
+ * @param {Object} root - Document or fragment node, changed in place
+ */
+function insertCodePreviews(root) {
+    // Collected first, so code blocks inside the inserted previews are left alone
+    findElements(root, element => element.tagName === 'pre').forEach(pre => {
+        const content = pre.childNodes.filter(node => !isBlank(node));
+        const code = content.length === 1 && content[0].tagName === 'code' ? content[0] : null;
+        if (!code || !isPreviewLanguage([...getClassList(pre), ...getClassList(code)])) {
+            return;
+        }
+
+        const markup = parseHTMLFragment(getTextContent(code));
+        if (findElements(markup, () => true).length === 0) {
+            return; // Plain text, not HTML
+        }
+
+        // The preview is styled to be visually distinct from the code
+        const preview = createElement('div', { style: 'border: 1px solid #ddd; padding: 10px; margin: 10px 0; background-color: #f9f9f9;' });
+        const rendered = createElement('div');
+        insertNodes(rendered, markup.childNodes.slice());
+        insertNodes(preview, [
+            createElement('div', { style: 'font-weight: bold; margin-bottom: 5px; color: #666;' }, 'Rendered HTML Preview:'),
+            rendered
+        ]);
+
+        // Both the original code block and the rendered version are kept
+        insertAfter(pre, [preview]);
+    });
+}
+
+/**
+ * Checks whether a code block is shown in a language that gets a preview
+ *
+ * @param {Array<string>} classes - Classes of the <pre> and <code> elements
+ * @returns {boolean} - True without a language class or for an HTML-like language
+ */
+function isPreviewLanguage(classes) {
+    const language = classes.map(name => /^lang(?:uage)?-(.+)$/i.exec(name)).find(Boolean);
+    return !language || PREVIEW_LANGUAGES.includes(language[1].toLowerCase());
+}
+
+/**
+ * Parses a command-line limit option (see render-limits.js)
+ *
+ * Timeouts are given in seconds on the command line.
+ *
+ * @param {string} option - Command-line option, e.g. '--max-pages=200'
+ * @param {Object} target - Options object that receives the limit
+ * @returns {boolean} - True when the option was a limit option
+ */
+function parseLimitOption(option, target) {
+    const match = /^--(render-timeout|navigation-timeout|max-html-bytes|max-pages|max-pdf-bytes)=(.*)$/.exec(option);
+    if (!match) {
+        return false;
+    }
+
+    // --max-pdf-bytes -> maxPDFBytes
+    const name = LIMIT_OPTIONS.find(limit => limit.toLowerCase() === match[1].replace(/-/g, ''));
+    const value = Number(match[2]);
+    target[name] = name.endsWith('Timeout') ? value * 1000 : value;
+    return true;
+}
+
+/**
+ * Parses a logging option of the command line into createConsoleLogger() options
+ *
+ * --quiet only logs errors; --log-level= and --log-format= (text or json) are
+ * passed on as they are.
+ *
+ * @param {string} option - Command-line option, e.g. '--log-format=json'
+ * @param {Object} target - Console logger options to update
+ * @returns {boolean} - True when the option was a logging option
+ */
+function parseLogOption(option, target) {
+    if (option === '--quiet') {
+        target.level = 'error';
+    } else if (option.startsWith('--log-level=')) {
+        target.level = option.slice('--log-level='.length);
+    } else if (option.startsWith('--log-format=')) {
+        target.format = option.slice('--log-format='.length);
+    } else {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Tips printed by the command line for each error code (see conversion-errors.js)
+ */
+const ERROR_TIPS = {
+    INVALID_INPUT: 'Check that the input file exists and is valid HTML, Markdown or template data',
+    BROWSER_LAUNCH_FAILED: 'Check that Chrome is installed and the machine has free memory; retrying later may help',
+    RENDER_TIMEOUT: 'The document took too long to render; retry or raise --render-timeout',
+    NAVIGATION_TIMEOUT: 'The document or its resources took too long to load; retry or raise --navigation-timeout',
+    RESOURCE_BLOCKED: 'Add the host to the allowlist with --allow= or render without network isolation',
+    OUTPUT_WRITE_FAILED: 'Check that the output directory exists, is writable and has free space',
+    HTML_TOO_LARGE: 'Split the document or raise --max-html-bytes',
+    TOO_MANY_PAGES: 'Split the document or raise --max-pages',
+    PDF_TOO_LARGE: 'Use smaller images or raise --max-pdf-bytes'
+};
+
+/**
+ * Reads the JSON data file of a template conversion on the command line
+ *
+ * @param {string} dataFile - Path of the JSON file
+ * @returns {Promise<*>} - The parsed data
+ * @throws {InvalidInputError} - If the file cannot be read or is not valid JSON
+ */
+async function readDataFile(dataFile) {
+    const json = await readInputFile(dataFile);
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new InvalidInputError(`Invalid JSON in data file ${dataFile}: ${error.message}`, { path: dataFile, cause: error });
+    }
+}
+
+/**
+ * Writes a PDF to stdout on the command line
+ *
+ * @param {Buffer|Readable} pdf - Rendered PDF or PDF stream
+ * @returns {Promise<void>}
+ * @throws {OutputWriteError} - If stdout cannot be written, e.g. a closed pipe
+ */
+async function writeStdout(pdf) {
+    const source = Buffer.isBuffer(pdf) ? Readable.from([pdf]) : pdf;
+    let renderError = null;
+    source.once('error', error => { renderError = error; });
+
+    try {
+        await promisify(pipeline)(source, process.stdout);
+    } catch (error) {
+        // Errors of a PDF stream are render errors, not write errors
+        if (error === renderError) {
+            throw error;
+        }
+        throw new OutputWriteError(`Cannot write the PDF to stdout: ${error.message}`, { outputPath: '-', cause: error });
+    }
+}
+
+/**
+ * Reports a failed command-line conversion and exits with its exit code
+ *
+ * @param {Error} error - Error of the conversion
+ */
+function exitWithError(error) {
+    console.error('❌ Error:', error.message);
+    console.error(`💡 Tip: ${ERROR_TIPS[error.code] || 'Check the options; run without arguments to see the usage'}`);
+    process.exit(exitCodeFor(error)); // See EXIT_CODES in conversion-errors.js
+}
+
+/**
+ * Runs the HTTP rendering service from the command line
+ *
+ * Command-line usage:
+ * node pdf-converter.js serve [--port=3000] [--host=127.0.0.1] [--pool-size=1]
+ *   [--job-concurrency=1] [--job-retention=3600] [--max-queued-jobs=100] [--max-finished-jobs=1000]
+ *   [--max-job-result-bytes=524288000] [--public-url=https://pdf.example.com]
+ *   [--cache | --cache-dir=.pdf-cache] [--isolate] [--allow=cdn.example.com] [--no-javascript]
+ *   [--render-timeout=120] [--max-pages=500] [...] (limits, see parseLimitOption())
+ *   [--quiet | --log-level=info] [--log-format=json]
+ *
+ * The server runs until the process receives SIGINT or SIGTERM, then stops
+ * accepting requests and closes its browsers.
+ *
+ * @param {Array<string>} options - Command-line options after 'serve'
+ * @returns {Promise<void>} - Resolves once the server is listening
+ * @throws {Error} - If an option is unknown or invalid
+ */
+async function serve(options) {
+    // Required here: pdf-server.js itself requires this module
+    const { createServer } = require('./pdf-server.js');
+
+    let port = 3000;
+    let host = '127.0.0.1';
+    let poolSize = 1;
+    let jobConcurrency = 1;
+    let jobRetention = 3600; // Seconds
+    let maxQueuedJobs = 100;
+    let maxFinishedJobs = 1000;
+    let maxJobResultBytes = 500 * 1024 * 1024;
+    let publicURL;
+    let cache;
+    let isolation; // Set by --isolate, --allow= or --no-javascript
+    const limits = {};
+    const logging = {};
+    options.forEach(option => {
+        if (parseLimitOption(option, limits) || parseLogOption(option, logging)) {
+            return;
+        }
+        if (option.startsWith('--port=')) {
+            port = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--host=')) {
+            host = option.split('=')[1];
+        } else if (option.startsWith('--pool-size=')) {
+            poolSize = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--job-concurrency=')) {
+            jobConcurrency = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--job-retention=')) {
+            jobRetention = Number(option.split('=')[1]);
+        } else if (option.startsWith('--max-queued-jobs=')) {
+            maxQueuedJobs = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--max-finished-jobs=')) {
+            maxFinishedJobs = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--max-job-result-bytes=')) {
+            maxJobResultBytes = parseInt(option.split('=')[1], 10);
+        } else if (option.startsWith('--public-url=')) {
+            publicURL = option.slice('--public-url='.length);
+        } else if (option === '--cache') {
+            cache = true;
+        } else if (option.startsWith('--cache-dir=')) {
+            cache = { directory: option.slice('--cache-dir='.length) };
+        } else if (option === '--isolate') {
+            isolation = isolation || { allow: [] };
+        } else if (option.startsWith('--allow=')) {
+            isolation = isolation || { allow: [] };
+            isolation.allow.push(option.slice('--allow='.length));
+        } else if (option === '--no-javascript') {
+            isolation = { allow: [], ...isolation, javascript: false };
+        } else {
+            throw new Error(`Unknown serve option: ${option} (expected --port=, --host=, --pool-size=, --job-concurrency=, --job-retention=, --max-queued-jobs=, --max-finished-jobs=, --max-job-result-bytes=, --public-url=, --cache, --cache-dir=, --isolate, --allow=, --no-javascript, a limit or a logging option)`);
         }
-    );
+    });
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error('--port must be a port number');
+    }
+    if (!Number.isInteger(poolSize) || poolSize < 1) {
+        throw new Error('--pool-size must be a positive number');
+    }
+    if (!Number.isInteger(jobConcurrency) || jobConcurrency < 1) {
+        throw new Error('--job-concurrency must be a positive number');
+    }
+    if (!(jobRetention >= 0) || !Number.isFinite(jobRetention)) {
+        throw new Error('--job-retention must be a number of seconds');
+    }
+    if (!Number.isInteger(maxQueuedJobs) || maxQueuedJobs < 1) {
+        throw new Error('--max-queued-jobs must be a positive number');
+    }
+    if (!Number.isInteger(maxFinishedJobs) || maxFinishedJobs < 1) {
+        throw new Error('--max-finished-jobs must be a positive number');
+    }
+    if (!Number.isInteger(maxJobResultBytes) || maxJobResultBytes < 1) {
+        throw new Error('--max-job-result-bytes must be a positive number of bytes');
+    }
+
+    // Checked now rather than with the first request
+    checkLimitOptions(limits);
+    const logger = createConsoleLogger(logging);
+    const defaults = { ...limits };
+    if (cache) {
+        defaults.cache = cache;
+    }
+    if (isolation) {
+        defaults.isolation = resolveIsolation(isolation);
+    }
+
+    const server = createServer({
+        poolSize,
+        jobConcurrency,
+        jobRetention: jobRetention * 1000,
+        maxQueuedJobs,
+        maxFinishedJobs,
+        maxJobResultBytes,
+        publicURL,
+        defaults,
+        logger
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    logger.info(`🌐 PDF service listening on http://${host}:${server.address().port}`,
+        { event: 'listening', host, port: server.address().port });
+    logger.info('   POST /render (HTML or template + data) - POST /jobs, GET /jobs/:id[/result] - GET /health');
+
+    const shutdown = () => {
+        logger.info('🔒 Shutting down PDF service...');
+        server.close();
+        server.shutdown().then(() => process.exit(0), (error) => {
+            logger.error(`❌ Error shutting down the PDF service: ${error.message}`, { event: 'shutdownError' });
+            process.exit(1);
+        });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
 }
 
 /**
@@ -615,23 +2621,80 @@ function renderHTMLCodeBlocks(htmlContent) {
  * 
  * Command-line usage:
  * node pdf-converter.js <input-file> <output-file> [options]
+ * node pdf-converter.js <input-file> <input-file>... <output-file> [options]
+ * node pdf-converter.js serve [--port=3000] [--host=127.0.0.1] [...] (see serve())
  * 
  * Arguments:
- * - input-file: Path to HTML file or '-' for stdin
- * - output-file: Path where PDF should be saved
+ * - input-file: Path to HTML or Markdown file, http(s):// URL, or '-' for stdin; several
+ *   input files are assembled into one PDF in the order given
+ * - output-file: Path where PDF should be saved or '-' for stdout
  * 
  * Options:
  * - --page-size=A4|Letter|Legal|A3: Set page size
+ * - --page-width=210mm, --page-height=297mm: Set a custom page size
  * - --orientation=portrait|landscape: Set page orientation
- * - --margin=10: Set margin in millimeters
+ * - --margin=10: Set margin (mm by default; also cm, in, pt, px or CSS shorthand)
+ * - --margin-top=, --margin-right=, --margin-bottom=, --margin-left=: Set one margin
+ * - --margin-inside=, --margin-outside=: Set mirrored margins for duplex binding
  * - --no-fonts: Disable Liberation Serif font
+ * - --font=Family=regular.ttf[,bold.ttf,italic.ttf,boldItalic.ttf]: Register a local font
  * - --no-code-blocks: Disable HTML code block rendering
+ * - --style-mode=inject|merge|preserve: Combine the default styles with the document's (default: merge
+ *   for documents with their own styles, inject for the others)
+ * - --header=file.html, --footer=file.html: Add running header/footer templates
+ * - --even-header=file.html, --even-footer=file.html: Use different templates on even pages
+ * - --skip-first-page-header-footer: Leave the first page without header/footer
+ * - --toc[=start|after-cover|placeholder]: Generate a table of contents
+ * - --outline: Generate PDF bookmarks from headings or data-bookmark elements
+ * - --forms: Turn HTML form controls into fillable PDF form fields
+ * - --title=, --author=, --subject=, --keywords=, --creator=, --producer=, --language=: Set document metadata
+ * - --xmp-namespace=prefix=uri, --xmp=prefix:Name=value: Add custom XMP properties
+ * - --data=data.json: Render the input file as a template with JSON data
+ * - --partial=name=file, --locale=, --currency=: Template partials and helper settings
+ * - --input-format=html|markdown: Set the input format (default: from the file extension)
+ * - --http-header="Name: value", --cookie=name=value, --auth=user:password, --user-agent=,
+ *   --wait-until=: Request settings for http(s):// URL input
+ * - --watermark="DRAFT", --watermark-image=logo.png: Add a text or image watermark
+ * - --watermark-opacity=, --watermark-color=, --watermark-layer=above|behind, --watermark-pages=:
+ *   Watermark settings
+ * - --page-numbering=continue|restart: Page numbering across several input files
+ * - --user-password=, --owner-password=, --encryption=AES-256|AES-128: Encrypt the PDF
+ * - --no-print, --no-copy, --no-modify, --no-annotate: Restrict permissions of encrypted PDFs
+ * - --pdfa=1b|2b|3b: Produce PDF/A for archiving
+ * - --sign-p12=, --sign-key=, --sign-cert=, --sign-passphrase=: Sign the PDF with a certificate
+ * - --sign-reason=, --sign-location=, --sign-visible, --sign-timestamp=: Signature settings
+ * - --cache-dir=.pdf-cache, --cache-ttl=3600: Reuse PDFs of identical documents from a directory
+ * - --isolate, --allow=host|url, --no-javascript: Block outbound requests of untrusted HTML
+ * - --render-timeout=, --navigation-timeout= (seconds), --max-html-bytes=, --max-pages=,
+ *   --max-pdf-bytes=: Render limits
+ * - --quiet, --log-level=debug|info|warn|error|silent, --log-format=text|json: Progress output
  * 
  * Examples:
  * node pdf-converter.js input.html output.pdf
  * node pdf-converter.js input.html output.pdf --page-size=Letter --orientation=landscape
  * node pdf-converter.js input.html output.pdf --margin=20 --no-fonts
+ * node pdf-converter.js input.html output.pdf --font="Liberation Serif=fonts/LiberationSerif-Regular.ttf"
  * cat input.html | node pdf-converter.js - output.pdf
+ * cat input.html | node pdf-converter.js - - > output.pdf
+ * node pdf-converter.js serve --port=3000 --pool-size=2 --job-concurrency=2
+ * node pdf-converter.js invoice.hbs invoice.pdf --data=invoice.json
+ * node pdf-converter.js README.md readme.pdf --toc
+ * node pdf-converter.js application.html application.pdf --forms
+ * node pdf-converter.js invoice.hbs invoice.pdf --data=invoice.json --cache-dir=.pdf-cache
+ * node pdf-converter.js customer.html customer.pdf --allow=cdn.example.com --no-javascript
+ * node pdf-converter.js report.html report.pdf --render-timeout=60 --max-pages=500
+ * node pdf-converter.js report.html report.pdf --log-format=json --log-level=debug
+ * node pdf-converter.js https://intranet.example.com/dashboard dashboard.pdf --auth=user:secret
+ * node pdf-converter.js input.html draft.pdf --watermark="DRAFT"
+ * node pdf-converter.js cover.html chapter-1.md chapter-2.md book.pdf --footer=footer.html
+ * node pdf-converter.js statement.html statement.pdf --user-password=1234 --no-copy
+ * node pdf-converter.js record.html record.pdf --pdfa=2b
+ * node pdf-converter.js contract.html contract.pdf --sign-p12=company.p12 --sign-passphrase=secret --sign-visible
+ * 
+ * Failed conversions exit with the code of their error (see EXIT_CODES in
+ * conversion-errors.js): 2 for invalid input, 3 when the browser cannot be
+ * launched, 4 for timeouts, 5 for blocked documents, 6 when the PDF cannot be
+ * written, 7 for other render limits and 1 for everything else.
  * 
  * @returns {Promise<void>} - Resolves when conversion is complete
  * @throws {Error} - If conversion fails or arguments are invalid
@@ -639,70 +2702,465 @@ function renderHTMLCodeBlocks(htmlContent) {
 async function main() {
     // Get command-line arguments (skip first two: node executable and script name)
     const args = process.argv.slice(2);
+
+    if (args[0] === 'serve') {
+        await serve(args.slice(1));
+        return;
+    }
+
+    // Input files and the output file are the arguments that are not --options;
+    // with several input files, the last argument is the output file
+    const files = args.filter(arg => !arg.startsWith('--'));
     
     // Show help if insufficient arguments provided
-    if (args.length < 2) {
+    if (files.length < 2) {
         console.log(`
 📄 HTML to PDF Converter - Command Line Interface
 
 Usage: node pdf-converter.js <input-file> <output-file> [options]
+       node pdf-converter.js <input-file> <input-file>... <output-file> [options]
+       node pdf-converter.js serve [--port=3000] [--host=127.0.0.1] [service options]
 
 Arguments:
-  input-file    Path to HTML file or '-' for stdin
-  output-file   Path where PDF should be saved
+  input-file    Path to HTML or Markdown file (or template with --data), an http(s):// URL,
+                or '-' for stdin; several input files are assembled into one PDF
+  output-file   Path where PDF should be saved or '-' for stdout
 
 Options:
   --page-size=A4|Letter|Legal|A3     Page size (default: A4)
+  --page-width=210mm                 Custom page width (use with --page-height)
+  --page-height=297mm                Custom page height (use with --page-width)
   --orientation=portrait|landscape   Page orientation (default: portrait)
-  --margin=10                        Margin in mm (default: 10)
+  --margin=10                        Margin in mm, or with unit: 0.5in, 36pt, 48px (default: 10)
+  --margin-top=20mm                  Top margin (also --margin-right, --margin-bottom, --margin-left)
+  --margin-inside=25mm               Binding-side margin for duplex printing (with --margin-outside)
   --no-fonts                         Disable Liberation Serif font
+  --font="Family=regular.ttf"        Register a local font for the document (repeatable); bold,
+                                     italic and bold italic files may follow, comma-separated
   --no-code-blocks                   Disable HTML code block rendering
+  --style-mode=merge                 Default styles: merge (beneath the document's own styles),
+                                     inject (over them) or preserve (none) (default: merge
+                                     with the document's own styles, inject without)
+  --header=header.html               Header template for every page
+  --footer=footer.html               Footer template for every page
+  --even-header=even.html            Header template for even pages (odd pages use --header)
+  --even-footer=even.html            Footer template for even pages (odd pages use --footer)
+  --skip-first-page-header-footer    No header or footer on the first page
+  --toc[=start|after-cover|placeholder]
+                                     Generate a table of contents (default position: start)
+  --outline                          Generate PDF bookmarks from headings
+  --forms                            Turn HTML form controls into fillable PDF form fields
+  --title="Annual Report"            Document title (default: <title> or first <h1>)
+  --author="Jane Doe"                Document author (also --subject, --creator, --producer)
+  --keywords=finance,2024            Comma-separated document keywords
+  --language=en-GB                   Document language (default: <html lang>)
+  --xmp-namespace=dms=http://example.com/ns/dms/1.0/
+                                     Declare a namespace for custom XMP properties
+  --xmp=dms:DocumentId=C-0117        Custom XMP property (repeatable)
+  --data=data.json                   Render the input file as a Handlebars template with this data
+  --partial=header=header.hbs        Template partial (repeatable, with --data)
+  --locale=de-DE                     Locale for template date/number/currency helpers (default: en-US)
+  --currency=EUR                     Default currency for formatCurrency (default: USD)
+  --input-format=html|markdown       Input format (default: markdown for .md files, html otherwise)
+  --http-header="Name: value"        Extra request header for URL input (repeatable)
+  --cookie=name=value                Cookie for URL input (repeatable)
+  --auth=user:password               HTTP basic authentication for URL input
+  --user-agent="..."                 User agent for URL input
+  --wait-until=networkidle0          When URL navigation is complete: load, domcontentloaded,
+                                     networkidle0 or networkidle2 (default: networkidle0)
+  --watermark="DRAFT"                Diagonal text watermark on every page
+  --watermark-image=logo.png         Image watermark (PNG, JPEG, GIF, WebP or SVG)
+  --watermark-opacity=0.2            Watermark opacity from 0 to 1 (default: 0.2)
+  --watermark-color=#c62828          Watermark text color (default: #808080)
+  --watermark-layer=above|behind     Draw the watermark above or behind the content (default: above)
+  --watermark-pages=1-3,5            Pages to watermark (default: all)
+  --page-numbering=continue|restart  Page numbering across several input files (default: continue)
+  --user-password=secret             Password needed to open the PDF (encrypts the PDF)
+  --owner-password=secret            Password that lifts the restrictions (default: random)
+  --encryption=AES-256|AES-128       Encryption algorithm (default: AES-256)
+  --no-print                         Do not allow printing the encrypted PDF
+  --no-copy                          Do not allow copying text and images (also --no-modify,
+                                     --no-annotate)
+  --pdfa=1b|2b|3b                    Produce PDF/A for archiving (fails with a report if not possible)
+  --sign-p12=company.p12             Sign the PDF with the key and certificate of a PKCS#12 file
+  --sign-key=key.pem                 Sign with a PEM private key (use with --sign-cert)
+  --sign-cert=cert.pem               PEM certificate, optionally followed by its chain
+  --sign-passphrase=secret           Passphrase of the PKCS#12 file or encrypted key
+  --sign-reason="Contract agreed"    Signing reason (also --sign-location, --sign-contact)
+  --sign-visible                     Show a signature box on the last page (default: invisible)
+  --sign-timestamp=URL               Add a timestamp from an RFC 3161 timestamp authority
+  --cache-dir=.pdf-cache             Reuse PDFs of identical documents from this directory
+  --cache-ttl=3600                   Seconds a cached PDF stays valid (default: 3600)
+  --isolate                          Block all outbound requests and file:// access of the document
+  --allow=cdn.example.com            Host, *.domain or URL prefix the isolated document may load
+                                     (repeatable, implies --isolate)
+  --no-javascript                    Disable JavaScript in the document (implies --isolate)
+  --render-timeout=120               Seconds the document may take to render (default: 120, 0: none)
+  --navigation-timeout=30            Seconds to load the document and its resources (default: 30)
+  --max-html-bytes=5000000           Largest HTML input in bytes
+  --max-pages=500                    Most pages in the PDF
+  --max-pdf-bytes=20000000           Largest PDF in bytes
+  --quiet                            Only print errors
+  --log-level=debug                  Least severe messages printed: debug, info, warn, error or
+                                     silent (default: info)
+  --log-format=json                  Print progress as JSON lines with phase timings (default: text)
+
+Templates may use {{pageNumber}}, {{totalPages}}, {{title}} and {{date}}.
+
+Service options (serve):
+  --port=3000                        Port to listen on (default: 3000)
+  --host=0.0.0.0                     Address to listen on (default: 127.0.0.1)
+  --pool-size=2                      Browsers kept warm for requests (default: 1)
+  --job-concurrency=2                Background jobs rendered at the same time (default: 1)
+  --job-retention=3600               Seconds finished jobs and their PDFs are kept (default: 3600)
+  --max-queued-jobs=100              Background jobs waiting to render at most (default: 100)
+  --max-finished-jobs=1000           Finished jobs kept at most; the oldest go first (default: 1000)
+  --max-job-result-bytes=524288000   Total size of the PDFs of finished jobs at most (default: 500 MB)
+  --public-url=https://pdf.example.com
+                                     Base URL of the service in job links and webhooks
+  --cache                            Reuse PDFs of identical requests from memory
+  --cache-dir=.pdf-cache             Reuse PDFs of identical requests from a directory
+  --isolate, --allow=, --no-javascript
+                                     Render every request with network isolation
+  --render-timeout=, --navigation-timeout=, --max-html-bytes=, --max-pages=, --max-pdf-bytes=
+                                     Limits for every request; requests can only lower them
+  --quiet, --log-level=, --log-format=
+                                     Logging of the service (JSON lines for log collectors)
+
+Exit codes:
+  0  Success
+  1  Invalid options or an unexpected failure
+  2  Invalid input: unreadable file, invalid template data, URL answering with an HTTP error
+  3  The browser could not be launched (worth retrying later)
+  4  Render or navigation timeout (worth retrying)
+  5  Blocked by network isolation
+  6  The PDF could not be written
+  7  The document exceeds --max-html-bytes, --max-pages or --max-pdf-bytes
 
 Examples:
   node pdf-converter.js input.html output.pdf
   node pdf-converter.js input.html output.pdf --page-size=Letter --orientation=landscape
   node pdf-converter.js input.html output.pdf --margin=20 --no-fonts
+  node pdf-converter.js input.html output.pdf \\
+      --font="Liberation Serif=fonts/LiberationSerif-Regular.ttf,fonts/LiberationSerif-Bold.ttf"
+  node pdf-converter.js input.html output.pdf --margin-inside=25mm --margin-outside=15mm
+  node pdf-converter.js input.html output.pdf --margin=20 --header=header.html --footer=footer.html
+  node pdf-converter.js input.html output.pdf --author="Jane Doe" --keywords=contract,signed
+  node pdf-converter.js invoice.hbs invoice.pdf --data=invoice.json --currency=EUR
+  node pdf-converter.js README.md readme.pdf --toc
+  node pdf-converter.js application.html application.pdf --forms
+  node pdf-converter.js invoice.hbs invoice.pdf --data=invoice.json --cache-dir=.pdf-cache
+  node pdf-converter.js customer.html customer.pdf --allow=cdn.example.com --no-javascript
+  node pdf-converter.js report.html report.pdf --render-timeout=60 --max-pages=500
+  node pdf-converter.js report.html report.pdf --log-format=json --log-level=debug
+  node pdf-converter.js https://intranet.example.com/dashboard dashboard.pdf --auth=archiver:secret
+  node pdf-converter.js input.html draft.pdf --watermark="DRAFT" --watermark-opacity=0.1
+  node pdf-converter.js cover.html chapter-1.md chapter-2.md appendix.html book.pdf --footer=footer.html
+  node pdf-converter.js statement.html statement.pdf --user-password=1234 --no-copy --no-modify
+  node pdf-converter.js record.html record.pdf --pdfa=2b --author="Records Office"
+  node pdf-converter.js contract.html contract.pdf --sign-p12=company.p12 --sign-passphrase=secret \\
+      --sign-reason="Contract agreed" --sign-visible
   cat input.html | node pdf-converter.js - output.pdf
+  cat input.html | node pdf-converter.js - - > output.pdf
+  node pdf-converter.js serve --port=3000 --pool-size=2 --job-concurrency=2
         `);
         process.exit(1); // Exit with error code
     }
 
-    // Extract input file, output file, and options from arguments
-    const [inputFile, outputFile, ...options] = args;
+    // Extract input files, output file, and options from arguments
+    const inputFiles = files.slice(0, -1);
+    const [inputFile] = inputFiles;
+    const outputFile = files[files.length - 1];
+    const options = args.filter(arg => arg.startsWith('--'));
     
-    // Initialize configuration with default values
-    const config = {
-        pageSize: 'A4',
-        orientation: 'portrait',
-        margin: 10,
-        includeFonts: true,
-        renderCodeBlocks: true
-    };
+    // Initialize configuration; options that are not given fall back to the
+    // defaults in createConfig(), so Markdown front matter can still set them
+    const config = {};
+
+    // Individual margins given with --margin-<side>=, applied on top of --margin
+    const marginSides = {};
+
+    // Header and footer template files given with --header=, --footer=, etc.
+    const templates = {};
+
+    // Document metadata given with --author=, --xmp=, etc.
+    const metadata = {};
+    const xmp = { namespaces: {}, properties: {} };
+
+    // Watermark given with --watermark=, --watermark-image=, etc.
+    const watermark = {};
+
+    // Encryption given with --user-password=, --no-copy, etc.
+    const encryption = { permissions: {} };
+    let encrypt = false;
+
+    // Signature given with --sign-p12=, --sign-reason=, etc.
+    const sign = {};
+
+    // Local fonts given with --font=Family=file, registered before converting
+    const fonts = [];
+
+    // Filesystem render cache given with --cache-dir= and --cache-ttl=
+    const cache = {};
+
+    // Network isolation given with --isolate, --allow= or --no-javascript
+    let isolation = null;
+
+    // Console logging given with --quiet, --log-level= and --log-format=;
+    // when the PDF goes to stdout, progress messages must not be mixed into it
+    const logging = outputFile === '-' ? { stream: process.stderr } : {};
+
+    // Template data file given with --data=; the input file is then a template
+    let dataFile = null;
 
     // Parse command line options and update configuration
     // This loop processes each option and updates the config object accordingly
     options.forEach(option => {
+        if (parseLimitOption(option, config)) {
+            return; // --render-timeout=, --max-pages=, etc.
+        }
+        if (parseLogOption(option, logging)) {
+            return; // --quiet, --log-level= and --log-format=
+        }
         if (option.startsWith('--page-size=')) {
             config.pageSize = option.split('=')[1];
+        } else if (option.startsWith('--page-width=')) {
+            config.width = option.split('=')[1];
+        } else if (option.startsWith('--page-height=')) {
+            config.height = option.split('=')[1];
         } else if (option.startsWith('--orientation=')) {
             config.orientation = option.split('=')[1];
         } else if (option.startsWith('--margin=')) {
-            config.margin = parseInt(option.split('=')[1]);
+            config.margin = option.split('=')[1];
+        } else if (/^--margin-(top|right|bottom|left|inside|outside)=/.test(option)) {
+            const [flag, value] = option.split('=');
+            marginSides[flag.slice('--margin-'.length)] = value;
         } else if (option === '--no-fonts') {
             config.includeFonts = false;
+        } else if (option.startsWith('--font=')) {
+            // --font=Family=regular.ttf[,bold.ttf[,italic.ttf[,boldItalic.ttf]]]
+            const [, family, paths = ''] = /^([^=]*)=?(.*)$/.exec(option.slice('--font='.length));
+            const [regular, bold, italic, boldItalic] = paths.split(',');
+            const files = { regular, bold, italic, boldItalic };
+            Object.keys(files).forEach(face => files[face] || delete files[face]);
+            fonts.push({ family, files });
         } else if (option === '--no-code-blocks') {
             config.renderCodeBlocks = false;
+        } else if (option.startsWith('--style-mode=')) {
+            config.styleMode = option.split('=')[1];
+        } else if (option.startsWith('--header=')) {
+            templates.header = option.split('=')[1];
+        } else if (option.startsWith('--footer=')) {
+            templates.footer = option.split('=')[1];
+        } else if (option.startsWith('--even-header=')) {
+            templates.evenHeader = option.split('=')[1];
+        } else if (option.startsWith('--even-footer=')) {
+            templates.evenFooter = option.split('=')[1];
+        } else if (option === '--skip-first-page-header-footer') {
+            config.skipFirstPageHeaderFooter = true;
+        } else if (option === '--toc') {
+            config.toc = true;
+        } else if (option.startsWith('--toc=')) {
+            config.toc = { position: option.split('=')[1] };
+        } else if (option === '--outline') {
+            config.outline = true;
+        } else if (option.startsWith('--cache-dir=')) {
+            cache.directory = option.slice('--cache-dir='.length);
+        } else if (option.startsWith('--cache-ttl=')) {
+            cache.ttl = Number(option.split('=')[1]) * 1000; // Seconds
+        } else if (option === '--isolate') {
+            isolation = isolation || { allow: [] };
+        } else if (option.startsWith('--allow=')) {
+            isolation = isolation || { allow: [] };
+            isolation.allow.push(option.slice('--allow='.length));
+        } else if (option === '--no-javascript') {
+            isolation = { allow: [], ...isolation, javascript: false };
+        } else if (option === '--forms') {
+            config.forms = true;
+        } else if (/^--(title|author|subject|keywords|creator|producer|language)=/.test(option)) {
+            // Values may contain '=', so only the first one separates the flag
+            const name = option.slice(2, option.indexOf('='));
+            metadata[name] = option.slice(option.indexOf('=') + 1);
+        } else if (option.startsWith('--xmp-namespace=')) {
+            const [prefix, ...uri] = option.slice('--xmp-namespace='.length).split('=');
+            xmp.namespaces[prefix] = uri.join('=');
+        } else if (option.startsWith('--xmp=')) {
+            const [name, ...value] = option.slice('--xmp='.length).split('=');
+            xmp.properties[name] = value.join('=');
+        } else if (option.startsWith('--data=')) {
+            dataFile = option.split('=')[1];
+        } else if (option.startsWith('--partial=')) {
+            const [name, file] = option.slice('--partial='.length).split('=');
+            config.partials = { ...config.partials, [name]: file };
+        } else if (option.startsWith('--locale=')) {
+            config.locale = option.split('=')[1];
+        } else if (option.startsWith('--currency=')) {
+            config.currency = option.split('=')[1];
+        } else if (option.startsWith('--input-format=')) {
+            config.inputFormat = option.split('=')[1];
+        } else if (option.startsWith('--http-header=')) {
+            const header = option.slice('--http-header='.length);
+            const separator = header.indexOf(':');
+            config.headers = { ...config.headers, [header.slice(0, separator).trim()]: header.slice(separator + 1).trim() };
+        } else if (option.startsWith('--cookie=')) {
+            const cookie = option.slice('--cookie='.length);
+            const separator = cookie.indexOf('=');
+            config.cookies = [...(config.cookies || []), { name: cookie.slice(0, separator), value: cookie.slice(separator + 1) }];
+        } else if (option.startsWith('--auth=')) {
+            const credentials = option.slice('--auth='.length);
+            const separator = credentials.indexOf(':');
+            config.auth = { username: credentials.slice(0, separator), password: credentials.slice(separator + 1) };
+        } else if (option.startsWith('--user-agent=')) {
+            config.userAgent = option.slice('--user-agent='.length);
+        } else if (option.startsWith('--wait-until=')) {
+            config.waitUntil = option.split('=')[1];
+        } else if (option.startsWith('--page-numbering=')) {
+            config.pageNumbering = option.split('=')[1];
+        } else if (/^--(user|owner)-password=/.test(option)) {
+            // Passwords may contain '='
+            const name = option.startsWith('--user') ? 'userPassword' : 'ownerPassword';
+            encryption[name] = option.slice(option.indexOf('=') + 1);
+            encrypt = true;
+        } else if (option.startsWith('--encryption=')) {
+            encryption.algorithm = option.split('=')[1];
+            encrypt = true;
+        } else if (/^--no-(print|copy|modify|annotate)$/.test(option)) {
+            const permission = { print: 'printing', copy: 'copying', modify: 'modifying', annotate: 'annotating' };
+            encryption.permissions[permission[option.slice('--no-'.length)]] = false;
+            encrypt = true;
+        } else if (option.startsWith('--pdfa=')) {
+            config.pdfa = option.split('=')[1];
+        } else if (/^--sign-(p12|key|cert|passphrase|reason|location|contact|timestamp)=/.test(option)) {
+            // Passphrases and URLs may contain '='
+            const name = option.slice('--sign-'.length, option.indexOf('='));
+            sign[name === 'contact' ? 'contactInfo' : name] = option.slice(option.indexOf('=') + 1);
+        } else if (option === '--sign-visible') {
+            sign.appearance = true;
+        } else if (option.startsWith('--watermark=')) {
+            watermark.text = option.slice('--watermark='.length);
+        } else if (/^--watermark-(image|opacity|color|layer|pages)=/.test(option)) {
+            const name = option.slice('--watermark-'.length, option.indexOf('='));
+            watermark[name] = option.slice(option.indexOf('=') + 1);
         }
     });
 
+    // Template files are read by the converter; even-page templates switch to { odd, even }
+    config.headerTemplate = templates.evenHeader
+        ? { odd: templates.header, even: templates.evenHeader }
+        : templates.header;
+    config.footerTemplate = templates.evenFooter
+        ? { odd: templates.footer, even: templates.evenFooter }
+        : templates.footer;
+
+    // http(s):// inputs are rendered as live pages
+    const isURLInput = /^https?:\/\//i.test(inputFile);
+
+    // Markdown files are recognized by their extension unless the format is given
+    // (several input files are recognized one by one below)
+    if (!config.inputFormat && inputFiles.length === 1 && !isURLInput && isMarkdownPath(inputFile)) {
+        config.inputFormat = 'markdown';
+    }
+
+    if (Object.keys(xmp.properties).length > 0) {
+        metadata.xmp = xmp;
+    }
+    if (Object.keys(metadata).length > 0) {
+        config.metadata = metadata;
+    }
+    if (Object.keys(watermark).length > 0) {
+        config.watermark = watermark;
+    }
+    if (encrypt) {
+        config.encryption = encryption;
+    }
+    if (Object.keys(sign).length > 0) {
+        config.sign = sign;
+    }
+    if (cache.directory) {
+        config.cache = cache;
+    }
+    if (isolation) {
+        config.isolation = isolation;
+    }
+
+    if (Object.keys(marginSides).length > 0) {
+        // Expand --margin into per-side values so individual flags can override it
+        const { top, right, bottom, left } = resolveMargins(config.margin !== undefined ? config.margin : 10);
+        const mirrored = marginSides.inside !== undefined || marginSides.outside !== undefined;
+        config.margin = mirrored
+            ? { top, bottom, inside: left, outside: right, ...marginSides }
+            : { top, right, bottom, left, ...marginSides };
+    }
+
     try {
-        console.log('📖 Reading input file...');
+        const log = createConsoleLogger(logging);
+        config.logger = log;
+        fonts.forEach(font => registerFont(font.family, font.files, { logger: log }));
+
+        if (inputFiles.length > 1) {
+            // Several inputs become the parts of one PDF, sharing all options
+            if (inputFiles.includes('-')) {
+                throw new InvalidInputError('stdin (-) cannot be combined with other input files');
+            }
+
+            const data = dataFile ? await readDataFile(dataFile) : null;
+            const parts = [];
+            for (const file of inputFiles) {
+                if (/^https?:\/\//i.test(file)) {
+                    parts.push({ url: file });
+                    continue;
+                }
+
+                log.info(`📂 Reading file: ${file}`);
+                let html = await readInputFile(file);
+                if (data) {
+                    html = await renderTemplateHTML(html, data, config);
+                }
+                parts.push({ html, options: !config.inputFormat && isMarkdownPath(file) ? { inputFormat: 'markdown' } : {} });
+            }
+
+            log.info(`📄 Converting ${inputFiles.length} files to ${outputFile === '-' ? 'stdout' : outputFile}...`);
+            if (outputFile === '-') {
+                const renderer = createRenderer({ logger: log });
+                try {
+                    await writeStdout(await renderer.renderMany(parts, config));
+                } finally {
+                    await renderer.close();
+                }
+                log.info('🎉 Success! PDF written to stdout');
+            } else {
+                await convertManyToPDF(parts, outputFile, config);
+                log.info(`🎉 Success! PDF saved to: ${outputFile}`);
+            }
+            return;
+        }
+
+        if (isURLInput) {
+            // Live pages are loaded by the browser; there is no input file to read
+            log.info(`📄 Converting ${inputFile} to ${outputFile === '-' ? 'stdout' : outputFile}...`);
+
+            if (outputFile === '-') {
+                const renderer = createRenderer({ logger: log });
+                try {
+                    await writeStdout(await renderer.renderURL(inputFile, config));
+                } finally {
+                    await renderer.close();
+                }
+                log.info('🎉 Success! PDF written to stdout');
+            } else {
+                await convertURLToPDF(inputFile, outputFile, config);
+                log.info(`🎉 Success! PDF saved to: ${outputFile}`);
+            }
+            return;
+        }
+
+        log.info('📖 Reading input file...');
         
         // Read input file or stdin based on the input parameter
         let htmlContent;
         if (inputFile === '-') {
             // Read from stdin (useful for piping content)
-            console.log('📥 Reading from stdin...');
+            log.info('📥 Reading from stdin...');
             htmlContent = await new Promise((resolve) => {
                 let data = '';
                 process.stdin.on('data', chunk => data += chunk);
@@ -710,22 +3168,32 @@ Examples:
             });
         } else {
             // Read from specified file
-            console.log(`📂 Reading file: ${inputFile}`);
-            htmlContent = await fs.readFile(inputFile, 'utf8');
+            log.info(`📂 Reading file: ${inputFile}`);
+            htmlContent = await readInputFile(inputFile);
         }
 
-        console.log(`📄 Converting ${inputFile} to ${outputFile}...`);
-        
-        // Call the main conversion function with the processed content and configuration
-        await convertHTMLToPDF(htmlContent, outputFile, config);
+        if (dataFile) {
+            // The input is a template: fill it in with the JSON data before converting
+            log.info(`📂 Reading data file: ${dataFile}`);
+            const data = await readDataFile(dataFile);
+            htmlContent = await renderTemplateHTML(htmlContent, data, config);
+        }
+
+        log.info(`📄 Converting ${inputFile} to ${outputFile === '-' ? 'stdout' : outputFile}...`);
         
-        console.log(`🎉 Success! PDF saved to: ${outputFile}`);
+        if (outputFile === '-') {
+            // Stream the PDF straight to stdout (useful for piping into other tools)
+            await writeStdout(await renderPDFStream(htmlContent, config));
+            log.info('🎉 Success! PDF written to stdout');
+        } else {
+            // Call the main conversion function with the processed content and configuration
+            await convertHTMLToPDF(htmlContent, outputFile, config);
+            log.info(`🎉 Success! PDF saved to: ${outputFile}`);
+        }
         
     } catch (error) {
-        // Handle and display errors with helpful information
-        console.error('❌ Error:', error.message);
-        console.error('💡 Tip: Check that the input file exists and is valid HTML');
-        process.exit(1); // Exit with error code
+        // Handle and display errors with a tip and an exit code for their kind
+        exitWithError(error);
     }
 }
 
@@ -733,8 +3201,29 @@ Examples:
 // This allows other files to import and use these functions
 module.exports = {
     convertHTMLToPDF,      // Main conversion function
+    convertURLToPDF,       // Live web page conversion
+    convertManyToPDF,      // Multi-document conversion into one PDF
+    renderPDF,             // In-memory conversion returning a Buffer
+    renderPDFStream,       // Streaming conversion returning a Readable
+    renderTemplate,        // Template + data conversion returning a Buffer
+    PdfRenderer,           // Reusable renderer with a warm browser pool
+    ConversionError,       // Base class of the typed errors (see conversion-errors.js)
+    InvalidInputError,     // Error for unusable documents and input files
+    BrowserLaunchError,    // Error for browsers that cannot be launched
+    RenderLimitError,      // Error for exceeded limits (see render-limits.js)
+    RenderTimeoutError,    // Error for exceeded render and navigation timeouts
+    ResourceBlockedError,  // Error for documents blocked by network isolation
+    OutputWriteError,      // Error for PDFs that cannot be written
+    EXIT_CODES,            // Command-line exit codes by error code
+    createRenderer,        // Factory for PdfRenderer
+    registerFont,          // Local font registration (see font-registry.js)
+    createRenderCache,     // Render cache factory (see render-cache.js)
+    createConsoleLogger,   // Console logger for the logger option (see logger.js)
     processHTMLContent,    // HTML processing function
     generateCSS,          // CSS generation function
+    generatePageCSS,      // @page rule generation function
+    generateTOCCSS,       // Table of contents CSS generation function
+    resolvePageGeometry,  // Page size and margin resolution function
     renderHTMLCodeBlocks, // Code block rendering function
     fixCenteringIssues    // Centering issue fix function
 };
@@ -0,0 +1,116 @@
+/**
+ * PDF Named Destinations
+ *
+ * Chrome writes a named destination for every element that is the target of an
+ * internal link (<a href="#id">), recording the page and position where the
+ * element was laid out. This module reads those destinations back from a
+ * rendered PDF, which tells us on which page each linked element landed.
+ *
+ * Both places a PDF can keep named destinations are supported:
+ * - The catalog /Dests dictionary (used by Chrome)
+ * - The /Names /Dests name tree (used by most other producers)
+ */
+
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFNumber } = require('@cantoo/pdf-lib'); // PDF object model
+
+/**
+ * Reads the named destinations of a PDF
+ *
+ * @param {Buffer|Uint8Array} pdf - PDF bytes
+ * @returns {Promise<Map<string, Object>>} - Destinations by name (see collectNamedDestinations)
+ */
+async function readNamedDestinations(pdf) {
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    return collectNamedDestinations(pdfDoc);
+}
+
+/**
+ * Collects the named destinations of a loaded PDF document
+ *
+ * Only destinations pointing at a page of the document are returned.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {Map<string, Object>} - { pageIndex, pageRef, x, y } by destination name;
+ *   x and y are in PDF points from the bottom-left corner (null when unspecified)
+ *
+ * @example
+ * const destinations = collectNamedDestinations(pdfDoc);
+ * destinations.get('introduction'); // { pageIndex: 2, pageRef, x: 0, y: 712.5 }
+ */
+function collectNamedDestinations(pdfDoc) {
+    const pageIndexByRef = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+    const destinations = new Map();
+    const context = pdfDoc.context;
+
+    // Destination values are arrays [page /XYZ left top zoom] or dictionaries { /D array }
+    const addDestination = (name, value) => {
+        let destination = value instanceof PDFRef ? context.lookup(value) : value;
+        if (destination instanceof PDFDict) {
+            destination = destination.lookup(PDFName.of('D'));
+        }
+        if (!(destination instanceof PDFArray) || destination.size() === 0) {
+            return;
+        }
+
+        const pageRef = destination.get(0);
+        if (!(pageRef instanceof PDFRef) || !pageIndexByRef.has(pageRef.toString())) {
+            return;
+        }
+
+        const coordinate = (index) => {
+            const number = index < destination.size() ? destination.lookup(index) : null;
+            return number instanceof PDFNumber ? number.asNumber() : null;
+        };
+
+        destinations.set(name, {
+            pageIndex: pageIndexByRef.get(pageRef.toString()),
+            pageRef,
+            x: coordinate(2),
+            y: coordinate(3)
+        });
+    };
+
+    // PDF 1.1 style: catalog /Dests dictionary keyed by name objects
+    const destsDict = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (destsDict) {
+        for (const [key, value] of destsDict.entries()) {
+            addDestination(key.decodeText(), value);
+        }
+    }
+
+    // PDF 1.2+ style: /Names /Dests name tree keyed by strings
+    const namesDict = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const destsTree = namesDict && namesDict.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (destsTree) {
+        walkNameTree(destsTree, addDestination);
+    }
+
+    return destinations;
+}
+
+/**
+ * Visits every entry of a PDF name tree
+ *
+ * @param {PDFDict} node - Name tree node
+ * @param {Function} visit - Called with (name, value) for each entry
+ */
+function walkNameTree(node, visit) {
+    const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (names) {
+        for (let i = 0; i + 1 < names.size(); i += 2) {
+            visit(names.lookup(i).decodeText(), names.get(i + 1));
+        }
+    }
+
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) {
+        for (let i = 0; i < kids.size(); i++) {
+            walkNameTree(kids.lookup(i, PDFDict), visit);
+        }
+    }
+}
+
+module.exports = {
+    readNamedDestinations,   // Destinations from PDF bytes
+    collectNamedDestinations // Destinations from a loaded document
+};
@@ -0,0 +1,131 @@
+/**
+ * PDF Encryption
+ *
+ * This module password-protects rendered PDFs and restricts what readers may
+ * do with them, for documents such as statements that contain personal data.
+ * Encryption is the last post-processing step, applied after every other
+ * change to the PDF produced by page.pdf().
+ *
+ * Options (`encryption` option):
+ * - userPassword: Password needed to open the document (default: none, so
+ *   the document opens without one but the permissions still apply)
+ * - ownerPassword: Password that lifts all restrictions (default: a random
+ *   password, so the permissions cannot be lifted)
+ * - algorithm: 'AES-256' (default) or 'AES-128'
+ * - permissions: Allowed operations; each one is allowed unless set to false:
+ *   - printing: true, false or 'lowResolution'
+ *   - copying: Copy text and images
+ *   - modifying: Change the document
+ *   - annotating: Add comments and fill in forms
+ *
+ * Permissions are enforced by PDF viewers, not by the encryption itself; they
+ * only protect documents that readers open with the user password.
+ *
+ * @example
+ * await convertHTMLToPDF(statementHTML, 'statement.pdf', {
+ *   encryption: {
+ *     userPassword: customer.dateOfBirth,
+ *     ownerPassword: process.env.PDF_OWNER_PASSWORD,
+ *     permissions: { copying: false, modifying: false }
+ *   }
+ * });
+ */
+
+const crypto = require('crypto'); // Random owner passwords
+const { PDFDocument } = require('@cantoo/pdf-lib'); // PDF parsing and encryption
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Supported encryption algorithms
+ */
+const ALGORITHMS = ['AES-256', 'AES-128'];
+
+/**
+ * Permission names of the encryption option
+ */
+const PERMISSIONS = ['printing', 'copying', 'modifying', 'annotating'];
+
+/**
+ * Checks whether encryption is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the encryption option is set
+ */
+function hasEncryption(config) {
+    return Boolean(config.encryption);
+}
+
+/**
+ * Resolves the encryption option into pdf-lib security options
+ *
+ * @param {Object} encryption - The encryption option
+ * @returns {Object} - { userPassword, ownerPassword, algorithm, permissions } for PDFDocument.encrypt()
+ * @throws {Error} - If the algorithm, a permission or a password is invalid
+ */
+function resolveEncryptionOptions(encryption) {
+    const options = typeof encryption === 'object' ? encryption : {};
+    const algorithm = String(options.algorithm || 'AES-256').toUpperCase();
+    const permissions = options.permissions || {};
+
+    if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Invalid encryption.algorithm: "${options.algorithm}" (expected ${ALGORITHMS.join(' or ')})`);
+    }
+    ['userPassword', 'ownerPassword'].forEach(name => {
+        if (options[name] !== undefined && typeof options[name] !== 'string') {
+            throw new Error(`encryption.${name} must be a string`);
+        }
+    });
+    Object.keys(permissions).forEach(name => {
+        if (!PERMISSIONS.includes(name)) {
+            throw new Error(`Unknown encryption permission: "${name}" (expected ${PERMISSIONS.join(', ')})`);
+        }
+    });
+    if (![undefined, true, false, 'lowResolution', 'highResolution'].includes(permissions.printing)) {
+        throw new Error(`Invalid encryption.permissions.printing: "${permissions.printing}" (expected true, false or lowResolution)`);
+    }
+
+    const printing = permissions.printing === undefined || permissions.printing === true
+        ? 'highResolution'
+        : permissions.printing;
+    const annotating = permissions.annotating !== false;
+
+    return {
+        userPassword: options.userPassword || '',
+        // Without an owner password, the user password would lift the restrictions
+        ownerPassword: options.ownerPassword || crypto.randomBytes(24).toString('hex'),
+        algorithm,
+        permissions: {
+            printing,
+            copying: permissions.copying !== false,
+            contentAccessibility: true, // Screen readers may always extract the text
+            modifying: permissions.modifying !== false,
+            documentAssembly: permissions.modifying !== false,
+            annotating,
+            fillingForms: annotating
+        }
+    };
+}
+
+/**
+ * Encrypts a rendered PDF
+ *
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Conversion configuration with the encryption option
+ * @returns {Promise<Buffer>} - Encrypted PDF
+ * @throws {Error} - If the encryption options are invalid
+ */
+async function applyEncryption(pdf, config) {
+    const options = resolveEncryptionOptions(config.encryption);
+
+    getLogger(config).info(`🔐 Encrypting PDF (${options.algorithm})...`);
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    pdfDoc.encrypt(options);
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    hasEncryption,           // Encryption detection
+    applyEncryption,         // Encryption after rendering
+    resolveEncryptionOptions // Option validation and defaults
+};
@@ -0,0 +1,337 @@
+/**
+ * PDF Forms
+ *
+ * This module turns the HTML form controls of a document - <input>, <textarea>
+ * and <select> - into interactive PDF form fields (AcroForm), so readers can
+ * fill in the PDF instead of only seeing a picture of the form.
+ *
+ * Fields are placed where Chrome laid out their controls. Like outline items
+ * (see pdf-outline.js), the positions come from the named destinations Chrome
+ * writes for link targets, so a hidden link to every control is added before
+ * rendering; the size of each control is measured in the page with print
+ * styles applied.
+ *
+ * Supported controls:
+ * - Text inputs (text, email, tel, url, number, search, date, ...) and
+ *   <textarea>: text fields (multiline for textareas, masked for passwords)
+ * - Checkboxes: check boxes
+ * - Radio buttons: one radio group per name, with the value of each button
+ * - <select>: dropdowns, or option lists for <select multiple>
+ *
+ * Field names come from the name attribute (then the id); dots are replaced
+ * by underscores since they separate the levels of PDF field names, and
+ * repeated names get a numeric suffix. Current values, checked states,
+ * selected options, required, readonly/disabled and maxlength carry over.
+ * Hidden inputs and buttons are left as they are.
+ *
+ * The printed control keeps its border and background, while its value is
+ * drawn by the form field; check boxes and radio buttons cover the printed
+ * ones with their own box. Field values are drawn in Helvetica, so they are limited to
+ * Latin-1 characters.
+ *
+ * @example
+ * await convertHTMLToPDF(applicationFormHTML, 'application.pdf', { forms: true });
+ */
+
+const { PDFDocument, rgb } = require('@cantoo/pdf-lib'); // PDF parsing and form fields
+const { collectNamedDestinations } = require('./pdf-destinations.js'); // Page lookup for link targets
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * PDF points per CSS pixel (Chrome prints 96 pixels per inch)
+ */
+const POINTS_PER_PIXEL = 0.75;
+
+/**
+ * Millimeters per CSS pixel, for the content width of the page
+ */
+const MILLIMETERS_PER_PIXEL = 25.4 / 96;
+
+/**
+ * Checks whether form fields are requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the forms option is set
+ */
+function hasForms(config) {
+    return Boolean(config.forms);
+}
+
+/**
+ * Collects the form controls and links them so Chrome records their positions
+ *
+ * Must run before the document is rendered. The controls are measured with
+ * print styles at the content width of the page, and their printed values are
+ * hidden so only the form fields show them.
+ *
+ * @param {Object} page - Puppeteer page holding the processed document
+ * @param {Object} config - Conversion configuration with the page geometry
+ * @returns {Promise<Array<Object>>} - Field descriptions in document order (see collectFormFieldsInPage)
+ */
+async function insertFormFieldAnchors(page, config) {
+    const { width, margin } = config.geometry;
+    const viewport = page.viewport();
+
+    await page.emulateMediaType('print');
+    await page.setViewport({
+        width: Math.round((width - margin.left - margin.right) / MILLIMETERS_PER_PIXEL),
+        height: viewport ? viewport.height : 600
+    });
+
+    const fields = await page.evaluate(collectFormFieldsInPage);
+
+    if (viewport) {
+        await page.setViewport(viewport);
+    }
+    await page.emulateMediaType(null);
+
+    getLogger(config).info(`📝 Found ${fields.length} form field${fields.length === 1 ? '' : 's'}`);
+    return fields;
+}
+
+/**
+ * Collects form field descriptions inside the browser page
+ *
+ * Runs in the page context via page.evaluate(), so it must be self-contained.
+ *
+ * @returns {Array<Object>} - Fields: { id, kind, name, width, height, fontSize,
+ *   color, value, checked, options, selected, multiline, password, maxLength,
+ *   required, readOnly } with sizes in CSS pixels
+ */
+function collectFormFieldsInPage() {
+    const skippedTypes = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'range', 'color'];
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+    const anchors = document.createElement('div');
+    anchors.className = 'pdf-form-anchors';
+    anchors.style.cssText = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);';
+
+    const fields = [];
+    document.querySelectorAll('input, textarea, select').forEach((control, index) => {
+        const type = control.tagName === 'INPUT' ? control.type : control.tagName.toLowerCase();
+        const rect = control.getBoundingClientRect();
+        if (skippedTypes.includes(type) || rect.width === 0 || rect.height === 0) {
+            return;
+        }
+
+        if (!control.id) {
+            let id = `pdf-form-field-${index + 1}`;
+            while (usedIds.has(id)) {
+                id += '-1';
+            }
+            control.id = id;
+            usedIds.add(id);
+        }
+
+        const style = getComputedStyle(control);
+        const field = {
+            id: control.id,
+            name: control.name || control.id,
+            width: rect.width,
+            height: rect.height,
+            fontSize: parseFloat(style.fontSize),
+            color: style.color,
+            required: control.required,
+            readOnly: control.readOnly || control.disabled
+        };
+
+        if (type === 'checkbox' || type === 'radio') {
+            Object.assign(field, { kind: type, value: control.value, checked: control.checked });
+        } else if (type === 'select') {
+            const options = Array.from(control.options);
+            Object.assign(field, {
+                kind: control.multiple ? 'list' : 'dropdown',
+                options: options.map(option => option.text),
+                selected: options.filter(option => option.selected).map(option => option.text)
+            });
+            control.classList.add('pdf-form-value');
+        } else {
+            Object.assign(field, {
+                kind: 'text',
+                value: control.value,
+                multiline: type === 'textarea',
+                password: type === 'password',
+                maxLength: control.maxLength > 0 ? control.maxLength : null
+            });
+            control.classList.add('pdf-form-value');
+        }
+
+        const link = document.createElement('a');
+        link.href = `#${encodeURIComponent(control.id)}`;
+        link.textContent = field.name;
+        anchors.appendChild(link);
+
+        fields.push(field);
+    });
+
+    // The form fields draw the values over the printed controls
+    const style = document.createElement('style');
+    style.textContent = `
+        .pdf-form-value { color: transparent !important; -webkit-text-fill-color: transparent !important; }
+        .pdf-form-value::placeholder { color: transparent !important; }
+    `;
+    document.head.appendChild(style);
+    document.body.appendChild(anchors);
+    return fields;
+}
+
+/**
+ * Converts a computed CSS color into a pdf-lib color
+ *
+ * @param {string} color - Computed color, e.g. 'rgb(51, 51, 51)'
+ * @returns {Object} - pdf-lib RGB color (black for unknown formats)
+ */
+function toPDFColor(color) {
+    const match = /rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/.exec(color || '');
+    return match ? rgb(match[1] / 255, match[2] / 255, match[3] / 255) : rgb(0, 0, 0);
+}
+
+/**
+ * Looks up where the controls of form fields were laid out
+ *
+ * @param {PDFDocument} pdfDoc - Loaded rendered PDF
+ * @param {Array<Object>} fields - Fields from insertFormFieldAnchors()
+ * @returns {Array<Object>} - Fields that produced a destination, with
+ *   `destination` set to { pageIndex, pageRef, x, y }
+ */
+function placeFormFields(pdfDoc, fields) {
+    const destinations = collectNamedDestinations(pdfDoc);
+    return fields
+        .filter(field => destinations.has(field.id) && destinations.get(field.id).y !== null)
+        .map(field => ({ ...field, destination: destinations.get(field.id) }));
+}
+
+/**
+ * Returns a field name that is valid and not used yet
+ *
+ * @param {string} name - Name from the HTML control
+ * @param {Set<string>} usedNames - Names of the fields created so far
+ * @returns {string} - The name, with dots replaced and a suffix when taken
+ */
+function uniqueFieldName(name, usedNames) {
+    const base = name.replace(/\./g, '_');
+    let unique = base;
+    for (let i = 2; usedNames.has(unique); i++) {
+        unique = `${base}_${i}`;
+    }
+    usedNames.add(unique);
+    return unique;
+}
+
+/**
+ * Creates the form fields of placed controls in a loaded PDF document
+ *
+ * @param {PDFDocument} pdfDoc - Document to add the fields to
+ * @param {Array<Object>} placed - Fields from placeFormFields(), whose
+ *   destination pageIndex points at a page of pdfDoc
+ */
+function writeFormFields(pdfDoc, placed) {
+    const form = pdfDoc.getForm();
+    const usedNames = new Set(form.getFields().map(field => field.getName()));
+    const radioGroups = new Map();
+
+    placed.forEach(field => {
+        const page = pdfDoc.getPage(field.destination.pageIndex);
+        const width = field.width * POINTS_PER_PIXEL;
+        const height = field.height * POINTS_PER_PIXEL;
+        const box = {
+            x: field.destination.x || 0,
+            y: field.destination.y - height,
+            width,
+            height,
+            textColor: toPDFColor(field.color)
+        };
+        // The printed control already shows the border and background
+        const transparent = { ...box, backgroundColor: undefined, borderColor: undefined, borderWidth: 0 };
+        const fontSize = field.fontSize * POINTS_PER_PIXEL;
+        let pdfField;
+
+        if (field.kind === 'radio') {
+            // Radio buttons with the same name form one group
+            const key = field.name;
+            if (!radioGroups.has(key)) {
+                radioGroups.set(key, form.createRadioGroup(uniqueFieldName(field.name, usedNames)));
+            }
+            pdfField = radioGroups.get(key);
+            pdfField.addOptionToPage(field.value, page, { ...box, borderColor: rgb(0.5, 0.5, 0.5) }); // Opaque, covers the printed button
+            if (field.checked) {
+                pdfField.select(field.value);
+            }
+        } else if (field.kind === 'checkbox') {
+            pdfField = form.createCheckBox(uniqueFieldName(field.name, usedNames));
+            pdfField.addToPage(page, { ...box, borderColor: rgb(0.5, 0.5, 0.5) });
+            if (field.checked) {
+                pdfField.check();
+            }
+        } else if (field.kind === 'dropdown' || field.kind === 'list') {
+            pdfField = field.kind === 'list'
+                ? form.createOptionList(uniqueFieldName(field.name, usedNames))
+                : form.createDropdown(uniqueFieldName(field.name, usedNames));
+            pdfField.setOptions(field.options);
+            if (field.kind === 'list') {
+                pdfField.enableMultiselect();
+            }
+            if (field.selected.length > 0) {
+                pdfField.select(field.kind === 'list' ? field.selected : field.selected[0]);
+            }
+            pdfField.addToPage(page, transparent);
+            pdfField.setFontSize(fontSize);
+        } else {
+            pdfField = form.createTextField(uniqueFieldName(field.name, usedNames));
+            if (field.multiline) {
+                pdfField.enableMultiline();
+            }
+            if (field.password) {
+                pdfField.enablePassword();
+            }
+            if (field.maxLength) {
+                pdfField.setMaxLength(field.maxLength);
+            }
+            // Values set by the HTML may be longer than users could type
+            pdfField.setText(field.maxLength ? field.value.slice(0, field.maxLength) : field.value);
+            pdfField.addToPage(page, transparent);
+            pdfField.setFontSize(fontSize);
+        }
+
+        if (field.required) {
+            pdfField.enableRequired();
+        }
+        if (field.readOnly) {
+            pdfField.enableReadOnly();
+        }
+    });
+}
+
+/**
+ * Adds the form fields to a rendered PDF
+ *
+ * Fields whose control produced no destination (e.g. hidden controls) are
+ * left out.
+ *
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Array<Object>} fields - Fields from insertFormFieldAnchors()
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<Buffer>} - PDF with fillable form fields
+ */
+async function applyFormFields(pdf, fields, config = {}) {
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    const placed = placeFormFields(pdfDoc, fields);
+
+    const log = getLogger(config);
+    if (placed.length === 0) {
+        log.info('📝 No form controls found - skipping form fields');
+        return pdf;
+    }
+
+    log.info(`📝 Creating ${placed.length} form field${placed.length === 1 ? '' : 's'}...`);
+    writeFormFields(pdfDoc, placed);
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    hasForms,               // Form field detection
+    insertFormFieldAnchors, // Control collection before rendering
+    applyFormFields,        // Field creation after rendering
+    placeFormFields,        // Control destination lookup
+    writeFormFields         // Field creation in a loaded document
+};
@@ -0,0 +1,310 @@
+/**
+ * Document Metadata and XMP
+ *
+ * This module writes document metadata into a rendered PDF: the classic Info
+ * dictionary (shown by viewers under "Document Properties"), the document
+ * language, and an XMP packet (the XML metadata read by document-management
+ * systems and required by archival formats such as PDF/A).
+ *
+ * The title defaults to the document's <title>, or the text of its first <h1>
+ * when the document has no title. The language defaults to the lang attribute
+ * of the <html> element. Values Chrome already wrote (producer and dates) are
+ * kept unless they are given.
+ *
+ * Options (`metadata` object, every field optional):
+ * - title, author, subject: Strings
+ * - keywords: Array of strings, or a comma-separated string
+ * - creator: Application that created the source document
+ * - producer: Application that produced the PDF (default: Chrome's)
+ * - language: BCP 47 language tag, e.g. 'en-GB'
+ * - creationDate, modificationDate: Date objects or date strings
+ * - xmp: Custom XMP properties:
+ *   - namespaces: { prefix: namespaceURI }
+ *   - properties: { 'prefix:Name': value }, where an array value becomes an
+ *     unordered list (rdf:Bag)
+ *
+ * @example
+ * await convertHTMLToPDF(html, 'contract.pdf', {
+ *   metadata: {
+ *     author: 'Legal Department',
+ *     keywords: ['contract', 'ACME Corp'],
+ *     xmp: {
+ *       namespaces: { dms: 'http://example.com/ns/dms/1.0/' },
+ *       properties: { 'dms:DocumentId': 'C-2024-0117', 'dms:Tags': ['signed', 'archived'] }
+ *     }
+ *   }
+ * });
+ */
+
+const { PDFDocument, PDFName } = require('@cantoo/pdf-lib'); // PDF object model
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Namespaces used by the standard XMP properties
+ *
+ * Custom properties cannot redefine these prefixes.
+ */
+const XMP_NAMESPACES = {
+    x: 'adobe:ns:meta/',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    pdf: 'http://ns.adobe.com/pdf/1.3/'
+};
+
+/**
+ * Checks whether document metadata is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the metadata option is set
+ */
+function hasMetadata(config) {
+    return Boolean(config.metadata);
+}
+
+/**
+ * Reads the title and language of the document loaded in the page
+ *
+ * Must run while the page still holds the document, i.e. before headers and
+ * footers are rendered with the same page.
+ *
+ * @param {Object} page - Puppeteer page holding the processed document
+ * @returns {Promise<Object>} - { title, language }, empty strings when absent
+ */
+async function readDocumentInfo(page) {
+    return page.evaluate(() => {
+        const heading = document.querySelector('h1');
+        const headingText = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+
+        return {
+            title: document.title.trim() || headingText,
+            language: document.documentElement.lang || ''
+        };
+    });
+}
+
+/**
+ * Resolves the metadata option into complete metadata values
+ *
+ * @param {Object} config - Conversion configuration with the metadata option
+ * @param {Object} documentInfo - Values read from the document (see readDocumentInfo)
+ * @returns {Object} - Metadata with keywords as an array and dates as Date objects
+ * @throws {Error} - If a date or the custom XMP properties are invalid
+ */
+function resolveMetadata(config, documentInfo = {}) {
+    const metadata = typeof config.metadata === 'object' ? config.metadata : {};
+    const keywords = typeof metadata.keywords === 'string'
+        ? metadata.keywords.split(',')
+        : metadata.keywords || [];
+
+    return {
+        title: metadata.title || config.title || documentInfo.title || '',
+        author: metadata.author || '',
+        subject: metadata.subject || '',
+        keywords: keywords.map(keyword => String(keyword).trim()).filter(Boolean),
+        creator: metadata.creator || '',
+        producer: metadata.producer || '',
+        language: metadata.language || documentInfo.language || '',
+        creationDate: toDate(metadata.creationDate, 'metadata.creationDate'),
+        modificationDate: toDate(metadata.modificationDate, 'metadata.modificationDate'),
+        xmp: resolveCustomXMP(metadata.xmp)
+    };
+}
+
+/**
+ * Converts a date option into a Date
+ *
+ * @param {Date|string|number|undefined} value - Date option
+ * @param {string} name - Option name for error messages
+ * @returns {Date|null} - The date, or null when not given
+ * @throws {Error} - If the value is not a valid date
+ */
+function toDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * Validates custom XMP namespaces and properties
+ *
+ * @param {Object} xmp - { namespaces, properties } from the metadata option
+ * @returns {Object} - { namespaces, properties } with values as strings or string arrays
+ * @throws {Error} - If a prefix is reserved or undeclared, or a name is not a valid XML name
+ */
+function resolveCustomXMP(xmp = {}) {
+    const namespaces = xmp.namespaces || {};
+    const properties = {};
+
+    Object.entries(namespaces).forEach(([prefix, uri]) => {
+        if (!/^[A-Za-z_][\w.-]*$/.test(prefix) || XMP_NAMESPACES[prefix]) {
+            throw new Error(`Invalid XMP namespace prefix: "${prefix}"`);
+        }
+        if (typeof uri !== 'string' || uri === '') {
+            throw new Error(`Invalid XMP namespace URI for "${prefix}"`);
+        }
+    });
+
+    Object.entries(xmp.properties || {}).forEach(([name, value]) => {
+        const match = /^([A-Za-z_][\w.-]*):([A-Za-z_][\w.-]*)$/.exec(name);
+        if (!match) {
+            throw new Error(`Invalid XMP property name: "${name}" (expected prefix:Name)`);
+        }
+        if (!namespaces[match[1]]) {
+            throw new Error(`XMP property "${name}" uses undeclared namespace prefix "${match[1]}"`);
+        }
+        properties[name] = Array.isArray(value) ? value.map(String) : String(value);
+    });
+
+    return { namespaces, properties };
+}
+
+/**
+ * Escapes text for safe insertion into XML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the XMP packet describing the document
+ *
+ * Standard properties are grouped by namespace, and each custom namespace gets
+ * its own rdf:Description so other tools can add or replace blocks independently.
+ *
+ * @param {Object} metadata - Final metadata values (producer and dates resolved)
+ * @returns {string} - Complete XMP packet
+ */
+function buildXMP(metadata) {
+    const indent = '            ';
+    const alt = (tag, value) => `${indent}<${tag}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(value)}</rdf:li></rdf:Alt></${tag}>`;
+    const list = (tag, type, values) => `${indent}<${tag}><rdf:${type}>${values.map(value => `<rdf:li>${escapeXML(value)}</rdf:li>`).join('')}</rdf:${type}></${tag}>`;
+    const simple = (tag, value) => `${indent}<${tag}>${escapeXML(value)}</${tag}>`;
+    const description = (namespaces, lines) => {
+        const declarations = Object.entries(namespaces).map(([prefix, uri]) => ` xmlns:${prefix}="${escapeXML(uri)}"`).join('');
+        return `        <rdf:Description rdf:about=""${declarations}>\n${lines.join('\n')}\n        </rdf:Description>`;
+    };
+
+    const dublinCore = [simple('dc:format', 'application/pdf')];
+    if (metadata.title) dublinCore.push(alt('dc:title', metadata.title));
+    if (metadata.author) dublinCore.push(list('dc:creator', 'Seq', [metadata.author]));
+    if (metadata.subject) dublinCore.push(alt('dc:description', metadata.subject));
+    if (metadata.keywords.length > 0) dublinCore.push(list('dc:subject', 'Bag', metadata.keywords));
+    if (metadata.language) dublinCore.push(list('dc:language', 'Bag', [metadata.language]));
+
+    const basic = [simple('xmp:MetadataDate', metadata.modificationDate.toISOString())];
+    if (metadata.creator) basic.push(simple('xmp:CreatorTool', metadata.creator));
+    if (metadata.creationDate) basic.push(simple('xmp:CreateDate', metadata.creationDate.toISOString()));
+    basic.push(simple('xmp:ModifyDate', metadata.modificationDate.toISOString()));
+
+    const pdf = [];
+    if (metadata.producer) pdf.push(simple('pdf:Producer', metadata.producer));
+    if (metadata.keywords.length > 0) pdf.push(simple('pdf:Keywords', metadata.keywords.join(', ')));
+
+    const descriptions = [
+        description({ dc: XMP_NAMESPACES.dc }, dublinCore),
+        description({ xmp: XMP_NAMESPACES.xmp }, basic)
+    ];
+    if (pdf.length > 0) {
+        descriptions.push(description({ pdf: XMP_NAMESPACES.pdf }, pdf));
+    }
+
+    // One block per custom namespace holding its properties
+    const { namespaces, properties } = metadata.xmp;
+    Object.entries(namespaces).forEach(([prefix, uri]) => {
+        const lines = Object.entries(properties)
+            .filter(([name]) => name.startsWith(`${prefix}:`))
+            .map(([name, value]) => Array.isArray(value) ? list(name, 'Bag', value) : simple(name, value));
+        if (lines.length > 0) {
+            descriptions.push(description({ [prefix]: uri }, lines));
+        }
+    });
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="${XMP_NAMESPACES.x}">
+    <rdf:RDF xmlns:rdf="${XMP_NAMESPACES.rdf}">
+${descriptions.join('\n')}
+    </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Writes the metadata into a rendered PDF
+ *
+ * Sets the Info dictionary, the catalog /Lang entry and an XMP metadata stream.
+ * The XMP stream is left uncompressed so indexers can read it without parsing
+ * the PDF.
+ *
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Conversion configuration with the metadata option
+ * @param {Object} documentInfo - Values read from the document (see readDocumentInfo)
+ * @returns {Promise<Buffer>} - PDF with the metadata
+ * @throws {Error} - If the metadata option is invalid
+ */
+async function applyMetadata(pdf, config, documentInfo) {
+    const metadata = resolveMetadata(config, documentInfo);
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+
+    getLogger(config).info('🏷️ Writing document metadata...');
+
+    // Keep what Chrome wrote unless the caller overrides it
+    metadata.producer = metadata.producer || pdfDoc.getProducer() || '';
+    metadata.creationDate = metadata.creationDate || pdfDoc.getCreationDate() || new Date();
+    metadata.modificationDate = metadata.modificationDate || new Date();
+
+    if (metadata.title) {
+        pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    }
+    if (metadata.author) {
+        pdfDoc.setAuthor(metadata.author);
+    }
+    if (metadata.subject) {
+        pdfDoc.setSubject(metadata.subject);
+    }
+    if (metadata.keywords.length > 0) {
+        // pdf-lib joins keywords with spaces; commas keep multi-word keywords intact
+        pdfDoc.setKeywords([metadata.keywords.join(', ')]);
+    }
+    if (metadata.creator) {
+        pdfDoc.setCreator(metadata.creator);
+    }
+    if (metadata.producer) {
+        pdfDoc.setProducer(metadata.producer);
+    }
+    if (metadata.language) {
+        pdfDoc.setLanguage(metadata.language);
+    }
+    pdfDoc.setCreationDate(metadata.creationDate);
+    pdfDoc.setModificationDate(metadata.modificationDate);
+
+    // Encoded up front: pdf-lib would write string contents as Latin-1, but XMP is UTF-8
+    const xmpStream = pdfDoc.context.stream(Buffer.from(buildXMP(metadata), 'utf8'), {
+        Type: 'Metadata',
+        Subtype: 'XML'
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmpStream));
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    hasMetadata,      // Metadata detection
+    readDocumentInfo, // Title and language lookup before rendering
+    applyMetadata,    // Info dictionary and XMP writing after rendering
+    buildXMP,         // XMP packet generation
+    escapeXML         // XML text escaping, also for the PDF/A extension schema
+};
@@ -0,0 +1,273 @@
+/**
+ * PDF Outline (Bookmarks)
+ *
+ * This module adds a nested outline - the bookmark panel of PDF viewers - to a
+ * rendered PDF. Outline items come from the document's heading hierarchy, or
+ * from elements marked with a `data-bookmark` attribute.
+ *
+ * Each outline item points at the page and position where its element was laid
+ * out. Those positions come from the named destinations Chrome writes for link
+ * targets (see pdf-destinations.js), so a hidden link to every bookmarked element
+ * is added to the page before rendering.
+ *
+ * Options (`outline: true` uses all defaults):
+ * - source: 'auto' (default), 'headings' or 'bookmarks'; 'auto' uses
+ *   data-bookmark elements when the document has any, and headings otherwise
+ * - levels: Deepest heading level to include, 1 to 6 (default: 6)
+ *
+ * Bookmark elements:
+ * - data-bookmark="Title": outline title (the element text when empty)
+ * - data-bookmark-level="2": nesting level (default: heading level, or 1)
+ *
+ * @example
+ * await convertHTMLToPDF(specHTML, 'spec.pdf', { outline: true });
+ *
+ * @example
+ * // <section data-bookmark="Appendix A" data-bookmark-level="1">...</section>
+ * await convertHTMLToPDF(html, 'book.pdf', { outline: { source: 'bookmarks' } });
+ */
+
+const { PDFDocument, PDFName, PDFHexString, PDFNull, PDFNumber } = require('@cantoo/pdf-lib'); // PDF object model
+const { collectNamedDestinations } = require('./pdf-destinations.js'); // Page lookup for link targets
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Checks whether an outline is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the outline option is set
+ */
+function hasOutline(config) {
+    return Boolean(config.outline);
+}
+
+/**
+ * Resolves the outline option into complete outline options
+ *
+ * @param {boolean|Object} outline - The outline option
+ * @returns {Object} - { source, levels }
+ * @throws {Error} - If the source or levels are invalid
+ */
+function resolveOutlineOptions(outline) {
+    const options = { source: 'auto', levels: 6, ...(typeof outline === 'object' ? outline : {}) };
+
+    if (!['auto', 'headings', 'bookmarks'].includes(options.source)) {
+        throw new Error(`Invalid outline.source: "${options.source}" (expected auto, headings or bookmarks)`);
+    }
+    if (!Number.isInteger(options.levels) || options.levels < 1 || options.levels > 6) {
+        throw new Error(`Invalid outline.levels: "${options.levels}" (expected 1 to 6)`);
+    }
+
+    return options;
+}
+
+/**
+ * Collects outline entries and links them so Chrome records their positions
+ *
+ * Must run before the document is rendered. Elements without an id get a
+ * generated one.
+ *
+ * @param {Object} page - Puppeteer page holding the processed document
+ * @param {Object} config - Conversion configuration with the outline option
+ * @returns {Promise<Array<Object>>} - Outline entries in document order: { id, level, title }
+ */
+async function insertOutlineAnchors(page, config) {
+    const options = resolveOutlineOptions(config.outline);
+    const entries = await page.evaluate(collectOutlineEntriesInPage, options);
+
+    getLogger(config).info(`🔖 Outline will contain ${entries.length} bookmarks`);
+    return entries;
+}
+
+/**
+ * Collects outline entries inside the browser page
+ *
+ * Runs in the page context via page.evaluate(), so it must be self-contained.
+ * The links are visually hidden but still laid out, which Chrome needs in
+ * order to emit their destinations.
+ *
+ * @param {Object} options - Resolved outline options
+ * @returns {Array<Object>} - Outline entries: { id, level, title }
+ */
+function collectOutlineEntriesInPage(options) {
+    const bookmarks = document.querySelectorAll('[data-bookmark]');
+    const useBookmarks = options.source === 'bookmarks' || (options.source === 'auto' && bookmarks.length > 0);
+    const headingSelector = Array.from({ length: options.levels }, (unused, i) => `h${i + 1}`).join(', ');
+    const elements = useBookmarks ? bookmarks : document.querySelectorAll(headingSelector);
+
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+    const anchors = document.createElement('div');
+    anchors.className = 'pdf-outline-anchors';
+    anchors.style.cssText = 'position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0);';
+
+    const entries = [];
+    elements.forEach((element, index) => {
+        const headingLevel = /^H[1-6]$/.test(element.tagName) ? Number(element.tagName.slice(1)) : 1;
+        const level = useBookmarks
+            ? Math.max(1, parseInt(element.dataset.bookmarkLevel, 10) || headingLevel)
+            : headingLevel;
+        const title = ((useBookmarks && element.dataset.bookmark) || element.textContent).replace(/\s+/g, ' ').trim();
+        if (!title) {
+            return;
+        }
+
+        if (!element.id) {
+            let id = `pdf-bookmark-${index + 1}`;
+            while (usedIds.has(id)) {
+                id += '-1';
+            }
+            element.id = id;
+            usedIds.add(id);
+        }
+
+        const link = document.createElement('a');
+        link.href = `#${encodeURIComponent(element.id)}`;
+        link.textContent = title;
+        anchors.appendChild(link);
+
+        entries.push({ id: element.id, level, title });
+    });
+
+    document.body.appendChild(anchors);
+    return entries;
+}
+
+/**
+ * Builds the nested outline tree from flat entries
+ *
+ * An entry becomes a child of the closest preceding entry with a lower level.
+ *
+ * @param {Array<Object>} entries - Entries with their resolved destinations
+ * @returns {Array<Object>} - Top-level nodes: { entry, children }
+ */
+function buildOutlineTree(entries) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    entries.forEach(entry => {
+        while (stack[stack.length - 1].level >= entry.level) {
+            stack.pop();
+        }
+        const node = { entry, level: entry.level, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+
+    return root.children;
+}
+
+/**
+ * Writes the outline into a rendered PDF
+ *
+ * Entries whose element produced no destination (e.g. hidden elements) are
+ * left out. All outline items are expanded, and the viewer is asked to show
+ * the bookmark panel when the document opens.
+ *
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Array<Object>} entries - Entries from insertOutlineAnchors()
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<Buffer>} - PDF with the outline
+ */
+async function applyOutline(pdf, entries, config = {}) {
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    const placed = placeOutlineEntries(pdfDoc, entries);
+
+    const log = getLogger(config);
+    if (placed.length === 0) {
+        log.info('🔖 No bookmarked elements found - skipping outline');
+        return pdf;
+    }
+
+    log.info('🔖 Writing PDF outline...');
+    writeOutline(pdfDoc, placed);
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Looks up where the elements of outline entries were laid out
+ *
+ * @param {PDFDocument} pdfDoc - Loaded rendered PDF
+ * @param {Array<Object>} entries - Entries from insertOutlineAnchors()
+ * @returns {Array<Object>} - Entries that produced a destination, with
+ *   `destination` set to { pageIndex, pageRef, x, y }
+ */
+function placeOutlineEntries(pdfDoc, entries) {
+    const destinations = collectNamedDestinations(pdfDoc);
+    return entries
+        .filter(entry => destinations.has(entry.id))
+        .map(entry => ({ ...entry, destination: destinations.get(entry.id) }));
+}
+
+/**
+ * Writes the outline of placed entries into a loaded PDF document
+ *
+ * @param {PDFDocument} pdfDoc - Document to add the outline to
+ * @param {Array<Object>} placed - Entries from placeOutlineEntries(), whose
+ *   destination pageRef points at a page of pdfDoc
+ */
+function writeOutline(pdfDoc, placed) {
+    const context = pdfDoc.context;
+    const outlinesRef = context.nextRef();
+
+    // Writes the items of one level and returns the number of items below the parent
+    const writeItems = (nodes, parentRef) => {
+        const refs = nodes.map(() => context.nextRef());
+        let count = 0;
+
+        nodes.forEach((node, i) => {
+            const { destination, title } = node.entry;
+            const item = context.obj({
+                Title: PDFHexString.fromText(title),
+                Parent: parentRef,
+                Dest: [
+                    destination.pageRef,
+                    PDFName.of('XYZ'),
+                    PDFNull,
+                    destination.y === null ? PDFNull : PDFNumber.of(destination.y),
+                    PDFNull
+                ]
+            });
+
+            if (i > 0) {
+                item.set(PDFName.of('Prev'), refs[i - 1]);
+            }
+            if (i < nodes.length - 1) {
+                item.set(PDFName.of('Next'), refs[i + 1]);
+            }
+
+            if (node.children.length > 0) {
+                const childRefs = writeItems(node.children, refs[i]);
+                item.set(PDFName.of('First'), childRefs.first);
+                item.set(PDFName.of('Last'), childRefs.last);
+                item.set(PDFName.of('Count'), PDFNumber.of(childRefs.count)); // Positive: expanded
+                count += childRefs.count;
+            }
+
+            context.assign(refs[i], item);
+            count++;
+        });
+
+        return { first: refs[0], last: refs[refs.length - 1], count };
+    };
+
+    const top = writeItems(buildOutlineTree(placed), outlinesRef);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: top.first,
+        Last: top.last,
+        Count: top.count
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+module.exports = {
+    hasOutline,           // Outline detection
+    insertOutlineAnchors, // Entry collection before rendering
+    applyOutline,         // Outline writing after rendering
+    placeOutlineEntries,  // Entry destination lookup
+    writeOutline,         // Outline writing into a loaded document
+    buildOutlineTree      // Heading hierarchy nesting
+};
@@ -0,0 +1,560 @@
+/**
+ * PDF Service - HTTP Rendering Server
+ *
+ * This module runs the converter as an HTTP service, so other applications
+ * can render PDFs without embedding Node.js or Chrome. All requests share one
+ * warm browser pool (see PdfRenderer in pdf-converter.js).
+ *
+ * Endpoints:
+ * - POST /render: Renders a document and responds with application/pdf.
+ *   The body is either JSON or raw HTML (Content-Type: text/html):
+ *   - { html, options }: HTML (or Markdown with options.inputFormat) to convert
+ *   - { template, data, options }: Handlebars template source filled in with data
+ *   - filename: Optional file name for the Content-Disposition header
+ *   `options` accepts the same options as convertHTMLToPDF(), except the ones
+ *   that read files on the server (see checkRequestOptions).
+ * - POST /jobs: Queues the same body as POST /render for background rendering
+ *   (see job-queue.js) and responds 202 with the job; an optional `webhook`
+ *   URL receives the job as JSON once it is done or has failed; 503 with a
+ *   Retry-After header while the queue is full
+ * - GET /jobs/:id: Responds with the job: { id, state, ..., statusUrl, resultUrl }
+ * - GET /jobs/:id/result: Responds with the PDF once the job is done (409 before)
+ * - GET /health: Responds with { status: 'ok', ... }, render counters and job counts
+ *
+ * Errors are answered with a JSON body: { error: { status, message, code? } }.
+ * Invalid requests get 4xx statuses; documents that fail to render get a
+ * status for the kind of failure (see renderErrorStatus), and the stable
+ * `code` of their error (see conversion-errors.js).
+ *
+ * Server options:
+ * - poolSize, pagesPerBrowser, maxRendersPerBrowser, launchOptions: Browser pool settings
+ * - defaults: Options applied to every render, below the request options
+ *   (the only way to sign documents, since keys never come from requests);
+ *   network isolation in the defaults cannot be changed by requests and also
+ *   applies to webhook URLs, and
+ *   render limits in the defaults (see render-limits.js) can only be lowered
+ * - maxBodySize: Largest accepted request body in bytes (default: 10 MB)
+ * - jobConcurrency, jobRetention: Background jobs rendered at the same time
+ *   (default: 1) and milliseconds finished jobs are kept (default: 1 hour)
+ * - maxQueuedJobs: Background jobs waiting for a slot at most (default: 100)
+ * - maxFinishedJobs, maxJobResultBytes: Finished jobs kept at most (default: 1000)
+ *   and total size of their PDFs (default: 500 MB); the oldest go first
+ * - publicURL: Base URL of the service for job links (default: links are paths)
+ * - logger, logLevel: Logger of the service, its renders and jobs (default: silent;
+ *   see logger.js); requests cannot change logging
+ *
+ * @example
+ * const { createServer } = require('./pdf-server.js');
+ * const server = createServer({ poolSize: 2, defaults: { pageSize: 'Letter' } });
+ * server.listen(3000);
+ *
+ * // curl -X POST localhost:3000/render -H 'Content-Type: application/json' \
+ * //   -d '{"html": "<h1>Hello</h1>", "options": {"orientation": "landscape"}}' -o hello.pdf
+ */
+
+const http = require('http'); // HTTP server
+const { createRenderer, resolvePageGeometry } = require('./pdf-converter.js'); // Browser pool and option checks
+const { renderTemplateHTML } = require('./html-template.js'); // Template + data rendering
+const { JobQueue, QueueFullError } = require('./job-queue.js'); // Background render jobs
+const { resolveIsolation } = require('./network-isolation.js'); // Isolation option checks
+const { LIMIT_DEFAULTS, LIMIT_OPTIONS } = require('./render-limits.js'); // Render limits
+const {
+    ConversionError,
+    InvalidInputError,
+    BrowserLaunchError,
+    RenderLimitError,
+    ResourceBlockedError
+} = require('./conversion-errors.js'); // Render error statuses
+const { getLogger } = require('./logger.js'); // Request logging
+const { isTemplatePath } = require('./html-utils.js'); // Template file paths the server would read
+
+/**
+ * Default largest accepted request body (10 MB)
+ */
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Seconds a client is asked to wait before submitting again to a full job queue
+ */
+const QUEUE_FULL_RETRY_AFTER = 30;
+
+/**
+ * Request error with an HTTP status
+ */
+class RequestError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message sent to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * Rejects request options that would make the server read its own files
+ *
+ * Requests come from other machines, so they must not be able to turn file
+ * paths on the server into PDF content. Signing is only available through the
+ * server defaults, since its keys are files or secrets of the server, and so
+ * are cache settings, which name server directories.
+ *
+ * @param {Object} options - Request options
+ * @throws {RequestError} - 400 if an option refers to a server file
+ */
+function checkRequestOptions(options) {
+    if (options.sign !== undefined) {
+        throw new RequestError(400, 'The sign option cannot be set per request; configure it in the server defaults');
+    }
+    if (options.cache !== undefined && typeof options.cache !== 'boolean') {
+        throw new RequestError(400, 'cache can only be true or false per request; configure the cache in the server defaults');
+    }
+    if (options.logger !== undefined || options.logLevel !== undefined) {
+        throw new RequestError(400, 'Logging cannot be configured per request');
+    }
+
+    ['headerTemplate', 'footerTemplate'].forEach(name => {
+        const value = options[name];
+        const templates = value && typeof value === 'object' ? [value.odd, value.even] : [value];
+        if (templates.some(isTemplatePath)) {
+            throw new RequestError(400, `${name} must be HTML, not a file path`);
+        }
+    });
+
+    if (options.partials && Object.values(options.partials).some(isTemplatePath)) {
+        throw new RequestError(400, 'partials must be template source, not file paths');
+    }
+
+    const watermarks = Array.isArray(options.watermark) ? options.watermark : [options.watermark];
+    watermarks.forEach(mark => {
+        if (mark && typeof mark === 'object' && mark.image && !/^(https?:|data:)/i.test(mark.image)) {
+            throw new RequestError(400, 'watermark.image must be an http(s):// URL or a data: URI');
+        }
+    });
+}
+
+/**
+ * Reads a request body up to a size limit
+ *
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {number} maxBodySize - Largest accepted body in bytes
+ * @returns {Promise<string>} - Body as UTF-8 text
+ * @throws {RequestError} - 413 if the body is too large
+ */
+function readBody(request, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                // The rest of the body is read and dropped, so the client receives the error response
+                chunks.length = 0;
+                reject(new RequestError(413, `Request body exceeds ${maxBodySize} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Parses a render request into HTML content and conversion options
+ *
+ * @param {http.IncomingMessage} request - POST /render or POST /jobs request
+ * @param {Object} settings - Server settings: { defaults, maxBodySize }
+ * @returns {Promise<Object>} - { htmlContent, options, filename, webhook }
+ * @throws {RequestError} - 4xx for unsupported content types, invalid JSON or invalid options
+ */
+async function parseRenderRequest(request, settings) {
+    const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json' && contentType !== 'text/html') {
+        throw new RequestError(415, 'Content-Type must be application/json or text/html');
+    }
+
+    const text = await readBody(request, settings.maxBodySize);
+    let body;
+    if (contentType === 'text/html') {
+        body = { html: text };
+    } else {
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            throw new RequestError(400, `Invalid JSON body: ${error.message}`);
+        }
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new RequestError(400, 'Request body must be a JSON object');
+    }
+    if ((typeof body.html === 'string') === (typeof body.template === 'string')) {
+        throw new RequestError(400, 'Request body needs either html or template (a string)');
+    }
+    if (body.options !== undefined && (!body.options || typeof body.options !== 'object' || Array.isArray(body.options))) {
+        throw new RequestError(400, 'options must be an object');
+    }
+
+    const requestOptions = body.options || {};
+    checkRequestOptions(requestOptions);
+    const options = { ...settings.defaults, ...requestOptions };
+    if (requestOptions.cache === true && settings.defaults.cache) {
+        // true asks for caching; the server's own cache settings still apply
+        options.cache = settings.defaults.cache;
+    }
+    if (requestOptions.isolation !== undefined && settings.defaults.isolation) {
+        // Otherwise a request could allow itself what the server blocks
+        throw new RequestError(400, 'The network isolation of this server cannot be changed per request');
+    }
+    const limits = { ...LIMIT_DEFAULTS, ...settings.defaults };
+    LIMIT_OPTIONS.forEach(name => {
+        const value = requestOptions[name];
+        if (limits[name] && value !== undefined && !(typeof value === 'number' && value > 0 && value <= limits[name])) {
+            throw new RequestError(400, `${name} cannot be raised above the limit of this server (${limits[name]})`);
+        }
+    });
+
+    try {
+        // Page size and margin mistakes are the most common invalid options
+        resolvePageGeometry({ pageSize: 'A4', orientation: 'portrait', margin: 10, ...options });
+        if (options.isolation) {
+            resolveIsolation(options.isolation);
+        }
+    } catch (error) {
+        throw new RequestError(400, error.message);
+    }
+
+    let htmlContent = body.html;
+    if (body.template !== undefined) {
+        if (isTemplatePath(body.template)) {
+            throw new RequestError(400, 'template must be template source, not a file path');
+        }
+        try {
+            htmlContent = await renderTemplateHTML(body.template, body.data || {}, options);
+        } catch (error) {
+            throw new RequestError(400, error.message); // "Template error: ..."
+        }
+    }
+
+    if (!htmlContent) {
+        throw new RequestError(400, 'Document is empty');
+    }
+
+    const filename = typeof body.filename === 'string' && body.filename
+        ? body.filename.replace(/[^\w.-]/g, '_')
+        : 'document.pdf';
+    if (body.webhook !== undefined && typeof body.webhook !== 'string') {
+        throw new RequestError(400, 'webhook must be a URL string');
+    }
+
+    return { htmlContent, options, filename, webhook: body.webhook };
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJSON(response, status, body) {
+    const json = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    response.end(json);
+}
+
+/**
+ * Sends a JSON error response
+ *
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} code - Stable code of a render error (optional)
+ */
+function sendError(response, status, message, code) {
+    sendJSON(response, status, { error: code ? { status, message, code } : { status, message } });
+}
+
+/**
+ * Chooses the HTTP status for a document that failed to render
+ *
+ * @param {Error} error - Render error
+ * @returns {number} - 400 for invalid input, 413 for oversized HTML, 422 for
+ *   blocked documents and other render limits, 503 when no browser can be
+ *   launched, 504 for timeouts, 500 for everything else
+ */
+function renderErrorStatus(error) {
+    if (error instanceof InvalidInputError) {
+        return 400;
+    }
+    if (error instanceof ResourceBlockedError) {
+        return 422;
+    }
+    if (error instanceof BrowserLaunchError) {
+        return 503;
+    }
+    if (!(error instanceof RenderLimitError)) {
+        return 500;
+    }
+    if (error.code === 'HTML_TOO_LARGE') {
+        return 413;
+    }
+    return error.code.endsWith('_TIMEOUT') ? 504 : 422;
+}
+
+/**
+ * Sends a rendered PDF
+ *
+ * PDFs rendered with network isolation also get an X-Blocked-Requests header
+ * with the number of requests that were blocked.
+ *
+ * @param {http.ServerResponse} response - Response to write
+ * @param {Buffer} pdf - PDF bytes
+ * @param {string} filename - File name for the Content-Disposition header
+ */
+function sendPDF(response, pdf, filename) {
+    const headers = {
+        'Content-Type': 'application/pdf',
+        'Content-Length': pdf.length,
+        'Content-Disposition': `inline; filename="${filename}"`
+    };
+    if (pdf.blockedRequests) {
+        headers['X-Blocked-Requests'] = pdf.blockedRequests.length;
+    }
+    response.writeHead(200, headers);
+    response.end(pdf);
+}
+
+/**
+ * Creates the HTTP rendering server
+ *
+ * The server is not listening yet; call server.listen(port). Closing the
+ * server also closes its browser pool and forgets its jobs;
+ * server.shutdown() does so right away, without waiting for open
+ * connections, and resolves once the browsers are closed.
+ *
+ * @param {Object} options - Server options (see module description)
+ * @param {number} options.poolSize - Maximum number of browsers kept alive (default: 1)
+ * @param {number} options.pagesPerBrowser - Maximum concurrent pages per browser (default: 1)
+ * @param {number} options.maxRendersPerBrowser - Renders before a browser is recycled (default: 100)
+ * @param {Object} options.launchOptions - Extra options passed to puppeteer.launch()
+ * @param {Object} options.defaults - Conversion options applied to every request
+ * @param {number} options.maxBodySize - Largest accepted request body in bytes (default: 10 MB)
+ * @param {number} options.jobConcurrency - Jobs rendered at the same time (default: 1)
+ * @param {number} options.jobRetention - Milliseconds finished jobs are kept (default: 1 hour)
+ * @param {number} options.maxQueuedJobs - Background jobs waiting for a slot at most (default: 100)
+ * @param {number} options.maxFinishedJobs - Finished jobs kept at most (default: 1000)
+ * @param {number} options.maxJobResultBytes - Total size of the PDFs of finished jobs at most (default: 500 MB)
+ * @param {string} options.publicURL - Base URL of the service for job links, e.g.
+ *   'https://pdf.example.com' (default: links are paths)
+ * @param {Object} options.logger - Logger of the service (default: silent)
+ * @param {string} options.logLevel - Least severe level logged (default: 'info')
+ * @returns {http.Server} - The server; `server.renderer` is its PdfRenderer, `server.jobs` its JobQueue
+ *   and `server.shutdown()` closes both
+ *
+ * @example
+ * const server = createServer({ defaults: { sign: { p12: 'company.p12', passphrase } } });
+ * server.listen(3000, '0.0.0.0');
+ */
+function createServer(options = {}) {
+    const settings = {
+        defaults: options.defaults || {},
+        maxBodySize: options.maxBodySize || DEFAULT_MAX_BODY_SIZE
+    };
+    const logger = getLogger(options);
+    const renderer = createRenderer({
+        poolSize: options.poolSize,
+        pagesPerBrowser: options.pagesPerBrowser,
+        maxRendersPerBrowser: options.maxRendersPerBrowser,
+        launchOptions: options.launchOptions,
+        logger
+    });
+    const publicURL = (options.publicURL || '').replace(/\/+$/, '');
+    const jobs = new JobQueue(task => renderer.render(task.htmlContent, task.options), {
+        concurrency: options.jobConcurrency,
+        retention: options.jobRetention,
+        maxQueued: options.maxQueuedJobs,
+        maxFinished: options.maxFinishedJobs,
+        maxResultBytes: options.maxJobResultBytes,
+        // Webhooks are requests the service makes for its callers, so they pass the same allowlist
+        isolation: settings.defaults.isolation ? resolveIsolation(settings.defaults.isolation) : null,
+        logger,
+        links: job => ({
+            statusUrl: `${publicURL}/jobs/${job.id}`,
+            resultUrl: `${publicURL}/jobs/${job.id}/result`
+        })
+    });
+    const stats = { active: 0, completed: 0, failed: 0 };
+    const startedAt = Date.now();
+
+    /**
+     * Parses a POST /render or POST /jobs request, answering invalid ones
+     *
+     * @returns {Promise<Object|null>} - The parsed request, or null when an error was sent
+     */
+    const parseRequest = async (request, response) => {
+        try {
+            return await parseRenderRequest(request, settings);
+        } catch (error) {
+            if (error.status === 413) {
+                response.setHeader('Connection', 'close');
+            }
+            sendError(response, error.status || 400, error.message);
+            return null;
+        }
+    };
+
+    const routes = {
+        'GET /health': async (request, response) => {
+            sendJSON(response, 200, {
+                status: 'ok',
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                renders: { ...stats },
+                jobs: jobs.counts(),
+                poolSize: renderer.poolSize
+            });
+        },
+
+        'POST /render': async (request, response) => {
+            const job = await parseRequest(request, response);
+            if (!job) {
+                return;
+            }
+
+            stats.active++;
+            try {
+                const pdf = await renderer.render(job.htmlContent, job.options);
+                stats.completed++;
+                sendPDF(response, pdf, job.filename);
+            } catch (error) {
+                stats.failed++;
+                sendError(response, renderErrorStatus(error), `PDF generation failed: ${error.message}`,
+                    error instanceof ConversionError ? error.code : undefined);
+            } finally {
+                stats.active--;
+            }
+        },
+
+        'POST /jobs': async (request, response) => {
+            const parsed = await parseRequest(request, response);
+            if (!parsed) {
+                return;
+            }
+
+            let job;
+            try {
+                job = jobs.submit(parsed, { webhook: parsed.webhook, filename: parsed.filename });
+            } catch (error) {
+                if (error instanceof QueueFullError) {
+                    response.setHeader('Retry-After', QUEUE_FULL_RETRY_AFTER);
+                    sendError(response, 503, error.message);
+                } else {
+                    sendError(response, 400, error.message);
+                }
+                return;
+            }
+            response.setHeader('Location', `${publicURL}/jobs/${job.id}`);
+            sendJSON(response, 202, jobs.describe(job));
+        },
+
+        'GET /jobs/:id': async (request, response, job) => {
+            sendJSON(response, 200, jobs.describe(job));
+        },
+
+        'GET /jobs/:id/result': async (request, response, job) => {
+            if (job.state !== 'done') {
+                const message = job.state === 'failed'
+                    ? `Job failed: ${job.error}`
+                    : `Job is ${job.state}; poll /jobs/${job.id} until it is done`;
+                sendError(response, 409, message);
+                return;
+            }
+            sendPDF(response, job.result, job.filename);
+        }
+    };
+
+    /**
+     * Routes a request to its handler, answering unknown paths and methods
+     */
+    const handleRequest = async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        logger.info(`📨 ${request.method} ${pathname}`, { event: 'request', method: request.method, path: pathname });
+
+        // Job paths carry the job id; the route pattern uses :id in its place
+        const jobPath = /^\/jobs\/([^/]+)(\/result)?$/.exec(pathname);
+        const route = jobPath ? `/jobs/:id${jobPath[2] || ''}` : pathname;
+        const methods = Object.keys(routes)
+            .filter(key => key.endsWith(` ${route}`))
+            .map(key => key.split(' ')[0]);
+
+        if (methods.length === 0) {
+            sendError(response, 404, `Not found: ${pathname}`);
+            return;
+        }
+        if (!methods.includes(request.method)) {
+            sendError(response, 405, `Method not allowed (use ${methods.join(' or ')})`);
+            return;
+        }
+
+        let job = null;
+        if (jobPath) {
+            let id;
+            try {
+                id = decodeURIComponent(jobPath[1]);
+            } catch (error) {
+                sendError(response, 400, `Invalid job id: ${jobPath[1]}`);
+                return;
+            }
+            job = jobs.get(id);
+            if (!job) {
+                sendError(response, 404, `Unknown or expired job: ${jobPath[1]}`);
+                return;
+            }
+        }
+
+        await routes[`${request.method} ${route}`](request, response, job);
+    };
+
+    // An unexpected error answers its request with a 500 instead of stopping the service
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response).catch((error) => {
+            logger.error(`❌ Error handling ${request.method} ${request.url}: ${error.message}`,
+                { event: 'requestError', method: request.method, url: request.url });
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendError(response, 500, `Internal server error: ${error.message}`);
+            }
+        });
+    });
+
+    server.renderer = renderer;
+    server.jobs = jobs;
+
+    // Jobs and browsers are closed once, whether shutdown() or server.close() comes first
+    let closing = null;
+    server.shutdown = () => {
+        if (!closing) {
+            jobs.close();
+            closing = renderer.close();
+        }
+        return closing;
+    };
+    server.on('close', () => {
+        server.shutdown().catch(error => logger.error(`❌ Error closing the browser pool: ${error.message}`,
+            { event: 'shutdownError' }));
+    });
+    return server;
+}
+
+module.exports = {
+    createServer,       // HTTP rendering server
+    checkRequestOptions // Request option validation
+};
@@ -0,0 +1,637 @@
+/**
+ * PDF Signatures
+ *
+ * This module digitally signs rendered PDFs with a local certificate, so
+ * documents such as contracts are signed at generation time. The signature is
+ * a detached PKCS#7 signature (SubFilter adbe.pkcs7.detached) over the whole
+ * file except the signature itself, which PDF viewers validate and show in
+ * their signature panel.
+ *
+ * Signing is the last step of rendering: any later change to the file breaks
+ * the signature. When encryption is requested as well, the PDF is encrypted in
+ * the same step (see pdf-encryption.js).
+ *
+ * Options (`sign` option):
+ * - p12: PKCS#12 (.p12/.pfx) file path or Buffer holding the key and certificates
+ * - key, cert: PEM private key and certificate (file paths or PEM strings),
+ *   instead of p12; cert may contain the certificate chain after the certificate
+ * - passphrase: Passphrase of the PKCS#12 file or the encrypted PEM key
+ * - reason, location, contactInfo: Shown by PDF viewers with the signature
+ * - name: Signer name (default: common name of the certificate)
+ * - fieldName: Name of the signature field (default: 'Signature1')
+ * - appearance: false (default) for an invisible signature, true or an options
+ *   object for a visible signature box:
+ *   - page: 'first', 'last' (default) or a page number
+ *   - position: 'bottom-right' (default), 'bottom-left', 'top-right' or 'top-left'
+ *   - width, height: Box size in points (default: 180 x 50)
+ *   - text: Box text, lines separated by \n (default: signer, date, reason and location)
+ *   - fontFamily, fontSize (points, default: 8), color, border: CSS values
+ * - timestamp: RFC 3161 timestamp authority URL; the signature then carries a
+ *   trusted signing time (space for the token is reserved in the signature)
+ *
+ * Only RSA keys are supported. Self-signed certificates produce valid
+ * signatures, but viewers report the signer as unknown until the certificate
+ * is trusted.
+ *
+ * @example
+ * await convertHTMLToPDF(contractHTML, 'contract.pdf', {
+ *   sign: {
+ *     p12: 'certs/company.p12',
+ *     passphrase: process.env.SIGNING_PASSPHRASE,
+ *     reason: 'Contract agreed',
+ *     location: 'Berlin',
+ *     appearance: { page: 'last', position: 'bottom-right' }
+ *   }
+ * });
+ */
+
+const fs = require('fs').promises; // Certificate and key files
+const http = require('http'); // Timestamp requests
+const https = require('https'); // Timestamp requests
+const forge = require('node-forge'); // PKCS#7, PKCS#12 and certificate handling
+const {
+    PDFDocument,
+    PDFName,
+    PDFArray,
+    PDFDict,
+    PDFHexString,
+    PDFString,
+    PDFNumber
+} = require('@cantoo/pdf-lib'); // PDF object model
+const { resolveEncryptionOptions } = require('./pdf-encryption.js'); // Encryption in the signing step
+const { injectFontFaces, blockRemoteFonts } = require('./font-registry.js'); // Local fonts for the signature box
+const { getLogger } = require('./logger.js'); // Progress logging
+const { escapeHTML } = require('./html-utils.js'); // Shared HTML helpers
+
+/**
+ * Bytes reserved for the PKCS#7 signature, without and with a timestamp token
+ */
+const SIGNATURE_SIZE = 8192;
+const TIMESTAMPED_SIGNATURE_SIZE = 16384;
+
+/**
+ * Placeholder for the byte range, replaced once the file layout is known
+ */
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+/**
+ * Distance of visible signature boxes from the page edges, in points (12mm)
+ */
+const APPEARANCE_INSET = 34;
+
+/**
+ * Object identifier of the timestamp token attribute (RFC 3161)
+ */
+const TIMESTAMP_TOKEN_OID = '1.2.840.113549.1.9.16.2.14';
+
+/**
+ * Checks whether signing is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the sign option is set
+ */
+function hasSignature(config) {
+    return Boolean(config.sign);
+}
+
+/**
+ * Reads a value that is either inline content or a file path
+ *
+ * @param {string|Buffer} value - PEM string, Buffer or file path
+ * @returns {Promise<string|Buffer>} - The content
+ */
+async function readCredential(value) {
+    if (Buffer.isBuffer(value) || value.includes('-----BEGIN')) {
+        return value;
+    }
+    return fs.readFile(value);
+}
+
+/**
+ * Loads the signing key and certificates
+ *
+ * @param {Object} options - The sign option
+ * @returns {Promise<Object>} - { key, certificate, chain } as node-forge objects
+ * @throws {Error} - If no credentials are given or they cannot be read
+ */
+async function loadCredentials(options) {
+    let key;
+    let certificates;
+
+    if (options.p12) {
+        const p12Der = (await readCredential(options.p12)).toString('binary');
+        let p12;
+        try {
+            p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12Der), options.passphrase || '');
+        } catch (error) {
+            throw new Error(`Cannot read the PKCS#12 file (wrong passphrase?): ${error.message}`);
+        }
+
+        const keyBags = [
+            ...p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag],
+            ...p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag]
+        ];
+        key = keyBags.length > 0 ? keyBags[0].key : null;
+        certificates = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag].map(bag => bag.cert);
+    } else if (options.key && options.cert) {
+        const keyPem = (await readCredential(options.key)).toString();
+        key = options.passphrase
+            ? forge.pki.decryptRsaPrivateKey(keyPem, options.passphrase)
+            : forge.pki.privateKeyFromPem(keyPem);
+        if (!key) {
+            throw new Error('Cannot decrypt the private key (wrong passphrase?)');
+        }
+
+        const certPem = (await readCredential(options.cert)).toString();
+        certificates = (certPem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+            .map(pem => forge.pki.certificateFromPem(pem));
+    } else {
+        throw new Error('sign needs a p12 file, or a key and cert');
+    }
+
+    if (!key || !key.n) {
+        throw new Error('No RSA private key found for signing');
+    }
+
+    // The signing certificate belongs to the key, the others form its chain
+    const certificate = certificates.find(cert => cert.publicKey.n && cert.publicKey.n.equals(key.n));
+    if (!certificate) {
+        throw new Error('No certificate found for the signing key');
+    }
+
+    return { key, certificate, chain: certificates.filter(cert => cert !== certificate) };
+}
+
+/**
+ * Resolves the appearance option of a visible signature
+ *
+ * @param {boolean|Object} appearance - The sign.appearance option
+ * @returns {Object|null} - Appearance options with defaults, or null for an invisible signature
+ * @throws {Error} - If the position or size is invalid
+ */
+function resolveAppearance(appearance) {
+    if (!appearance) {
+        return null;
+    }
+
+    const options = typeof appearance === 'object' ? appearance : {};
+    const position = options.position || 'bottom-right';
+    if (!['bottom-right', 'bottom-left', 'top-right', 'top-left'].includes(position)) {
+        throw new Error(`Invalid signature position: "${position}" (expected bottom-right, bottom-left, top-right or top-left)`);
+    }
+
+    const width = options.width !== undefined ? Number(options.width) : 180;
+    const height = options.height !== undefined ? Number(options.height) : 50;
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('Signature appearance width and height must be positive numbers of points');
+    }
+
+    return {
+        page: options.page || 'last',
+        position,
+        width,
+        height,
+        text: options.text,
+        fontFamily: options.fontFamily || "'Liberation Sans', Arial, Helvetica, sans-serif",
+        fontSize: options.fontSize || 8,
+        color: options.color || '#000000',
+        border: options.border || '0.5pt solid #808080'
+    };
+}
+
+/**
+ * Builds the document for a visible signature box
+ *
+ * @param {Object} appearance - Resolved appearance options
+ * @param {Array<string>} lines - Text lines of the box
+ * @returns {string} - Complete HTML document, one page the size of the box
+ */
+function buildAppearanceHTML(appearance, lines) {
+    const text = lines.map(line => `<div>${escapeHTML(line) || '&nbsp;'}</div>`).join('\n        ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        @page { size: ${appearance.width}pt ${appearance.height}pt; margin: 0; }
+        html, body { margin: 0; padding: 0; background: transparent; }
+
+        .signature {
+            box-sizing: border-box;
+            width: ${appearance.width}pt;
+            height: calc(${appearance.height}pt - 1px);
+            padding: 4pt 6pt;
+            overflow: hidden;
+            border: ${escapeHTML(appearance.border)};
+            font-family: ${escapeHTML(appearance.fontFamily)};
+            font-size: ${appearance.fontSize}pt;
+            line-height: 1.3;
+            color: ${escapeHTML(appearance.color)};
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+        }
+
+        * {
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+        }
+    </style>
+</head>
+<body>
+    <div class="signature">
+        ${text}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Renders the appearance of a visible signature box
+ *
+ * @param {Object} page - Puppeteer page (its content is replaced by the box)
+ * @param {PDFDocument} pdfDoc - Document being signed
+ * @param {Object} appearance - Resolved appearance options
+ * @param {Array<string>} lines - Text lines of the box
+ * @returns {Promise<PDFEmbeddedPage>} - The box as a form XObject of pdfDoc
+ */
+async function renderAppearance(page, pdfDoc, appearance, lines) {
+    await blockRemoteFonts(page);
+    await page.setContent(injectFontFaces(buildAppearanceHTML(appearance, lines)), { waitUntil: 'networkidle0' });
+    const boxPdf = await page.pdf({
+        width: `${appearance.width}pt`,
+        height: `${appearance.height}pt`,
+        margin: { top: '0mm', right: '0mm', bottom: '0mm', left: '0mm' },
+        printBackground: true,
+        preferCSSPageSize: false
+    });
+
+    const box = await PDFDocument.load(boxPdf, { updateMetadata: false });
+    const [embedded] = await pdfDoc.embedPdf(box, [0]);
+    return embedded;
+}
+
+/**
+ * Finds the page of a visible signature
+ *
+ * @param {PDFDocument} pdfDoc - Document being signed
+ * @param {string|number} selection - 'first', 'last' or a page number
+ * @returns {PDFPage} - The page
+ * @throws {Error} - If the page does not exist
+ */
+function findAppearancePage(pdfDoc, selection) {
+    const count = pdfDoc.getPageCount();
+    const number = selection === 'first' ? 1 : (selection === 'last' ? count : Number(selection));
+    if (!Number.isInteger(number) || number < 1 || number > count) {
+        throw new Error(`Invalid signature page: "${selection}" (the document has ${count} pages)`);
+    }
+    return pdfDoc.getPage(number - 1);
+}
+
+/**
+ * Formats a date for the signature box
+ *
+ * @param {Date} date - Signing time
+ * @returns {string} - e.g. '2024-05-01 14:30:00 UTC'
+ */
+function formatSigningTime(date) {
+    return `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Adds the signature field with placeholders for the byte range and signature
+ *
+ * Process Flow:
+ * 1. Create the signature dictionary with placeholder /ByteRange and /Contents
+ * 2. Create the signature field, merged with its widget annotation
+ * 3. Place the widget on its page (zero-size for invisible signatures)
+ * 4. Register the field in the document's AcroForm
+ *
+ * @param {Object} page - Puppeteer page for rendering a visible appearance
+ * @param {PDFDocument} pdfDoc - Document being signed
+ * @param {Object} options - The sign option
+ * @param {Object} details - { name, date, size }: signer name, signing time and reserved signature bytes
+ */
+async function addSignatureField(page, pdfDoc, options, details) {
+    const context = pdfDoc.context;
+    const appearance = resolveAppearance(options.appearance);
+
+    const signature = context.obj({
+        Type: 'Sig',
+        Filter: 'Adobe.PPKLite',
+        SubFilter: 'adbe.pkcs7.detached',
+        ByteRange: [0, PDFName.of(BYTE_RANGE_PLACEHOLDER), PDFName.of(BYTE_RANGE_PLACEHOLDER), PDFName.of(BYTE_RANGE_PLACEHOLDER)],
+        Contents: PDFHexString.of('0'.repeat(details.size * 2)),
+        M: PDFString.fromDate(details.date),
+        Name: PDFHexString.fromText(details.name)
+    });
+    ['reason', 'location', 'contactInfo'].forEach(field => {
+        if (options[field]) {
+            signature.set(PDFName.of(field[0].toUpperCase() + field.slice(1)), PDFHexString.fromText(String(options[field])));
+        }
+    });
+
+    let target = pdfDoc.getPage(0);
+    let rect = [0, 0, 0, 0];
+    let appearanceStream;
+
+    if (appearance) {
+        target = findAppearancePage(pdfDoc, appearance.page);
+        const lines = appearance.text !== undefined
+            ? String(appearance.text).split('\n')
+            : [
+                `Digitally signed by ${details.name}`,
+                `Date: ${formatSigningTime(details.date)}`,
+                ...(options.reason ? [`Reason: ${options.reason}`] : []),
+                ...(options.location ? [`Location: ${options.location}`] : [])
+            ];
+        const box = await renderAppearance(page, pdfDoc, appearance, lines);
+
+        const { width, height } = target.getSize();
+        const x = appearance.position.endsWith('left') ? APPEARANCE_INSET : width - APPEARANCE_INSET - appearance.width;
+        const y = appearance.position.startsWith('bottom') ? APPEARANCE_INSET : height - APPEARANCE_INSET - appearance.height;
+        rect = [x, y, x + appearance.width, y + appearance.height];
+        appearanceStream = box.ref;
+    } else {
+        // PDF/A requires an appearance even for invisible signatures
+        appearanceStream = context.register(context.formXObject([], { BBox: [0, 0, 0, 0] }));
+    }
+
+    const fieldName = options.fieldName || 'Signature1';
+    const widget = context.register(context.obj({
+        Type: 'Annot',
+        Subtype: 'Widget',
+        FT: 'Sig',
+        T: PDFHexString.fromText(fieldName),
+        V: context.register(signature),
+        F: 4, // Print
+        P: target.ref,
+        Rect: rect,
+        AP: { N: appearanceStream }
+    }));
+
+    const annots = target.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (annots) {
+        annots.push(widget);
+    } else {
+        target.node.set(PDFName.of('Annots'), context.obj([widget]));
+    }
+
+    let acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+    if (!acroForm) {
+        acroForm = context.obj({ Fields: [] });
+        pdfDoc.catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+    }
+    let fields = acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+    if (!fields) {
+        fields = context.obj([]);
+        acroForm.set(PDFName.of('Fields'), fields);
+    }
+    fields.push(widget);
+    acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3)); // Signatures exist, append only
+}
+
+/**
+ * Sends an RFC 3161 timestamp request
+ *
+ * @param {string} url - Timestamp authority URL
+ * @param {Buffer} request - DER-encoded TimeStampReq
+ * @returns {Promise<Buffer>} - DER-encoded TimeStampResp
+ * @throws {Error} - If the authority cannot be reached or answers with an HTTP error
+ */
+function requestTimestamp(url, request) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/timestamp-query', 'Content-Length': request.length },
+            timeout: 30000
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`Timestamp authority answered with HTTP ${res.statusCode}`));
+                } else {
+                    resolve(Buffer.concat(chunks));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('Timestamp authority did not answer within 30 seconds')));
+        req.on('error', reject);
+        req.end(request);
+    });
+}
+
+/**
+ * Fetches a timestamp token for a signature value
+ *
+ * @param {string} url - Timestamp authority URL
+ * @param {string} signatureValue - Signature value (binary string) to timestamp
+ * @param {Logger} log - Logger of the conversion (default: silent)
+ * @returns {Promise<Object>} - The TimeStampToken as node-forge ASN.1
+ * @throws {Error} - If the authority rejects the request
+ */
+async function fetchTimestampToken(url, signatureValue, log = getLogger()) {
+    const asn1 = forge.asn1;
+    const digest = forge.md.sha256.create().update(signatureValue).digest().getBytes();
+
+    const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(forge.pki.oids.sha256).getBytes()),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+            ]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, digest)
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff)) // certReq
+    ]);
+
+    log.info('⏱️ Requesting signature timestamp...');
+    const response = await requestTimestamp(url, Buffer.from(asn1.toDer(request).getBytes(), 'binary'));
+
+    // TimeStampResp: SEQUENCE { PKIStatusInfo { status, ... }, timeStampToken }
+    const parsed = asn1.fromDer(response.toString('binary'));
+    const status = asn1.derToInteger(parsed.value[0].value[0].value);
+    if (status > 1 || !parsed.value[1]) {
+        throw new Error(`Timestamp authority rejected the request (status ${status})`);
+    }
+    return parsed.value[1];
+}
+
+/**
+ * Creates the detached PKCS#7 signature for the signed bytes
+ *
+ * @param {Buffer} signedBytes - The PDF without the signature placeholder
+ * @param {Object} credentials - { key, certificate, chain } from loadCredentials()
+ * @param {Date} date - Signing time
+ * @param {string} [timestampUrl] - Timestamp authority URL
+ * @param {Logger} log - Logger of the conversion (default: silent)
+ * @returns {Promise<Buffer>} - DER-encoded signature
+ */
+async function createSignature(signedBytes, credentials, date, timestampUrl, log = getLogger()) {
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(signedBytes.toString('binary'));
+    p7.addCertificate(credentials.certificate);
+    credentials.chain.forEach(cert => p7.addCertificate(cert));
+    p7.addSigner({
+        key: credentials.key,
+        certificate: credentials.certificate,
+        digestAlgorithm: forge.pki.oids.sha256,
+        authenticatedAttributes: [
+            { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+            { type: forge.pki.oids.messageDigest }, // Filled in by sign()
+            { type: forge.pki.oids.signingTime, value: date }
+        ]
+    });
+    p7.sign({ detached: true });
+
+    const message = p7.toAsn1();
+    if (timestampUrl) {
+        // The token is an unsigned attribute of the signer: ContentInfo > [0] > SignedData > SignerInfos
+        const asn1 = forge.asn1;
+        const signedData = message.value[1].value[0];
+        const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+        const token = await fetchTimestampToken(timestampUrl, p7.signers[0].signature, log);
+
+        signerInfo.value.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(TIMESTAMP_TOKEN_OID).getBytes()),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [token])
+            ])
+        ]));
+    }
+
+    return Buffer.from(forge.asn1.toDer(message).getBytes(), 'binary');
+}
+
+/**
+ * Signs a rendered PDF
+ *
+ * Process Flow:
+ * 1. Load the signing key and certificates
+ * 2. Add the signature field with placeholders (and encrypt, when requested)
+ * 3. Save the PDF and fill in the byte range around the signature placeholder
+ * 4. Sign the byte range and write the signature into the placeholder
+ *
+ * @param {Object} page - Puppeteer page for a visible appearance (its content is replaced)
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Conversion configuration with the sign option
+ * @returns {Promise<Buffer>} - Signed PDF
+ * @throws {Error} - If the credentials cannot be used or the signature does not fit
+ */
+async function applySignature(page, pdf, config) {
+    const options = typeof config.sign === 'object' ? config.sign : {};
+    const credentials = await loadCredentials(options);
+    const date = new Date();
+    const size = options.timestamp ? TIMESTAMPED_SIGNATURE_SIZE : SIGNATURE_SIZE;
+    const subject = credentials.certificate.subject.getField('CN');
+    const name = options.name || (subject ? subject.value : 'Unknown signer');
+
+    const log = getLogger(config);
+    log.info(`✍️ Signing PDF as ${name}...`);
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    await addSignatureField(page, pdfDoc, options, { name, date, size });
+
+    // Encrypting after signing would change the signed bytes
+    if (config.encryption) {
+        const encryption = resolveEncryptionOptions(config.encryption);
+        log.info(`🔐 Encrypting PDF (${encryption.algorithm})...`);
+        pdfDoc.encrypt(encryption);
+    }
+
+    // Without object streams the file also stays valid for PDF/A-1
+    const saved = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+    const placeholder = Buffer.from(`<${'0'.repeat(size * 2)}>`);
+    const contentsStart = saved.indexOf(placeholder);
+    const contentsEnd = contentsStart + placeholder.length;
+    const byteRangeMatch = /\/ByteRange\s*\[\s*0\s+\/\*+\s+\/\*+\s+\/\*+\s*\]/.exec(saved.toString('latin1'));
+    if (contentsStart < 0 || !byteRangeMatch) {
+        throw new Error('Signature placeholder not found in the saved PDF');
+    }
+
+    const byteRange = [0, contentsStart, contentsEnd, saved.length - contentsEnd];
+    const byteRangeText = `/ByteRange [0 ${byteRange.slice(1).join(' ')}]`.padEnd(byteRangeMatch[0].length, ' ');
+    saved.write(byteRangeText, byteRangeMatch.index, 'latin1');
+
+    const signedBytes = Buffer.concat([saved.subarray(0, contentsStart), saved.subarray(contentsEnd)]);
+    const signature = await createSignature(signedBytes, credentials, date, options.timestamp, log);
+    if (signature.length > size) {
+        throw new Error(`Signature needs ${signature.length} bytes, but only ${size} were reserved`);
+    }
+    saved.write(signature.toString('hex'), contentsStart + 1, 'latin1');
+
+    return saved;
+}
+
+/**
+ * Verifies the last signature of a signed PDF
+ *
+ * Checks that the signed bytes are unchanged and that the signature was made
+ * with the key of the embedded signing certificate. Whether that certificate
+ * is trusted is not checked.
+ *
+ * @param {Buffer} pdf - Signed PDF
+ * @returns {Object} - { valid, signer, signedAt, coversWholeDocument, timestamped }
+ * @throws {Error} - If the PDF has no signature
+ */
+function verifySignature(pdf) {
+    const asn1 = forge.asn1;
+    const matches = [...pdf.toString('latin1').matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)];
+    if (matches.length === 0) {
+        throw new Error('The PDF is not signed');
+    }
+
+    const [start, length, resume, rest] = matches[matches.length - 1].slice(1).map(Number);
+    const signedBytes = Buffer.concat([pdf.subarray(start, start + length), pdf.subarray(resume, resume + rest)]);
+    const contents = Buffer.from(pdf.subarray(start + length + 1, resume - 1).toString('latin1'), 'hex');
+
+    const message = forge.pkcs7.messageFromAsn1(asn1.fromDer(contents.toString('binary'), { parseAllBytes: false }));
+    const capture = message.rawCapture;
+    const certificate = message.certificates.find(cert => cert.serialNumber === forge.util.bytesToHex(capture.serial)) ||
+        message.certificates[0];
+
+    // Authenticated attributes: the message digest and signing time of the signed bytes
+    const attributes = {};
+    (capture.authenticatedAttributes || []).forEach(attribute => {
+        attributes[asn1.derToOid(attribute.value[0].value)] = attribute.value[1].value[0];
+    });
+    const digest = forge.md.sha256.create().update(signedBytes.toString('binary')).digest().getBytes();
+    const digestMatches = attributes[forge.pki.oids.messageDigest] !== undefined &&
+        attributes[forge.pki.oids.messageDigest].value === digest;
+
+    // The signature covers the DER encoding of the attributes as a SET
+    const attributeSet = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, capture.authenticatedAttributes || []);
+    const attributeDigest = forge.md.sha256.create().update(asn1.toDer(attributeSet).getBytes()).digest().getBytes();
+    let signatureMatches = false;
+    try {
+        signatureMatches = certificate.publicKey.verify(attributeDigest, capture.signature);
+    } catch (error) {
+        signatureMatches = false;
+    }
+
+    const signingTime = attributes[forge.pki.oids.signingTime];
+    const subject = certificate.subject.getField('CN');
+    const signerInfo = capture.signerInfos[0];
+
+    return {
+        valid: digestMatches && signatureMatches,
+        signer: subject ? subject.value : '',
+        signedAt: !signingTime ? null : (signingTime.type === asn1.Type.UTCTIME
+            ? asn1.utcTimeToDate(signingTime.value)
+            : asn1.generalizedTimeToDate(signingTime.value)),
+        coversWholeDocument: start === 0 && resume + rest === pdf.length,
+        // Unsigned attributes ([1]) only hold timestamp tokens in signatures made by this module
+        timestamped: signerInfo.value.some(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 1)
+    };
+}
+
+module.exports = {
+    hasSignature,   // Signing detection
+    applySignature, // Signing after rendering
+    verifySignature // Signature check of signed PDFs
+};
@@ -0,0 +1,410 @@
+/**
+ * Render Cache
+ *
+ * This module stores rendered PDFs by a hash of their input, so rendering the
+ * same document with the same options again returns the stored PDF without
+ * launching Chrome.
+ *
+ * The cache key is a SHA-256 hash of the processed HTML (the output of
+ * processHTMLContent(), which includes the default styles and embedded fonts)
+ * and the normalized conversion options: option order does not matter, and
+ * Buffers (such as certificates) are hashed by content.
+ *
+ * Backends:
+ * - Memory (default): PDFs are kept in the process, least recently used first out
+ * - Filesystem (`directory` set): PDFs are files in a directory, shared between
+ *   processes and kept across restarts, oldest first out
+ * - Any object with async get(key) and set(key, pdf) methods, e.g. for Redis
+ *
+ * Options (`cache` option):
+ * - true: The shared memory cache with the default limits
+ * - { directory, ttl, maxSize }: A cache with these settings; caches with the
+ *   same settings are shared between conversions
+ * - A cache object (see createRenderCache)
+ *
+ * Settings:
+ * - directory: Cache directory for the filesystem backend (created if missing)
+ * - ttl: Milliseconds a PDF stays valid (default: 1 hour)
+ * - maxSize: Largest total size of the cached PDFs in bytes (default: 100 MB)
+ *
+ * Only the HTML and the options are hashed. Files referenced by options (such
+ * as header templates or watermark images) and {{date}} in headers can change
+ * without changing the key; the ttl bounds how long such PDFs are reused.
+ * Signed documents are never cached, so each one is signed at render time,
+ * and neither are documents rendered with network isolation, so each one
+ * reports its blocked requests.
+ *
+ * @example
+ * await convertHTMLToPDF(invoiceHTML, 'invoice.pdf', { cache: true });
+ * await convertHTMLToPDF(invoiceHTML, 'invoice.pdf', { cache: { directory: '/var/cache/pdf', ttl: 24 * 60 * 60 * 1000 } });
+ */
+
+const crypto = require('crypto'); // Cache keys
+const fs = require('fs').promises; // Filesystem backend
+const path = require('path'); // Cache file paths
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Default cache settings
+ */
+const CACHE_DEFAULTS = {
+    ttl: 60 * 60 * 1000,
+    maxSize: 100 * 1024 * 1024
+};
+
+/**
+ * Version of the cache key format; changing it invalidates all cached PDFs
+ */
+const CACHE_KEY_VERSION = 1;
+
+/**
+ * Option names that do not change the rendered PDF
+ */
+const IGNORED_OPTIONS = ['cache', 'logger', 'logLevel'];
+
+/**
+ * Caches created from cache settings, by settings
+ */
+const sharedCaches = new Map();
+
+/**
+ * In-memory PDF cache with least-recently-used eviction
+ */
+class MemoryCache {
+    /**
+     * @param {Object} options - Cache settings
+     * @param {number} options.ttl - Milliseconds a PDF stays valid (default: 1 hour)
+     * @param {number} options.maxSize - Largest total size in bytes (default: 100 MB)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || CACHE_DEFAULTS.ttl;
+        this.maxSize = options.maxSize || CACHE_DEFAULTS.maxSize;
+
+        this.entries = new Map(); // key -> { pdf, expiresAt }, least recently used first
+        this.size = 0;
+    }
+
+    /**
+     * Looks up a cached PDF
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<Buffer|null>} - The PDF, or null when missing or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            this.size -= entry.pdf.length;
+            return null;
+        }
+
+        // Re-inserting moves the entry to the most recently used end
+        this.entries.set(key, entry);
+        return entry.pdf;
+    }
+
+    /**
+     * Stores a PDF, evicting the least recently used PDFs beyond the size limit
+     *
+     * @param {string} key - Cache key
+     * @param {Buffer} pdf - PDF to store
+     * @returns {Promise<void>}
+     */
+    async set(key, pdf) {
+        const previous = this.entries.get(key);
+        if (previous) {
+            this.entries.delete(key);
+            this.size -= previous.pdf.length;
+        }
+        if (pdf.length > this.maxSize) {
+            return;
+        }
+
+        this.entries.set(key, { pdf, expiresAt: Date.now() + this.ttl });
+        this.size += pdf.length;
+
+        for (const [oldKey, entry] of this.entries) {
+            if (this.size <= this.maxSize) {
+                break;
+            }
+            this.entries.delete(oldKey);
+            this.size -= entry.pdf.length;
+        }
+    }
+
+    /**
+     * Removes all cached PDFs
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.entries.clear();
+        this.size = 0;
+    }
+}
+
+/**
+ * Filesystem PDF cache: one file per PDF in a directory
+ *
+ * Files are written atomically, so several processes can share a directory.
+ * Expiry uses the file modification time.
+ */
+class FileCache {
+    /**
+     * @param {Object} options - Cache settings
+     * @param {string} options.directory - Cache directory (created if missing)
+     * @param {number} options.ttl - Milliseconds a PDF stays valid (default: 1 hour)
+     * @param {number} options.maxSize - Largest total size in bytes (default: 100 MB)
+     */
+    constructor(options) {
+        this.directory = path.resolve(options.directory);
+        this.ttl = options.ttl || CACHE_DEFAULTS.ttl;
+        this.maxSize = options.maxSize || CACHE_DEFAULTS.maxSize;
+    }
+
+    /**
+     * Returns the file of a cache key
+     *
+     * @param {string} key - Cache key (hex)
+     * @returns {string} - Absolute file path
+     */
+    filePath(key) {
+        return path.join(this.directory, `${key}.pdf`);
+    }
+
+    /**
+     * Looks up a cached PDF
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<Buffer|null>} - The PDF, or null when missing or expired
+     */
+    async get(key) {
+        const file = this.filePath(key);
+        let stats;
+        try {
+            stats = await fs.stat(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        if (stats.mtimeMs + this.ttl <= Date.now()) {
+            await fs.unlink(file).catch(() => {});
+            return null;
+        }
+        return fs.readFile(file);
+    }
+
+    /**
+     * Stores a PDF, then removes expired PDFs and the oldest PDFs beyond the size limit
+     *
+     * @param {string} key - Cache key
+     * @param {Buffer} pdf - PDF to store
+     * @returns {Promise<void>}
+     */
+    async set(key, pdf) {
+        if (pdf.length > this.maxSize) {
+            return;
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+        const temporary = path.join(this.directory, `.${key}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+        await fs.writeFile(temporary, pdf);
+        await fs.rename(temporary, this.filePath(key));
+
+        await this.evict();
+    }
+
+    /**
+     * Removes expired PDFs and the oldest PDFs beyond the size limit
+     *
+     * @returns {Promise<void>}
+     */
+    async evict() {
+        const names = (await fs.readdir(this.directory)).filter(name => /^[0-9a-f]+\.pdf$/.test(name));
+        const files = [];
+        for (const name of names) {
+            const file = path.join(this.directory, name);
+            // Another process may have removed the file in the meantime
+            const stats = await fs.stat(file).catch(() => null);
+            if (stats) {
+                files.push({ file, size: stats.size, mtimeMs: stats.mtimeMs });
+            }
+        }
+
+        const now = Date.now();
+        let size = files.reduce((total, entry) => total + entry.size, 0);
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const entry of files) {
+            if (size <= this.maxSize && entry.mtimeMs + this.ttl > now) {
+                continue;
+            }
+            await fs.unlink(entry.file).catch(() => {});
+            size -= entry.size;
+        }
+    }
+
+    /**
+     * Removes all cached PDFs
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const names = await fs.readdir(this.directory).catch(() => []);
+        await Promise.all(names
+            .filter(name => /^[0-9a-f]+\.pdf$/.test(name))
+            .map(name => fs.unlink(path.join(this.directory, name)).catch(() => {})));
+    }
+}
+
+/**
+ * Creates a render cache
+ *
+ * @param {Object} options - Cache settings (see module description)
+ * @param {string} options.directory - Cache directory; without it, PDFs are kept in memory
+ * @param {number} options.ttl - Milliseconds a PDF stays valid (default: 1 hour)
+ * @param {number} options.maxSize - Largest total size of the cached PDFs in bytes (default: 100 MB)
+ * @returns {MemoryCache|FileCache} - The cache
+ * @throws {Error} - If a setting is invalid
+ *
+ * @example
+ * const cache = createRenderCache({ directory: '.pdf-cache', maxSize: 500 * 1024 * 1024 });
+ * await renderer.render(html, { cache });
+ */
+function createRenderCache(options = {}) {
+    ['ttl', 'maxSize'].forEach(name => {
+        if (options[name] !== undefined && !(typeof options[name] === 'number' && options[name] > 0)) {
+            throw new Error(`cache.${name} must be a positive number`);
+        }
+    });
+    if (options.directory !== undefined && (typeof options.directory !== 'string' || !options.directory)) {
+        throw new Error('cache.directory must be a directory path');
+    }
+
+    return options.directory ? new FileCache(options) : new MemoryCache(options);
+}
+
+/**
+ * Checks whether a render cache is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the cache option is set
+ */
+function hasCache(config) {
+    return Boolean(config.cache);
+}
+
+/**
+ * Resolves the cache option into a cache object
+ *
+ * @param {boolean|Object} option - The cache option
+ * @returns {Object} - Cache with get(key) and set(key, pdf)
+ * @throws {Error} - If the cache settings are invalid
+ */
+function resolveCache(option) {
+    if (option && typeof option.get === 'function' && typeof option.set === 'function') {
+        return option;
+    }
+
+    const settings = typeof option === 'object' ? option : {};
+    const id = JSON.stringify([settings.directory && path.resolve(settings.directory), settings.ttl, settings.maxSize]);
+    if (!sharedCaches.has(id)) {
+        sharedCaches.set(id, createRenderCache(settings));
+    }
+    return sharedCaches.get(id);
+}
+
+/**
+ * Converts option values into a stable, JSON-serializable form
+ *
+ * @param {*} value - Option value
+ * @returns {*} - Value with sorted object keys, hashed Buffers and no functions
+ */
+function normalizeOptionValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return { sha256: crypto.createHash('sha256').update(value).digest('hex') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeOptionValue);
+    }
+    if (value && typeof value === 'object') {
+        const normalized = {};
+        Object.keys(value).sort().forEach(key => {
+            if (value[key] !== undefined && typeof value[key] !== 'function') {
+                normalized[key] = normalizeOptionValue(value[key]);
+            }
+        });
+        return normalized;
+    }
+    return value;
+}
+
+/**
+ * Computes the cache key of a document
+ *
+ * @param {string} processedHTML - Output of processHTMLContent()
+ * @param {Object} config - Conversion configuration from createConfig()
+ * @returns {string} - SHA-256 hash in hex
+ */
+function createCacheKey(processedHTML, config) {
+    const options = { ...config };
+    IGNORED_OPTIONS.forEach(name => delete options[name]);
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([CACHE_KEY_VERSION, normalizeOptionValue(options)]))
+        .update('\0')
+        .update(processedHTML)
+        .digest('hex');
+}
+
+/**
+ * Looks up a cached PDF, treating cache failures as misses
+ *
+ * @param {Object} cache - Cache from resolveCache()
+ * @param {string} key - Cache key
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<Buffer|null>} - The cached PDF, or null
+ */
+async function readCache(cache, key, config = {}) {
+    try {
+        const pdf = await cache.get(key);
+        return pdf ? Buffer.from(pdf) : null;
+    } catch (error) {
+        getLogger(config).warn(`⚠️ Render cache lookup failed: ${error.message}`, { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Stores a PDF in the cache, logging cache failures instead of failing the render
+ *
+ * @param {Object} cache - Cache from resolveCache()
+ * @param {string} key - Cache key
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<void>}
+ */
+async function writeCache(cache, key, pdf, config = {}) {
+    try {
+        await cache.set(key, pdf);
+    } catch (error) {
+        getLogger(config).warn(`⚠️ Render cache update failed: ${error.message}`, { error: error.message });
+    }
+}
+
+module.exports = {
+    hasCache,          // Cache detection
+    resolveCache,      // Cache option resolution
+    createCacheKey,    // Content hash of HTML and options
+    readCache,         // Cache lookup
+    writeCache,        // Cache update
+    createRenderCache, // Cache factory
+    MemoryCache,       // In-memory backend
+    FileCache          // Filesystem backend
+};
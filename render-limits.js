@@ -0,0 +1,208 @@
+/**
+ * Render Limits
+ *
+ * This module bounds the time and resources a conversion may use, so one
+ * document cannot stall or exhaust a renderer that is shared with others
+ * (e.g. the HTTP service). Every limit that is hit fails the conversion with
+ * a RenderLimitError, whose `code` tells which limit it was:
+ * - RENDER_TIMEOUT: renderTimeout - Milliseconds a document may spend rendering
+ *   in a browser page, from loading to the finished PDF (default: 120000)
+ * - NAVIGATION_TIMEOUT: navigationTimeout - Milliseconds to load the HTML or URL,
+ *   including its resources, e.g. pages that keep long-polling (default: 30000)
+ * - HTML_TOO_LARGE: maxHTMLBytes - Largest HTML input in bytes (default: no limit)
+ * - TOO_MANY_PAGES: maxPages - Most pages in the output (default: no limit)
+ * - PDF_TOO_LARGE: maxPDFBytes - Largest output PDF in bytes (default: no limit)
+ *
+ * A timeout of 0 disables it. When a timeout is hit, the page is closed and
+ * its browser replaced, so no work of the document keeps running. Renders
+ * made of several steps (multi-document PDFs) share one renderTimeout, see
+ * startRenderDeadline(). Timeouts
+ * fail with a RenderTimeoutError, a subclass of RenderLimitError (see
+ * conversion-errors.js).
+ *
+ * @example
+ * try {
+ *   await renderPDF(html, { renderTimeout: 30000, maxPages: 200, maxPDFBytes: 20 * 1024 * 1024 });
+ * } catch (error) {
+ *   if (error instanceof RenderLimitError && error.code === 'TOO_MANY_PAGES') { ... }
+ * }
+ */
+
+const { RenderLimitError, RenderTimeoutError } = require('./conversion-errors.js'); // Limit and timeout errors
+
+/**
+ * Default limits; limits without a default are off
+ */
+const LIMIT_DEFAULTS = {
+    renderTimeout: 120 * 1000,
+    navigationTimeout: 30 * 1000
+};
+
+/**
+ * Option names of all limits
+ */
+const LIMIT_OPTIONS = ['renderTimeout', 'navigationTimeout', 'maxHTMLBytes', 'maxPages', 'maxPDFBytes'];
+
+/**
+ * Validates the limit options of a configuration
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @throws {Error} - If a limit is not a non-negative number (or a positive one for sizes and pages)
+ */
+function checkLimitOptions(config) {
+    LIMIT_OPTIONS.forEach(name => {
+        const value = config[name];
+        if (value === undefined || value === null) {
+            return;
+        }
+        const isTimeout = name.endsWith('Timeout');
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (!isTimeout && value === 0)) {
+            throw new Error(`Invalid ${name}: "${value}" (expected ${isTimeout ? 'milliseconds, or 0 for no timeout' : 'a positive number'})`);
+        }
+    });
+}
+
+/**
+ * Checks the size of HTML input
+ *
+ * @param {string} htmlContent - HTML input
+ * @param {Object} config - Configuration from createConfig()
+ * @throws {RenderLimitError} - HTML_TOO_LARGE if the input exceeds maxHTMLBytes
+ */
+function checkHTMLSize(htmlContent, config) {
+    if (!config.maxHTMLBytes) {
+        return;
+    }
+    const size = Buffer.byteLength(htmlContent);
+    if (size > config.maxHTMLBytes) {
+        throw new RenderLimitError('HTML_TOO_LARGE',
+            `HTML input is ${size} bytes, more than the limit of ${config.maxHTMLBytes} bytes (maxHTMLBytes)`,
+            config.maxHTMLBytes);
+    }
+}
+
+/**
+ * Checks the page count of a rendered document
+ *
+ * @param {number} pageCount - Pages of the document
+ * @param {Object} config - Configuration from createConfig()
+ * @throws {RenderLimitError} - TOO_MANY_PAGES if the count exceeds maxPages
+ */
+function checkPageCount(pageCount, config) {
+    if (config.maxPages && pageCount > config.maxPages) {
+        throw new RenderLimitError('TOO_MANY_PAGES',
+            `Document has ${pageCount} pages; the limit is ${config.maxPages} (maxPages)`,
+            config.maxPages);
+    }
+}
+
+/**
+ * Checks the size of a rendered PDF
+ *
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Configuration from createConfig()
+ * @throws {RenderLimitError} - PDF_TOO_LARGE if the PDF exceeds maxPDFBytes
+ */
+function checkPDFSize(pdf, config) {
+    if (config.maxPDFBytes && pdf.length > config.maxPDFBytes) {
+        throw new RenderLimitError('PDF_TOO_LARGE',
+            `PDF is ${pdf.length} bytes, more than the limit of ${config.maxPDFBytes} bytes (maxPDFBytes)`,
+            config.maxPDFBytes);
+    }
+}
+
+/**
+ * Turns a Puppeteer timeout while loading content into a NAVIGATION_TIMEOUT error
+ *
+ * @param {Error} error - Error from page.setContent() or page.goto()
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Error} - The error to throw
+ */
+function toNavigationError(error, config) {
+    if (error.name !== 'TimeoutError') {
+        return error;
+    }
+    return new RenderTimeoutError('NAVIGATION_TIMEOUT',
+        `Loading the document took longer than ${config.navigationTimeout} ms (navigationTimeout)`,
+        config.navigationTimeout);
+}
+
+/**
+ * Creates the error of a render that ran out of time
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {RenderTimeoutError} - RENDER_TIMEOUT error
+ */
+function renderTimeoutError(config) {
+    return new RenderTimeoutError('RENDER_TIMEOUT',
+        `Rendering took longer than ${config.renderTimeout} ms (renderTimeout)`,
+        config.renderTimeout);
+}
+
+/**
+ * Starts one renderTimeout for a render made of several steps
+ *
+ * The returned configuration carries the time the render must end by
+ * (renderDeadline), so withRenderTimeout() gives each step only what the
+ * steps before it left over.
+ *
+ * @param {Object} config - Configuration from createConfig()
+ * @returns {Object} - The configuration with its renderDeadline set (unchanged without a renderTimeout)
+ */
+function startRenderDeadline(config) {
+    return config.renderTimeout ? { ...config, renderDeadline: Date.now() + config.renderTimeout } : config;
+}
+
+/**
+ * Fails a step of a render before it starts when the render has no time left
+ *
+ * @param {Object} config - Configuration from startRenderDeadline()
+ * @throws {RenderTimeoutError} - RENDER_TIMEOUT if the renderDeadline has passed
+ */
+function checkRenderDeadline(config) {
+    if (config.renderTimeout && config.renderDeadline && Date.now() >= config.renderDeadline) {
+        throw renderTimeoutError(config);
+    }
+}
+
+/**
+ * Runs a render job with the renderTimeout of its configuration
+ *
+ * When the time is up, the returned promise rejects with RENDER_TIMEOUT right
+ * away; the caller must then close the page, which also ends the job. With a
+ * renderDeadline (see startRenderDeadline), the job only gets the time left.
+ *
+ * @param {Promise<*>} job - Running render job
+ * @param {Object} config - Configuration from createConfig() or startRenderDeadline()
+ * @returns {Promise<*>} - Whatever the job resolves to
+ * @throws {RenderTimeoutError} - RENDER_TIMEOUT if the job takes longer than renderTimeout
+ */
+function withRenderTimeout(job, config) {
+    if (!config.renderTimeout) {
+        return job;
+    }
+
+    // The late outcome of a job that timed out is of no interest
+    job.catch(() => {});
+
+    const delay = config.renderDeadline ? Math.max(config.renderDeadline - Date.now(), 0) : config.renderTimeout;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(renderTimeoutError(config)), delay);
+    });
+    return Promise.race([job, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    LIMIT_DEFAULTS,      // Default timeouts
+    LIMIT_OPTIONS,       // Option names of all limits
+    RenderLimitError,    // Error for exceeded limits (see conversion-errors.js)
+    checkLimitOptions,   // Limit option validation
+    checkHTMLSize,       // maxHTMLBytes check
+    checkPageCount,      // maxPages check
+    checkPDFSize,        // maxPDFBytes check
+    toNavigationError,   // navigationTimeout error
+    startRenderDeadline, // One renderTimeout for several steps
+    checkRenderDeadline, // Time left before a step
+    withRenderTimeout    // renderTimeout for a render job
+};
@@ -0,0 +1,242 @@
+/**
+ * Automatic Table of Contents
+ *
+ * This module generates a table of contents (TOC) from the headings of a
+ * document loaded in a browser page and fills in the page number each heading
+ * lands on in the PDF.
+ *
+ * Page numbers are only known after layout, so the PDF is rendered twice:
+ * 1. The TOC is inserted with placeholder page numbers and linked to the
+ *    headings, and the document is rendered once
+ * 2. The page of each heading is read from the named destinations Chrome
+ *    writes for link targets (see pdf-destinations.js)
+ * 3. The placeholders are replaced with the real page numbers and the document
+ *    is rendered again
+ *
+ * The placeholders take up a fixed-width column, so filling them in does not
+ * change the layout between the two renders.
+ *
+ * Options (`toc: true` uses all defaults):
+ * - position: 'start' (default), 'after-cover' or 'placeholder'
+ * - title: Heading of the TOC (default: 'Contents')
+ * - levels: Deepest heading level to include, 1 to 6 (default: 3)
+ * - coverSelector: Cover element for 'after-cover' (default: '.cover, [data-cover]')
+ * - placeholderSelector: Element replaced by the TOC for 'placeholder' (default: '[data-toc]')
+ *
+ * Headings inside the cover or marked with `data-toc-ignore` are left out.
+ *
+ * @example
+ * await convertHTMLToPDF(reportHTML, 'report.pdf', {
+ *   toc: { position: 'after-cover', title: 'Table of Contents', levels: 2 }
+ * });
+ */
+
+const { readNamedDestinations } = require('./pdf-destinations.js'); // Page lookup for link targets
+const { getLogger } = require('./logger.js'); // Progress logging
+
+/**
+ * Default TOC options
+ */
+const TOC_DEFAULTS = {
+    position: 'start',
+    title: 'Contents',
+    levels: 3,
+    coverSelector: '.cover, [data-cover]',
+    placeholderSelector: '[data-toc]'
+};
+
+/**
+ * Placeholder shown in place of page numbers during the first render
+ */
+const PAGE_NUMBER_PLACEHOLDER = '000';
+
+/**
+ * Checks whether a table of contents is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the toc option is set
+ */
+function hasTableOfContents(config) {
+    return Boolean(config.toc);
+}
+
+/**
+ * Resolves the toc option into complete TOC options
+ *
+ * @param {boolean|Object} toc - The toc option
+ * @returns {Object} - TOC options with defaults applied
+ * @throws {Error} - If the position or levels are invalid
+ */
+function resolveTOCOptions(toc) {
+    const options = { ...TOC_DEFAULTS, ...(typeof toc === 'object' ? toc : {}) };
+
+    if (!['start', 'after-cover', 'placeholder'].includes(options.position)) {
+        throw new Error(`Invalid toc.position: "${options.position}" (expected start, after-cover or placeholder)`);
+    }
+    if (!Number.isInteger(options.levels) || options.levels < 1 || options.levels > 6) {
+        throw new Error(`Invalid toc.levels: "${options.levels}" (expected 1 to 6)`);
+    }
+
+    return options;
+}
+
+/**
+ * Inserts the table of contents into the document loaded in the page
+ *
+ * Headings without an id get a generated one so the TOC can link to them.
+ *
+ * @param {Object} page - Puppeteer page holding the processed document
+ * @param {Object} config - Conversion configuration with the toc option
+ * @param {string} css - TOC stylesheet (see generateTOCCSS in pdf-converter.js)
+ * @returns {Promise<Array<Object>>} - TOC entries: { id, level, text }
+ * @throws {Error} - If the cover or placeholder element for the position is missing
+ */
+async function insertTableOfContents(page, config, css) {
+    const options = resolveTOCOptions(config.toc);
+    const log = getLogger(config);
+    log.info(`📑 Building table of contents (${options.position})...`);
+
+    const result = await page.evaluate(buildTableOfContentsInPage, options, css, PAGE_NUMBER_PLACEHOLDER);
+    if (result.error) {
+        throw new Error(result.error);
+    }
+
+    log.info(`📑 Table of contents lists ${result.entries.length} headings`);
+    return result.entries;
+}
+
+/**
+ * Builds the TOC inside the browser page
+ *
+ * Runs in the page context via page.evaluate(), so it must be self-contained.
+ *
+ * @param {Object} options - Resolved TOC options
+ * @param {string} css - TOC stylesheet
+ * @param {string} placeholder - Text shown in place of page numbers
+ * @returns {Object} - { entries } or { error }
+ */
+function buildTableOfContentsInPage(options, css, placeholder) {
+    const cover = options.position === 'after-cover' ? document.querySelector(options.coverSelector) : null;
+    const target = options.position === 'placeholder' ? document.querySelector(options.placeholderSelector) : null;
+
+    if (options.position === 'after-cover' && !cover) {
+        return { error: `toc.position "after-cover" needs a cover element matching "${options.coverSelector}"` };
+    }
+    if (options.position === 'placeholder' && !target) {
+        return { error: `toc.position "placeholder" needs an element matching "${options.placeholderSelector}"` };
+    }
+
+    // Collect headings in document order, skipping the cover and ignored headings
+    const selector = Array.from({ length: options.levels }, (unused, i) => `h${i + 1}`).join(', ');
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+    const entries = [];
+
+    document.querySelectorAll(selector).forEach((heading, index) => {
+        if ((cover && cover.contains(heading)) || heading.closest('[data-toc-ignore]')) {
+            return;
+        }
+
+        const text = heading.textContent.replace(/\s+/g, ' ').trim();
+        if (!text) {
+            return;
+        }
+
+        if (!heading.id) {
+            let id = `pdf-heading-${index + 1}`;
+            while (usedIds.has(id)) {
+                id += '-1';
+            }
+            heading.id = id;
+            usedIds.add(id);
+        }
+
+        entries.push({ id: heading.id, level: Number(heading.tagName.slice(1)), text });
+    });
+
+    // Build the TOC markup with links and fixed-width page number placeholders
+    const nav = document.createElement('nav');
+    nav.className = `pdf-toc pdf-toc-${options.position}`;
+
+    const title = document.createElement('div');
+    title.className = 'pdf-toc-title';
+    title.textContent = options.title;
+    nav.appendChild(title);
+
+    const list = document.createElement('ol');
+    list.className = 'pdf-toc-list';
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `pdf-toc-entry pdf-toc-level-${entry.level}`;
+
+        const link = document.createElement('a');
+        link.href = `#${encodeURIComponent(entry.id)}`;
+
+        const text = document.createElement('span');
+        text.className = 'pdf-toc-text';
+        text.textContent = entry.text;
+
+        const leader = document.createElement('span');
+        leader.className = 'pdf-toc-leader';
+
+        const pageNumber = document.createElement('span');
+        pageNumber.className = 'pdf-toc-page';
+        pageNumber.dataset.target = entry.id;
+        pageNumber.textContent = placeholder;
+
+        link.append(text, leader, pageNumber);
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    nav.appendChild(list);
+
+    // Place the TOC
+    if (target) {
+        target.replaceWith(nav);
+    } else if (cover) {
+        cover.after(nav);
+    } else {
+        document.body.prepend(nav);
+    }
+
+    const style = document.createElement('style');
+    style.textContent = css;
+    document.head.appendChild(style);
+
+    return { entries };
+}
+
+/**
+ * Fills in the TOC page numbers and renders the final PDF
+ *
+ * @param {Object} page - Puppeteer page holding the document with its TOC
+ * @param {Buffer} pdf - PDF from the first render (with placeholders)
+ * @param {Object} pdfOptions - Options for page.pdf(), as used for the first render
+ * @param {number} firstPageNumber - Number of the document's first page (default: 1)
+ * @param {Object} config - Configuration with the logger (optional)
+ * @returns {Promise<Buffer>} - PDF with real page numbers in the TOC
+ */
+async function applyTableOfContents(page, pdf, pdfOptions, firstPageNumber = 1, config = {}) {
+    const destinations = await readNamedDestinations(pdf);
+
+    // Page numbers match {{pageNumber}} in headers and footers
+    const pageNumbers = {};
+    destinations.forEach((destination, name) => {
+        pageNumbers[name] = destination.pageIndex + firstPageNumber;
+    });
+
+    getLogger(config).info('📑 Filling in table of contents page numbers...');
+    await page.evaluate((numbers) => {
+        document.querySelectorAll('.pdf-toc-page').forEach(element => {
+            const number = numbers[element.dataset.target];
+            element.textContent = number === undefined ? '' : String(number);
+        });
+    }, pageNumbers);
+
+    return page.pdf(pdfOptions);
+}
+
+module.exports = {
+    hasTableOfContents,    // TOC detection
+    insertTableOfContents, // TOC insertion before the first render
+    applyTableOfContents   // Page number fill-in and final render
+};
@@ -5,8 +5,117 @@
  * to ensure it works correctly in different scenarios.
  */
 
-const { convertHTMLToPDF } = require('./pdf-converter.js');
+const {
+    convertHTMLToPDF,
+    convertURLToPDF,
+    convertManyToPDF,
+    renderPDF,
+    renderPDFStream,
+    renderTemplate,
+    createRenderer,
+    processHTMLContent,
+    resolvePageGeometry,
+    registerFont,
+    createRenderCache,
+    createConsoleLogger,
+    ConversionError,
+    InvalidInputError,
+    BrowserLaunchError,
+    RenderLimitError,
+    RenderTimeoutError,
+    ResourceBlockedError,
+    OutputWriteError,
+    EXIT_CODES
+} = require('./pdf-converter.js');
+const { verifySignature } = require('./pdf-signature.js');
+const { unregisterFont } = require('./font-registry.js');
+const { createServer } = require('./pdf-server.js');
+const { JobQueue, QueueFullError } = require('./job-queue.js');
 const fs = require('fs').promises;
+const http = require('http');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const forge = require('node-forge');
+const { PDFDocument, PDFName, PDFDict } = require('@cantoo/pdf-lib');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+/**
+ * Extracts the text of each page of a PDF, including headers, footers and
+ * other overlays drawn onto the pages
+ *
+ * Whitespace is removed, since Chrome splits text into runs at will; compare
+ * against expected text with its whitespace removed as well (see compact).
+ *
+ * @param {Buffer} pdf - PDF bytes
+ * @returns {Promise<Array<string>>} - Text of each page, without whitespace
+ */
+async function readPageTexts(pdf) {
+    const pdfDoc = await pdfjs.getDocument({ data: new Uint8Array(pdf), verbosity: 0 }).promise;
+    try {
+        const texts = [];
+        for (let number = 1; number <= pdfDoc.numPages; number++) {
+            const content = await (await pdfDoc.getPage(number)).getTextContent();
+            texts.push(compact(content.items.map(item => item.str).join('')));
+        }
+        return texts;
+    } finally {
+        await pdfDoc.destroy();
+    }
+}
+
+/**
+ * Reads the internal links of a PDF page, e.g. the entries of a table of contents
+ *
+ * @param {Buffer} pdf - PDF bytes
+ * @param {number} pageNumber - Page holding the links (1-based)
+ * @returns {Promise<Array<Object>>} - { dest, text, shown, target } for each link in order: the
+ *   named destination, the text inside the link, the number at its end (NaN without one) and
+ *   the page number the destination is on
+ */
+async function readPageLinks(pdf, pageNumber) {
+    const pdfDoc = await pdfjs.getDocument({ data: new Uint8Array(pdf), verbosity: 0 }).promise;
+    try {
+        const page = await pdfDoc.getPage(pageNumber);
+        const items = (await page.getTextContent()).items;
+        const annotations = await page.getAnnotations();
+        
+        const links = [];
+        for (const annotation of annotations.filter(annotation => annotation.subtype === 'Link' && annotation.dest)) {
+            // Text whose baseline starts inside the link area
+            const [left, bottom, right, top] = annotation.rect;
+            const text = items
+                .filter(item => item.transform[4] >= left - 1 && item.transform[4] <= right + 1 &&
+                    item.transform[5] >= bottom - 1 && item.transform[5] <= top + 1)
+                .map(item => item.str)
+                .join(' ');
+            const number = /(\d+)\s*$/.exec(text);
+            
+            const destination = typeof annotation.dest === 'string'
+                ? await pdfDoc.getDestination(annotation.dest)
+                : annotation.dest;
+            links.push({
+                dest: annotation.dest,
+                text: text.replace(/\s+/g, ' ').trim(),
+                shown: number ? Number(number[1]) : NaN,
+                target: await pdfDoc.getPageIndex(destination[0]) + 1
+            });
+        }
+        return links;
+    } finally {
+        await pdfDoc.destroy();
+    }
+}
+
+/**
+ * Removes the whitespace of text, for comparisons with readPageTexts()
+ *
+ * @param {string} text - Expected text
+ * @returns {string} - Text without whitespace
+ */
+function compact(text) {
+    return String(text).replace(/\s+/g, '');
+}
 
 /**
  * Test 1: Basic HTML conversion
@@ -185,30 +294,1431 @@ async function testErrorHandling() {
 }
 
 /**
- * Clean up test files
+ * Test 7: Reusable renderer with a browser pool
  */
-async function cleanupTestFiles() {
-    console.log('🧹 Cleaning up test files...');
+async function testRendererPool() {
+    console.log('🧪 Test 7: Reusable renderer with a browser pool');
     
-    const testFiles = [
-        'test-basic.pdf',
-        'test-code-blocks.pdf',
-        'test-landscape.pdf',
-        'test-letter.pdf',
-        'test-complex.pdf',
-        'test-error.pdf'
-    ];
+    const renderer = createRenderer({ poolSize: 2, maxRendersPerBrowser: 2 });
     
-    for (const file of testFiles) {
+    try {
+        // More jobs than browsers, so some jobs wait and browsers get recycled
+        await Promise.all([1, 2, 3].map(n => renderer.convert(
+            `<h1>Pooled Document ${n}</h1><p>Rendered by a shared browser pool.</p>`,
+            `test-pool-${n}.pdf`
+        )));
+        
+        await renderer.close();
+        
+        // A closed renderer must refuse new work
+        let rejected = false;
         try {
-            await fs.unlink(file);
-            console.log(`🗑️ Deleted ${file}`);
+            await renderer.convert('<p>Too late</p>', 'test-pool-closed.pdf');
         } catch (error) {
-            // File doesn't exist, that's okay
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('closed renderer accepted a new job');
+        }
+        
+        console.log('✅ Renderer pool test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Renderer pool test failed:', error.message);
+        await renderer.close();
+        return false;
+    }
+}
+
+/**
+ * Test 8: In-memory Buffer and stream output
+ */
+async function testBufferAndStreamOutput() {
+    console.log('🧪 Test 8: In-memory Buffer and stream output');
+    
+    const htmlContent = '<h1>In-Memory Test</h1><p>No file path is needed.</p>';
+    
+    try {
+        const pdf = await renderPDF(htmlContent);
+        if (!Buffer.isBuffer(pdf) || pdf.slice(0, 5).toString() !== '%PDF-') {
+            throw new Error('renderPDF did not return PDF bytes');
+        }
+        
+        const stream = await renderPDFStream(htmlContent);
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        if (Buffer.concat(chunks).slice(0, 5).toString() !== '%PDF-') {
+            throw new Error('renderPDFStream did not stream PDF bytes');
+        }
+        
+        console.log('✅ Buffer and stream output test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Buffer and stream output test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 9: Page geometry with units, per-side and mirrored margins
+ */
+async function testPageGeometry() {
+    console.log('🧪 Test 9: Page geometry with units, per-side and mirrored margins');
+    
+    try {
+        // Units and CSS-style shorthand
+        const letter = resolvePageGeometry({ pageSize: 'Letter', margin: '0.5in 72pt' });
+        if (letter.width !== 215.9 || letter.margin.top !== 12.7 || Math.abs(letter.margin.left - 25.4) > 0.001) {
+            throw new Error('units or shorthand margins were not resolved correctly');
+        }
+        
+        // Custom size with landscape orientation swaps the dimensions
+        const custom = resolvePageGeometry({ width: '100mm', height: '150mm', orientation: 'landscape', margin: 0 });
+        if (custom.width !== 150 || custom.height !== 100) {
+            throw new Error('custom landscape page size was not swapped');
+        }
+        
+        // Mirrored margins produce :left/:right page rules
+        const mirrored = { pageSize: 'A4', margin: { top: 20, bottom: 20, inside: 25, outside: 15 } };
+        const processed = processHTMLContent('<p>Duplex</p>', mirrored);
+        if (!processed.includes('@page :left') || !processed.includes('size: 210mm 297mm')) {
+            throw new Error('mirrored margins were not injected as @page rules');
+        }
+        
+        // Margins must leave room for content
+        let rejected = false;
+        try {
+            resolvePageGeometry({ pageSize: 'A6', margin: 60 });
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('oversized margins were accepted');
+        }
+        
+        await convertHTMLToPDF('<h1>Custom Geometry</h1><p>Mirrored margins.</p>', 'test-geometry.pdf', {
+            width: '6in',
+            height: '9in',
+            margin: { top: '0.75in', bottom: '0.75in', inside: '0.875in', outside: '0.5in' }
+        });
+        
+        console.log('✅ Page geometry test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Page geometry test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 10: Header and footer templates
+ */
+async function testHeaderFooter() {
+    console.log('🧪 Test 10: Header and footer templates');
+    
+    const htmlContent = `
+        <h1>Header and Footer Test</h1>
+        <p>First page without header or footer.</p>
+        <div class="page-break"></div>
+        <h2>Second Page</h2>
+        <p>Even page footer.</p>
+        <div class="page-break"></div>
+        <h2>Third Page</h2>
+        <p>Odd page footer.</p>
+    `;
+    
+    try {
+        await fs.writeFile('test-header.html', '<div style="text-align: right">{{title}} - {{client}}</div>');
+        
+        await convertHTMLToPDF(htmlContent, 'test-header-footer.pdf', {
+            margin: { top: 20, right: 15, bottom: 20, left: 15 },
+            title: 'Quarterly Report',
+            headerTemplate: 'test-header.html',
+            footerTemplate: {
+                odd: '<div style="text-align: right">Page {{pageNumber}} of {{totalPages}}</div>',
+                even: '<div>Page {{pageNumber}} of {{totalPages}} - {{date}}</div>'
+            },
+            skipFirstPageHeaderFooter: true,
+            headerFooterVariables: { client: 'ACME Corp' }
+        });
+        
+        const pages = await readPageTexts(await fs.readFile('test-header-footer.pdf'));
+        if (pages.length !== 3) {
+            throw new Error(`expected 3 pages, got ${pages.length}`);
+        }
+        if (pages[0].includes(compact('ACME Corp')) || pages[0].includes(compact('Page 1 of'))) {
+            throw new Error('first page has a header or footer');
+        }
+        
+        // Tokens are filled in on every stamped page, the header from the template file
+        const date = compact(new Date().toLocaleDateString());
+        pages.slice(1).forEach((text, index) => {
+            if (!text.includes(compact('Quarterly Report - ACME Corp')) || text.includes('{{')) {
+                throw new Error(`page ${index + 2} lacks the header with its tokens filled in`);
+            }
+        });
+        if (!pages[1].includes(compact('Page 2 of 3 - ') + date)) {
+            throw new Error('page 2 lacks the even footer');
+        }
+        if (!pages[2].includes(compact('Page 3 of 3')) || pages[2].includes(date)) {
+            throw new Error('page 3 lacks the odd footer');
+        }
+        
+        // Values with braces are markup, the same rule the HTTP service uses to refuse file paths
+        await fs.writeFile('test-header{x}.html', '<div>Template file</div>');
+        await convertHTMLToPDF('<h1>Braces</h1>', 'test-header-footer.pdf', {
+            margin: { top: 20, right: 15, bottom: 20, left: 15 },
+            headerTemplate: 'test-header{x}.html'
+        });
+        const [bracePage] = await readPageTexts(await fs.readFile('test-header-footer.pdf'));
+        if (bracePage.includes(compact('Template file')) || !bracePage.includes(compact('test-header{x}.html'))) {
+            throw new Error('a header template with braces was read as a file');
+        }
+        
+        console.log('✅ Header and footer test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Header and footer test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 11: Automatic table of contents
+ */
+async function testTableOfContents() {
+    console.log('🧪 Test 11: Automatic table of contents');
+    
+    const chapters = [1, 2, 3].map(n => `
+        <h1>Chapter ${n}</h1>
+        <p>Introduction to chapter ${n}.</p>
+        <h2>Section ${n}.1</h2>
+        <p>Details of section ${n}.1.</p>
+        <h3>Subsection ${n}.1.1</h3>
+        <p>Even more detail.</p>
+        <div class="page-break"></div>
+    `).join('');
+    
+    const htmlContent = `
+        <div data-cover>
+            <h1>Annual Report</h1>
+            <p>Cover page - not listed in the table of contents.</p>
+        </div>
+        ${chapters}
+    `;
+    
+    try {
+        await convertHTMLToPDF(htmlContent, 'test-toc.pdf', {
+            toc: { position: 'after-cover', title: 'Table of Contents' }
+        });
+        
+        // The TOC follows the cover page and lists every heading but the cover's
+        const pdf = await fs.readFile('test-toc.pdf');
+        const pages = await readPageTexts(pdf);
+        if (!pages[1].startsWith(compact('Table of Contents')) || pages[0].includes(compact('Table of Contents'))) {
+            throw new Error('table of contents is not on the page after the cover');
+        }
+        const entries = await readPageLinks(pdf, 2);
+        if (entries.length !== 9 || entries.some(entry => entry.text.includes('Annual Report'))) {
+            throw new Error(`expected 9 entries without the cover heading, got ${entries.length}`);
+        }
+        
+        // Each entry shows the page its heading landed on; chapter n starts on page n + 2
+        entries.forEach(entry => {
+            if (entry.shown !== entry.target) {
+                throw new Error(`"${entry.text}" shows page ${entry.shown}, but its heading is on page ${entry.target}`);
+            }
+        });
+        const chapterPages = entries.filter(entry => entry.text.startsWith('Chapter')).map(entry => entry.target);
+        if (chapterPages.join() !== '3,4,5') {
+            throw new Error(`chapters on pages ${chapterPages.join(', ')} instead of 3, 4, 5`);
+        }
+        
+        // A placeholder position without a placeholder element must fail clearly
+        let rejected = false;
+        try {
+            await convertHTMLToPDF('<h1>No placeholder</h1>', 'test-toc-missing.pdf', {
+                toc: { position: 'placeholder' }
+            });
+        } catch (error) {
+            rejected = error.message.includes('placeholder');
         }
+        if (!rejected) {
+            throw new Error('missing placeholder element was not reported');
+        }
+        
+        console.log('✅ Table of contents test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Table of contents test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 12: PDF outline (bookmarks) from headings
+ */
+async function testOutline() {
+    console.log('🧪 Test 12: PDF outline (bookmarks) from headings');
+    
+    const htmlContent = `
+        <h1>Specification</h1>
+        <h2>Scope</h2>
+        <p>What this specification covers.</p>
+        <div class="page-break"></div>
+        <h2>Requirements</h2>
+        <h3>Functional</h3>
+        <p>Functional requirements.</p>
+        <h3>Non-functional</h3>
+        <p>Non-functional requirements.</p>
+    `;
+    
+    try {
+        const pdf = await renderPDF(htmlContent, { outline: true });
+        
+        // The catalog must reference an outline with the two top-level levels nested
+        const pdfDoc = await PDFDocument.load(pdf);
+        const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+        if (!outlines) {
+            throw new Error('PDF has no outline');
+        }
+        const first = outlines.lookup(PDFName.of('First'), PDFDict);
+        if (first.lookup(PDFName.of('Title')).decodeText() !== 'Specification' || !first.get(PDFName.of('First'))) {
+            throw new Error('outline is not nested by heading level');
+        }
+        
+        console.log('✅ Outline test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Outline test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 13: Document metadata and XMP
+ */
+async function testMetadata() {
+    console.log('🧪 Test 13: Document metadata and XMP');
+    
+    const htmlContent = '<h1>Quarterly Report</h1><p>Figures for the quarter.</p>';
+    
+    try {
+        const pdf = await renderPDF(htmlContent, {
+            metadata: {
+                author: 'Finance Team',
+                keywords: ['finance', 'quarterly'],
+                language: 'en-GB',
+                xmp: {
+                    namespaces: { dms: 'http://example.com/ns/dms/1.0/' },
+                    properties: { 'dms:DocumentId': 'FIN-0042' }
+                }
+            }
+        });
+        
+        // The title comes from the first heading; the rest from the options
+        const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+        if (pdfDoc.getTitle() !== 'Quarterly Report' || pdfDoc.getAuthor() !== 'Finance Team') {
+            throw new Error(`unexpected Info dictionary: ${pdfDoc.getTitle()} / ${pdfDoc.getAuthor()}`);
+        }
+        
+        const xmp = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+        if (!xmp || !Buffer.from(xmp.getContents()).toString('utf8').includes('<dms:DocumentId>FIN-0042</dms:DocumentId>')) {
+            throw new Error('XMP packet is missing the custom property');
+        }
+        
+        console.log('✅ Metadata test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Metadata test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 14: Template + data rendering
+ */
+async function testTemplateRendering() {
+    console.log('🧪 Test 14: Template + data rendering');
+    
+    const template = `
+        <h1>Invoice {{number}}</h1>
+        <p>Issued {{formatDate issuedAt "long"}} to {{customer}}</p>
+        <table>
+            {{#each lines}}
+            <tr><td>{{description}}</td><td>{{formatCurrency amount}}</td></tr>
+            {{/each}}
+        </table>
+        {{#if paid}}<p>Paid in full</p>{{else}}{{> reminder}}{{/if}}
+    `;
+    
+    try {
+        await fs.writeFile('test-template.hbs', template);
+        const pdf = await renderTemplate('test-template.hbs', {
+            number: 'INV-1',
+            issuedAt: '2024-05-02',
+            customer: '<ACME & Co>',
+            lines: [{ description: 'Consulting', amount: 1200 }, { description: 'Travel', amount: 80.5 }],
+            paid: false
+        }, {
+            partials: { reminder: '<p>Payment due within {{days}} days</p>' },
+            currency: 'EUR'
+        });
+        
+        // The wrapper takes its title from the rendered first heading
+        const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+        if (pdfDoc.getTitle() !== 'Invoice INV-1') {
+            throw new Error(`unexpected title: ${pdfDoc.getTitle()}`);
+        }
+        
+        console.log('✅ Template rendering test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Template rendering test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 15: Markdown input with front matter
+ */
+async function testMarkdownInput() {
+    console.log('🧪 Test 15: Markdown input with front matter');
+    
+    const markdown = `---
+title: Field Guide
+pageSize: Letter
+orientation: landscape
+---
+# Field Guide
+
+| Step | Status |
+|------|--------|
+| Setup | Done |
+
+- [x] Install dependencies
+- [ ] Write the guide
+
+\`\`\`html
+<p style="color: #1976d2;">Rendered preview</p>
+\`\`\`
+`;
+    
+    try {
+        const pdf = await renderPDF(markdown, { inputFormat: 'markdown' });
+        
+        // Front matter sets the title and a landscape Letter page (792 x 612 points)
+        const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+        const { width, height } = pdfDoc.getPage(0).getSize();
+        if (pdfDoc.getTitle() !== 'Field Guide' || Math.round(width) !== 792 || Math.round(height) !== 612) {
+            throw new Error(`unexpected title or page size: ${pdfDoc.getTitle()}, ${width} x ${height}`);
+        }
+        
+        console.log('✅ Markdown input test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Markdown input test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 16: URL input with headers, cookies and authentication
+ */
+async function testURLInput() {
+    console.log('🧪 Test 16: URL input with headers, cookies and authentication');
+    
+    // Third-party host (another origin) that asks every client for credentials
+    const thirdParty = [];
+    const cdn = http.createServer((request, response) => {
+        thirdParty.push(request.headers);
+        response.writeHead(401, { 'WWW-Authenticate': 'Basic realm="cdn"' });
+        response.end();
+    });
+    await new Promise(resolve => cdn.listen(0, '127.0.0.1', resolve));
+    
+    // Local server that only serves the page to an authenticated, correctly configured client
+    const seen = [];
+    const server = http.createServer((request, response) => {
+        seen.push(request.headers);
+        const expectedAuth = `Basic ${Buffer.from('archiver:s3cret').toString('base64')}`;
+        if (request.headers.authorization !== expectedAuth) {
+            response.writeHead(401, { 'WWW-Authenticate': 'Basic realm="test"' });
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'text/html' });
+        response.end(`<html><head><title>Dashboard</title></head><body><h1>Sales Dashboard</h1>
+            <img src="http://127.0.0.1:${cdn.address().port}/pixel.png"></body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/dashboard`;
+    
+    try {
+        await convertURLToPDF(url, 'test-url.pdf', {
+            headers: { 'X-Tenant': 'acme' },
+            cookies: [{ name: 'session', value: 'abc123' }],
+            auth: { username: 'archiver', password: 's3cret' },
+            userAgent: 'PdfArchiver/1.0'
+        });
+        
+        const page = seen.find(headers => headers.authorization);
+        if (!page || page['x-tenant'] !== 'acme' || !/session=abc123/.test(page.cookie || '') ||
+            page['user-agent'] !== 'PdfArchiver/1.0') {
+            throw new Error('request headers, cookie or user agent were not sent');
+        }
+        
+        // Headers and credentials stay with the page's origin
+        if (thirdParty.length === 0) {
+            throw new Error('third-party image was not requested');
+        }
+        if (thirdParty.some(headers => headers.authorization || headers['x-tenant'])) {
+            throw new Error('headers or credentials were sent to a third-party host');
+        }
+        
+        // A failing page must not be archived silently
+        const failed = await convertURLToPDF(`${url}?unauthenticated`, 'test-url.pdf').then(() => false, () => true);
+        if (!failed) {
+            throw new Error('HTTP 401 response did not fail the conversion');
+        }
+        
+        console.log('✅ URL input test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ URL input test failed:', error.message);
+        return false;
+    } finally {
+        server.close();
+        cdn.close();
+    }
+}
+
+/**
+ * Test 17: Watermarks and stamps
+ */
+async function testWatermark() {
+    console.log('🧪 Test 17: Watermarks and stamps');
+    
+    const htmlContent = `
+        <h1>Draft Proposal</h1>
+        <p>First page.</p>
+        <h2 style="page-break-before: always;">Appendix</h2>
+        <p>Second page.</p>
+    `;
+    
+    try {
+        const pdf = await renderPDF(htmlContent, {
+            watermark: [
+                { text: 'DRAFT' },
+                { text: 'CONFIDENTIAL', position: 'top-right', fontSize: 14, opacity: 1, layer: 'behind', pages: '1' }
+            ]
+        });
+        
+        // Each watermark is a form XObject in the resources of its pages
+        const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+        const counts = pdfDoc.getPages().map(page => {
+            const xObjects = page.node.Resources().lookupMaybe(PDFName.of('XObject'), PDFDict);
+            return xObjects ? xObjects.keys().filter(key => key.asString().startsWith('/Watermark')).length : 0;
+        });
+        if (counts.length !== 2 || counts[0] !== 2 || counts[1] !== 1) {
+            throw new Error(`unexpected watermarks per page: ${counts.join(', ')}`);
+        }
+        
+        console.log('✅ Watermark test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Watermark test failed:', error.message);
+        return false;
     }
 }
 
+/**
+ * Test 18: One PDF from multiple documents
+ */
+async function testMultipleDocuments() {
+    console.log('🧪 Test 18: One PDF from multiple documents');
+    
+    try {
+        await convertManyToPDF([
+            { html: '<div class="cover"><h1>Annual Report</h1></div>', options: { skipFirstPageHeaderFooter: true } },
+            { html: '<h1>Chapter 1</h1><p>Results.</p><h2 style="page-break-before: always;">Details</h2>' },
+            { html: '<h1>Appendix</h1><table><tr><td>Data</td></tr></table>', options: { orientation: 'landscape' } }
+        ], 'test-book.pdf', {
+            outline: true,
+            margin: { top: 10, right: 10, bottom: 20, left: 10 },
+            footerTemplate: '<div style="text-align: center">{{pageNumber}} / {{totalPages}}</div>'
+        });
+        
+        // Cover, two chapter pages and a landscape appendix, with one combined outline
+        const pdfDoc = await PDFDocument.load(await fs.readFile('test-book.pdf'), { updateMetadata: false });
+        const sizes = pdfDoc.getPages().map(page => (page.getWidth() > page.getHeight() ? 'landscape' : 'portrait'));
+        if (sizes.join(',') !== 'portrait,portrait,portrait,landscape') {
+            throw new Error(`unexpected pages: ${sizes.join(', ')}`);
+        }
+        
+        const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+        if (!outlines || outlines.lookup(PDFName.of('Count')).asNumber() !== 4) {
+            throw new Error('outline does not contain the headings of every part');
+        }
+        
+        console.log('✅ Multiple documents test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Multiple documents test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 19: Password protection
+ */
+async function testEncryption() {
+    console.log('🧪 Test 19: Password protection');
+    
+    try {
+        const pdf = await renderPDF('<h1>Statement</h1><p>Account 12345678</p>', {
+            encryption: {
+                userPassword: 'open-sesame',
+                ownerPassword: 'owner-secret',
+                algorithm: 'AES-128',
+                permissions: { copying: false, modifying: false }
+            }
+        });
+        
+        if (!pdf.toString('latin1').includes('/Encrypt')) {
+            throw new Error('PDF is not encrypted');
+        }
+        
+        // Only the right password opens the document
+        const wrongPassword = await PDFDocument.load(pdf, { password: 'guess' }).then(() => false, () => true);
+        if (!wrongPassword) {
+            throw new Error('PDF opened with a wrong password');
+        }
+        const pdfDoc = await PDFDocument.load(pdf, { password: 'open-sesame' });
+        if (pdfDoc.getPageCount() !== 1) {
+            throw new Error('PDF did not open with the user password');
+        }
+        
+        console.log('✅ Encryption test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Encryption test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 20: PDF/A archival output
+ */
+async function testPDFA() {
+    console.log('🧪 Test 20: PDF/A archival output');
+    
+    try {
+        const pdf = await renderPDF('<h1>Retention Record</h1><p>Kept for ten years.</p>', {
+            pdfa: '2b',
+            metadata: { author: 'Records Office' }
+        });
+        
+        const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+        const xmp = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+        if (!pdfDoc.catalog.lookup(PDFName.of('OutputIntents')) ||
+            !Buffer.from(xmp.getContents()).toString('utf8').includes('<pdfaid:part>2</pdfaid:part>')) {
+            throw new Error('output intent or PDF/A identification is missing');
+        }
+        
+        // Transparency cannot be removed afterwards, so PDF/A-1 must be refused with a report
+        const error = await renderPDF('<p style="opacity: 0.5">Faded</p>', { pdfa: '1b' }).then(() => null, e => e);
+        if (!error || !error.problems || !error.problems.some(problem => problem.includes('Transparency'))) {
+            throw new Error('transparency was not reported for PDF/A-1b');
+        }
+        
+        console.log('✅ PDF/A test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ PDF/A test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 21: Digital signature with a self-signed certificate
+ */
+async function testSignature() {
+    console.log('🧪 Test 21: Digital signature');
+    
+    try {
+        // Self-signed certificate in a PKCS#12 file, as exported by certificate tools
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+        const cert = forge.pki.createCertificate();
+        const subject = [{ name: 'commonName', value: 'Contract Signer' }];
+        cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+        cert.serialNumber = '01';
+        cert.validity.notBefore = new Date();
+        cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        cert.setSubject(subject);
+        cert.setIssuer(subject);
+        cert.sign(key, forge.md.sha256.create());
+        const p12 = Buffer.from(forge.asn1.toDer(
+            forge.pkcs12.toPkcs12Asn1(key, [cert], 'test-passphrase', { algorithm: '3des' })
+        ).getBytes(), 'binary');
+        
+        const pdf = await renderPDF('<h1>Service Agreement</h1><p>Signed at generation time.</p>', {
+            sign: { p12, passphrase: 'test-passphrase', reason: 'Contract agreed', appearance: true }
+        });
+        
+        const result = verifySignature(pdf);
+        if (!result.valid || !result.coversWholeDocument || result.signer !== 'Contract Signer') {
+            throw new Error(`unexpected verification result: ${JSON.stringify(result)}`);
+        }
+        
+        // Any change to the signed bytes must invalidate the signature
+        const tampered = Buffer.from(pdf);
+        tampered[20] ^= 1;
+        if (verifySignature(tampered).valid) {
+            throw new Error('tampered PDF still verifies');
+        }
+        
+        console.log('✅ Digital signature test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Digital signature test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 22: Fillable form fields from HTML form controls
+ */
+async function testFormFields() {
+    console.log('🧪 Test 22: Fillable form fields');
+    
+    const htmlContent = `
+        <h1>Membership Application</h1>
+        <form>
+            <p><label>Name <input type="text" name="name" value="Jane Doe" required></label></p>
+            <p><label><input type="checkbox" name="newsletter" checked> Newsletter</label></p>
+            <p>
+                <label><input type="radio" name="plan" value="basic"> Basic</label>
+                <label><input type="radio" name="plan" value="premium" checked> Premium</label>
+            </p>
+            <p><select name="country"><option>Germany</option><option selected>France</option></select></p>
+            <p><textarea name="comments" rows="3"></textarea></p>
+            <input type="hidden" name="token" value="abc">
+            <button type="submit">Send</button>
+        </form>
+    `;
+    
+    try {
+        const pdf = await renderPDF(htmlContent, { forms: true });
+        const form = (await PDFDocument.load(pdf)).getForm();
+        const names = form.getFields().map(field => field.getName()).sort();
+        if (names.join(',') !== 'comments,country,name,newsletter,plan') {
+            throw new Error(`unexpected fields: ${names.join(', ')}`);
+        }
+        
+        const name = form.getTextField('name');
+        if (name.getText() !== 'Jane Doe' || !name.isRequired()) {
+            throw new Error('text field value or required flag was not preserved');
+        }
+        if (!form.getCheckBox('newsletter').isChecked() ||
+            form.getRadioGroup('plan').getSelected() !== 'premium' ||
+            form.getDropdown('country').getSelected()[0] !== 'France' ||
+            !form.getTextField('comments').isMultiline()) {
+            throw new Error('checked state, selection or multiline flag was not preserved');
+        }
+        
+        console.log('✅ Form fields test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Form fields test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 23: Local fonts without network access
+ */
+async function testLocalFonts() {
+    console.log('🧪 Test 23: Local fonts');
+    
+    // Local server standing in for a remote font host; it must never be asked for the font or its stylesheet
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        response.writeHead(200, { 'Content-Type': 'font/woff2' });
+        response.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const fontURL = `http://127.0.0.1:${server.address().port}/brand.woff2`;
+    const stylesheetURL = `http://127.0.0.1:${server.address().port}/css2?family=Remote+Brand`;
+    
+    try {
+        // Registered fonts are embedded in the document, whatever the file contains
+        const fontData = Buffer.from('wOF2 test font data');
+        await fs.writeFile('test-font.woff2', fontData);
+        registerFont('Test Brand', { regular: 'test-font.woff2' });
+        
+        const styled = processHTMLContent('<h1 style="font-family: \'Test Brand\'">Brand</h1>', {});
+        if (!styled.includes(`url('data:font/woff2;base64,${fontData.toString('base64')}') format('woff2')`)) {
+            throw new Error('registered font was not embedded as a data URL');
+        }
+        if (processHTMLContent('<h1>Plain</h1>', {}).includes('Test Brand') ||
+            /fonts\.googleapis\.com/.test(processHTMLContent('<h1>Plain</h1>', { includeFonts: true }))) {
+            throw new Error('unused or remote fonts were referenced');
+        }
+        
+        await renderPDF(`
+            <link rel="stylesheet" href="${stylesheetURL}">
+            <style>
+                @font-face { font-family: 'Remote Brand'; src: url('${fontURL}') format('woff2'); }
+                h1 { font-family: 'Remote Brand', serif; }
+            </style>
+            <h1>Remote font</h1>
+        `);
+        if (requests.length > 0) {
+            throw new Error(`remote font or font stylesheet was requested: ${requests.join(', ')}`);
+        }
+        
+        console.log('✅ Local fonts test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Local fonts test failed:', error.message);
+        return false;
+    } finally {
+        unregisterFont('Test Brand');
+        server.close();
+    }
+}
+
+/**
+ * Test 24: HTTP rendering service
+ */
+async function testHTTPService() {
+    console.log('🧪 Test 24: HTTP rendering service');
+    
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    // Sends a request to the service and collects the whole response
+    const request = (method, path, body) => new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method,
+            path,
+            headers: body ? { 'Content-Type': 'application/json' } : {}
+        }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                type: response.headers['content-type'],
+                body: Buffer.concat(chunks)
+            }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+    
+    try {
+        const health = await request('GET', '/health');
+        if (health.status !== 200 || JSON.parse(health.body).status !== 'ok') {
+            throw new Error(`health check failed with HTTP ${health.status}`);
+        }
+        
+        const rendered = await request('POST', '/render', {
+            template: '<h1>Invoice {{number}}</h1>',
+            data: { number: 'INV-017' },
+            options: { pageSize: 'Letter' }
+        });
+        if (rendered.status !== 200 || rendered.type !== 'application/pdf' ||
+            rendered.body.slice(0, 5).toString() !== '%PDF-') {
+            throw new Error(`render failed with HTTP ${rendered.status}: ${rendered.body.toString().slice(0, 200)}`);
+        }
+        const page = (await PDFDocument.load(rendered.body)).getPage(0);
+        if (Math.round(page.getWidth()) !== 612) {
+            throw new Error('request options were not applied');
+        }
+        
+        // Invalid requests are answered with JSON errors
+        const invalid = await request('POST', '/render', { html: '<h1>x</h1>', options: { pageSize: 'B9' } });
+        const fileRead = await request('POST', '/render', { html: '<h1>x</h1>', options: { headerTemplate: 'secret.html' } });
+        if (invalid.status !== 400 || !JSON.parse(invalid.body).error.message ||
+            fileRead.status !== 400 || (await request('GET', '/unknown')).status !== 404) {
+            throw new Error('invalid requests were not rejected with JSON errors');
+        }
+        
+        console.log('✅ HTTP service test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ HTTP service test failed:', error.message);
+        return false;
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * Test 25: Background render jobs with a webhook
+ */
+async function testRenderJobs() {
+    console.log('🧪 Test 25: Background render jobs');
+    
+    // Local webhook receiver, resolved with the first notification
+    let notified;
+    const notification = new Promise(resolve => { notified = resolve; });
+    const receiver = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            response.end();
+            notified(JSON.parse(body));
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    
+    const server = createServer({ jobConcurrency: 1 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    // Sends a request to the service (or another one) and collects the whole response
+    const request = (method, path, body, target = server) => new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: target.address().port,
+            method,
+            path,
+            headers: body ? { 'Content-Type': 'application/json' } : {}
+        }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+    
+    try {
+        const submitted = await request('POST', '/jobs', {
+            html: '<h1>Annual Report</h1>',
+            webhook: `http://127.0.0.1:${receiver.address().port}/pdf-ready`
+        });
+        const job = JSON.parse(submitted.body);
+        if (submitted.status !== 202 || !['queued', 'rendering'].includes(job.state)) {
+            throw new Error(`job was not accepted: HTTP ${submitted.status}`);
+        }
+        
+        const webhook = await notification;
+        let status = JSON.parse((await request('GET', job.statusUrl)).body);
+        if (webhook.id !== job.id || webhook.state !== 'done' || status.state !== 'done') {
+            throw new Error(`unexpected job state: ${webhook.state} / ${status.state} ${status.error || ''}`);
+        }
+        // The delivery is recorded once the receiver's response has arrived
+        for (let attempt = 0; attempt < 50 && !status.webhookStatus; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            status = JSON.parse((await request('GET', job.statusUrl)).body);
+        }
+        if (webhook.webhookStatus !== null || status.webhookStatus !== 'HTTP 200') {
+            throw new Error(`unexpected webhook status: ${webhook.webhookStatus} / ${status.webhookStatus}`);
+        }
+        
+        const result = await request('GET', job.resultUrl);
+        if (result.status !== 200 || result.body.slice(0, 5).toString() !== '%PDF-') {
+            throw new Error(`result download failed with HTTP ${result.status}`);
+        }
+        if ((await request('GET', '/jobs/unknown-job')).status !== 404) {
+            throw new Error('unknown job did not return 404');
+        }
+        // A malformed percent-encoding in the job id must not stop the service
+        if ((await request('GET', '/jobs/%E0%A4%A')).status !== 400 ||
+            (await request('GET', '/health')).status !== 200) {
+            throw new Error('malformed job id did not return 400');
+        }
+        
+        // Finished jobs stay for their retention, even beyond the longest timer delay (about 24.8 days)
+        const retaining = new JobQueue(async () => Buffer.from('%PDF-'), { retention: 30 * 24 * 60 * 60 * 1000 });
+        const retained = retaining.submit({});
+        await new Promise(resolve => setTimeout(resolve, 200));
+        if (retaining.get(retained.id) !== retained || retained.state !== 'done') {
+            throw new Error('job with a 30-day retention was removed early');
+        }
+        retaining.close();
+        
+        // Beyond the finished job limits, the oldest finished jobs are removed first
+        const limited = new JobQueue(async () => Buffer.alloc(400), { maxFinished: 3, maxResultBytes: 1000 });
+        const finished = [];
+        for (let i = 0; i < 4; i++) {
+            finished.push(limited.submit({}));
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        if (finished.map(job => Boolean(limited.get(job.id))).join() !== 'false,false,true,true') {
+            throw new Error('finished jobs beyond the limits were kept');
+        }
+        limited.close();
+        
+        // Jobs beyond maxQueued are refused while the only slot is busy
+        const queue = new JobQueue(() => new Promise(() => {}), { concurrency: 1, maxQueued: 1 });
+        queue.submit({});
+        queue.submit({});
+        try {
+            queue.submit({});
+            throw new Error('job was queued beyond maxQueued');
+        } catch (error) {
+            if (!(error instanceof QueueFullError)) {
+                throw error;
+            }
+        } finally {
+            queue.close();
+        }
+        
+        // With network isolation, webhooks may only reach allowed hosts
+        const isolated = createServer({ defaults: { isolation: true } });
+        await new Promise(resolve => isolated.listen(0, '127.0.0.1', resolve));
+        try {
+            const refused = await request('POST', '/jobs', {
+                html: '<h1>Internal</h1>',
+                webhook: 'http://169.254.169.254/latest/meta-data'
+            }, isolated);
+            if (refused.status !== 400) {
+                throw new Error(`webhook to a blocked host was accepted: HTTP ${refused.status}`);
+            }
+        } finally {
+            await new Promise(resolve => isolated.close(resolve));
+        }
+        
+        console.log('✅ Render jobs test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Render jobs test failed:', error.message);
+        return false;
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        receiver.close();
+    }
+}
+
+/**
+ * Test 26: Content-hash render cache
+ */
+async function testRenderCache() {
+    console.log('🧪 Test 26: Content-hash render cache');
+    
+    const htmlContent = '<h1>Price List</h1><p>Rendered once, then served from the cache.</p>';
+    
+    try {
+        // Memory cache: the second conversion returns the stored bytes
+        const cache = createRenderCache();
+        const first = await renderPDF(htmlContent, { cache });
+        const second = await renderPDF(htmlContent, { cache });
+        if (!first.equals(second)) {
+            throw new Error('second conversion did not return the cached PDF');
+        }
+        
+        // Different options produce a different PDF and a new entry
+        const landscape = await renderPDF(htmlContent, { cache, orientation: 'landscape' });
+        if (landscape.equals(first) || cache.entries.size !== 2) {
+            throw new Error('options were not part of the cache key');
+        }
+        
+        // Filesystem cache: a new cache object on the same directory finds the PDF
+        await renderPDF(htmlContent, { cache: createRenderCache({ directory: 'test-cache' }) });
+        const fromDisk = await renderPDF(htmlContent, { cache: createRenderCache({ directory: 'test-cache' }) });
+        const files = await fs.readdir('test-cache');
+        if (fromDisk.slice(0, 5).toString() !== '%PDF-' || files.length !== 1) {
+            throw new Error(`expected one cached PDF file, found ${files.length}`);
+        }
+        
+        console.log('✅ Render cache test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Render cache test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 27: Network isolation for untrusted HTML
+ */
+async function testNetworkIsolation() {
+    console.log('🧪 Test 27: Network isolation for untrusted HTML');
+    
+    // Local server standing in for both an allowed asset host and an internal host
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push(request.url);
+        response.writeHead(200, { 'Content-Type': 'text/css' });
+        response.end('h1 { color: navy; }');
+    });
+    server.on('upgrade', (request, socket) => {
+        requests.push(request.url);
+        socket.destroy();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    
+    try {
+        const pdf = await renderPDF(`
+            <link rel="stylesheet" href="${origin}/public/style.css">
+            <link rel="stylesheet" href="${origin}/internal/admin.css">
+            <script>fetch('${origin}/internal/from-script');</script>
+            <h1>Customer Document</h1>
+        `, { isolation: { allow: [`${origin}/public/`], javascript: false } });
+        
+        if (requests.join() !== '/public/style.css') {
+            throw new Error(`unexpected requests reached the server: ${requests.join(', ')}`);
+        }
+        const blocked = pdf.blockedRequests.map(request => request.url);
+        if (blocked.join() !== `${origin}/internal/admin.css`) {
+            throw new Error(`unexpected blocked requests: ${blocked.join(', ')}`);
+        }
+        
+        // WebSockets never pass request interception, but are blocked with JavaScript on too
+        await renderPDF(`
+            <script>new WebSocket('${origin.replace('http:', 'ws:')}/internal/socket');</script>
+            <h1>Customer Document</h1>
+        `, { isolation: true });
+        if (requests.join() !== '/public/style.css') {
+            throw new Error(`WebSocket reached the server: ${requests.join(', ')}`);
+        }
+        
+        let rejected = false;
+        try {
+            await renderPDF('<h1>Invalid</h1>', { isolation: { allow: ['file:///etc/'] } });
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('file:// allowlist entry was accepted');
+        }
+        
+        console.log('✅ Network isolation test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Network isolation test failed:', error.message);
+        return false;
+    } finally {
+        server.close();
+    }
+}
+
+/**
+ * Test 28: Render timeouts and resource limits
+ */
+async function testRenderLimits() {
+    console.log('🧪 Test 28: Render timeouts and resource limits');
+    
+    // Local server that never answers /poll, like a long-polling endpoint, and answers /slow after 600 ms
+    const server = http.createServer((request, response) => {
+        if (request.url === '/slow') {
+            setTimeout(() => response.end('h1 { color: navy; }'), 600);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const hanging = `<link rel="stylesheet" href="http://127.0.0.1:${server.address().port}/poll"><h1>Waiting</h1>`;
+    const slow = `<link rel="stylesheet" href="http://127.0.0.1:${server.address().port}/slow"><h1>Slow</h1>`;
+    
+    const renderer = createRenderer();
+    
+    // Resolves to the code of the limit that stopped the conversion
+    const limitCode = (job) => job.then(() => null, error => error instanceof RenderLimitError ? error.code : error.message);
+    
+    try {
+        const codes = {
+            HTML_TOO_LARGE: await limitCode(renderer.render('<p>' + 'x'.repeat(1000) + '</p>', { maxHTMLBytes: 500 })),
+            TOO_MANY_PAGES: await limitCode(renderer.render(
+                '<p>1</p><p style="page-break-before: always">2</p><p style="page-break-before: always">3</p>',
+                { maxPages: 2 }
+            )),
+            PDF_TOO_LARGE: await limitCode(renderer.render('<h1>Small</h1>', { maxPDFBytes: 100 })),
+            NAVIGATION_TIMEOUT: await limitCode(renderer.render(hanging, { navigationTimeout: 1000 })),
+            RENDER_TIMEOUT: await limitCode(renderer.render(hanging, { navigationTimeout: 0, renderTimeout: 1000 }))
+        };
+        Object.entries(codes).forEach(([expected, code]) => {
+            if (code !== expected) {
+                throw new Error(`expected ${expected}, got ${code}`);
+            }
+        });
+        
+        // Each part fits in the renderTimeout, all three together do not
+        const totalCode = await limitCode(renderer.renderMany([{ html: slow }, { html: slow }, { html: slow }], { renderTimeout: 1000 }));
+        if (totalCode !== 'RENDER_TIMEOUT') {
+            throw new Error(`expected RENDER_TIMEOUT for the parts together, got ${totalCode}`);
+        }
+        
+        // The renderer recovers from the timed-out page
+        const pdf = await renderer.render('<h1>After the timeout</h1>');
+        if (pdf.slice(0, 5).toString() !== '%PDF-') {
+            throw new Error('renderer did not recover after a timeout');
+        }
+        
+        console.log('✅ Render limits test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Render limits test failed:', error.message);
+        return false;
+    } finally {
+        await renderer.close();
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+/**
+ * Test 29: Pluggable structured logging
+ */
+async function testLogging() {
+    console.log('🧪 Test 29: Pluggable structured logging');
+    
+    // pino-style logger that records (fields, message) calls
+    const events = [];
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        logger[level] = (fields, message) => events.push({ level, message, ...fields });
+    });
+    
+    const originalLog = console.log;
+    const printed = [];
+    
+    try {
+        // Library use is silent by default
+        console.log = (...args) => printed.push(args.join(' '));
+        try {
+            await renderPDF('<h1>Quiet</h1>');
+        } finally {
+            console.log = originalLog;
+        }
+        if (printed.length > 0) {
+            throw new Error(`default logging is not silent: "${printed[0]}"`);
+        }
+        
+        await renderPDF('<h1>Logged</h1>', { logger });
+        const phases = events.filter(event => event.event === 'phase').map(event => event.phase);
+        const missing = ['launch', 'process', 'setContent', 'pdf'].filter(phase => !phases.includes(phase));
+        if (missing.length > 0) {
+            throw new Error(`missing phase timings: ${missing.join(', ')}`);
+        }
+        if (events.some(event => typeof event.message !== 'string' || /^\p{Extended_Pictographic}/u.test(event.message))) {
+            throw new Error('structured messages should not start with an emoji');
+        }
+        if (events.some(event => event.level === 'debug')) {
+            throw new Error('debug messages logged at the default info level');
+        }
+        
+        // logLevel filters messages; fixCenteringIssues only logs at debug level
+        events.length = 0;
+        await renderPDF('<div><div style="margin: 0 auto">Centered</div></div>', { logger, logLevel: 'debug', styleMode: 'inject' });
+        if (!events.some(event => event.level === 'debug')) {
+            throw new Error('debug messages missing at logLevel debug');
+        }
+        events.length = 0;
+        await renderPDF('<h1>Warnings only</h1>', { logger, logLevel: 'warn' });
+        if (events.length > 0) {
+            throw new Error(`info messages logged at logLevel warn: "${events[0].message}"`);
+        }
+        
+        // The console logger prints one JSON object per line
+        console.log = (...args) => printed.push(args.join(' '));
+        try {
+            processHTMLContent('<p>JSON</p>', { logger: createConsoleLogger({ format: 'json' }) });
+        } finally {
+            console.log = originalLog;
+        }
+        const timing = printed.map(line => JSON.parse(line)).find(entry => entry.event === 'phase');
+        if (!timing || timing.phase !== 'process' || typeof timing.durationMs !== 'number') {
+            throw new Error('JSON console logger did not print the process timing');
+        }
+        
+        console.log('✅ Logging test passed');
+        return true;
+    } catch (error) {
+        console.log = originalLog;
+        console.error('❌ Logging test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Test 30: Typed errors and command-line exit codes
+ */
+async function testTypedErrors() {
+    console.log('🧪 Test 30: Typed errors and command-line exit codes');
+    
+    // Resolves to the error a conversion fails with
+    const failure = (job) => job.then(() => new Error('conversion did not fail'), error => error);
+    const expectError = (error, ErrorClass, code) => {
+        if (!(error instanceof ErrorClass) || !(error instanceof ConversionError) || error.code !== code) {
+            throw new Error(`expected ${ErrorClass.name} ${code}, got ${error.name} ${error.code}: ${error.message}`);
+        }
+    };
+    
+    const renderer = createRenderer({ launchOptions: { executablePath: '/nonexistent/chrome' } });
+    
+    try {
+        expectError(await failure(convertHTMLToPDF('', 'test-errors.pdf')), InvalidInputError, 'INVALID_INPUT');
+        expectError(await failure(convertURLToPDF('file:///etc/passwd', 'test-errors.pdf')), InvalidInputError, 'INVALID_INPUT');
+        const missing = await failure(convertManyToPDF([{ path: 'missing-input.html' }], 'test-errors.pdf'));
+        expectError(missing, InvalidInputError, 'INVALID_INPUT');
+        if (missing.path !== 'missing-input.html' || !missing.cause) {
+            throw new Error('unreadable input file is not reported with its path and cause');
+        }
+        
+        // Checked before a browser is launched
+        const blocked = await failure(convertURLToPDF('https://example.com/', 'test-errors.pdf', { isolation: { allow: ['cdn.example.com'] } }));
+        expectError(blocked, ResourceBlockedError, 'RESOURCE_BLOCKED');
+        if (blocked.url !== 'https://example.com/') {
+            throw new Error('blocked URL missing from ResourceBlockedError');
+        }
+        
+        expectError(await failure(renderer.render('<h1>No browser</h1>')), BrowserLaunchError, 'BROWSER_LAUNCH_FAILED');
+        expectError(await failure(convertHTMLToPDF('<h1>Nowhere</h1>', 'missing-directory/test-errors.pdf')),
+            OutputWriteError, 'OUTPUT_WRITE_FAILED');
+        
+        // Timeouts are render limits with a class of their own
+        const timeout = await failure(renderPDF('<h1>Too slow</h1>', { renderTimeout: 1 }));
+        expectError(timeout, RenderTimeoutError, 'RENDER_TIMEOUT');
+        if (!(timeout instanceof RenderLimitError)) {
+            throw new Error('RenderTimeoutError is not a RenderLimitError');
+        }
+        
+        // The command line exits with a distinct code and a targeted tip
+        const cli = await promisify(execFile)(process.execPath, ['pdf-converter.js', 'missing-input.html', 'test-errors.pdf'])
+            .then(() => ({ code: 0, stderr: '' }), error => error);
+        if (cli.code !== EXIT_CODES.INVALID_INPUT || !cli.stderr.includes('Tip: Check that the input file exists')) {
+            throw new Error(`missing input file exited with ${cli.code}: ${cli.stderr}`);
+        }
+        
+        console.log('✅ Typed errors test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ Typed errors test failed:', error.message);
+        return false;
+    } finally {
+        await renderer.close();
+    }
+}
+
+/**
+ * Test 31: Parser-based HTML processing and style modes
+ */
+async function testHTMLProcessing() {
+    console.log('🧪 Test 31: Parser-based HTML processing and style modes');
+    
+    const html = `
+        <h1>Style <em>modes</em></h1>
+        <style>.brand { color: #0055aa; }</style>
+        <div class="content"><div><div style="max-width: 500px; margin: 40px auto;">Centered</div></div></div>
+        <pre class="example"><code class="language-html">&lt;span class="demo"&gt;Preview&lt;/span&gt;</code></pre>
+        <pre><code class="language-js">if (a &lt; b &amp;&amp; c &gt; d) {}</code></pre>`;
+    const body = processed => processed.slice(processed.indexOf('<body>'));
+    
+    try {
+        // Fragments become complete documents, whatever their classes and styles
+        const merged = processHTMLContent(html, { renderCodeBlocks: true });
+        if (!merged.startsWith('<!DOCTYPE html>') || !merged.includes('<title>Style modes</title>')) {
+            throw new Error('fragment not wrapped into a complete document');
+        }
+        // Default styles sit in a cascade layer before the document's own styles
+        if (!merged.includes('@layer') || merged.indexOf('@layer') > merged.indexOf('.brand')) {
+            throw new Error('merged default styles do not precede the document styles');
+        }
+        // Previews for <pre class><code class="language-html">, none for other languages
+        if ((merged.match(/Rendered HTML Preview/g) || []).length !== 1 || !merged.includes('<span class="demo">Preview</span>')) {
+            throw new Error('code block preview missing or added to JavaScript');
+        }
+        if (!merged.includes('<div class="content"><div><div style=')) {
+            throw new Error('merge mode changed the document structure');
+        }
+        
+        // inject removes the nested wrapper divs around centered content
+        const injected = processHTMLContent(html, { renderCodeBlocks: true, styleMode: 'inject' });
+        if (!/<body>\s*<h1>[\s\S]*<\/style>\s*<div style="max-width: 500px; margin: 40px auto;">/.test(injected)) {
+            throw new Error('nested centering wrappers were not removed');
+        }
+        if (!injected.includes('!important') || injected.includes('@layer')) {
+            throw new Error('default styles not injected with !important');
+        }
+        
+        // preserve only adds page geometry and fonts
+        const preserved = processHTMLContent(html, { renderCodeBlocks: true, styleMode: 'preserve' });
+        if (preserved.includes('Rendered HTML Preview') || preserved.includes('@layer') ||
+            preserved.includes('!important') || !body(preserved).includes('<div class="content"><div><div style=')) {
+            throw new Error('preserve mode changed the document');
+        }
+        if (!preserved.includes('@page')) {
+            throw new Error('preserve mode lost the page geometry');
+        }
+        
+        try {
+            await renderPDF('<p>Invalid</p>', { styleMode: 'override' });
+            throw new Error('invalid styleMode accepted');
+        } catch (error) {
+            if (!/Invalid styleMode/.test(error.message)) {
+                throw error;
+            }
+        }
+        
+        // Without styleMode, unstyled documents keep the injected default styles, styled ones are merged
+        const unstyled = '<h1>Plain</h1><p>Text</p>';
+        const styled = '<h1>Styled</h1><div><div style="margin: 0 auto">Centered</div></div>';
+        if (processHTMLContent(unstyled, {}) !== processHTMLContent(unstyled, { styleMode: 'inject' }) ||
+            processHTMLContent(styled, {}) !== processHTMLContent(styled, { styleMode: 'merge' })) {
+            throw new Error('default style mode does not depend on the document styles');
+        }
+        
+        const pdf = await renderPDF(html, { styleMode: 'merge' });
+        if (pdf.subarray(0, 5).toString() !== '%PDF-') {
+            throw new Error('merged document did not render');
+        }
+        
+        console.log('✅ HTML processing test passed');
+        return true;
+    } catch (error) {
+        console.error('❌ HTML processing test failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Clean up test files
+ */
+async function cleanupTestFiles() {
+    console.log('🧹 Cleaning up test files...');
+    
+    const testFiles = [
+        'test-basic.pdf',
+        'test-code-blocks.pdf',
+        'test-landscape.pdf',
+        'test-letter.pdf',
+        'test-complex.pdf',
+        'test-error.pdf',
+        'test-pool-1.pdf',
+        'test-pool-2.pdf',
+        'test-pool-3.pdf',
+        'test-geometry.pdf',
+        'test-header.html',
+        'test-header{x}.html',
+        'test-header-footer.pdf',
+        'test-toc.pdf',
+        'test-template.hbs',
+        'test-url.pdf',
+        'test-book.pdf',
+        'test-font.woff2'
+    ];
+    
+    for (const file of testFiles) {
+        try {
+            await fs.unlink(file);
+            console.log(`🗑️ Deleted ${file}`);
+        } catch (error) {
+            // File doesn't exist, that's okay
+        }
+    }
+    
+    await fs.rm('test-cache', { recursive: true, force: true });
+}
+
 /**
  * Run all tests
  */
@@ -221,7 +1731,32 @@ async function runAllTests() {
         testLandscapeOrientation,
         testLetterSize,
         testComplexHTML,
-        testErrorHandling
+        testErrorHandling,
+        testRendererPool,
+        testBufferAndStreamOutput,
+        testPageGeometry,
+        testHeaderFooter,
+        testTableOfContents,
+        testOutline,
+        testMetadata,
+        testTemplateRendering,
+        testMarkdownInput,
+        testURLInput,
+        testWatermark,
+        testMultipleDocuments,
+        testEncryption,
+        testPDFA,
+        testSignature,
+        testFormFields,
+        testLocalFonts,
+        testHTTPService,
+        testRenderJobs,
+        testRenderCache,
+        testNetworkIsolation,
+        testRenderLimits,
+        testLogging,
+        testTypedErrors,
+        testHTMLProcessing
     ];
     
     let passedTests = 0;
@@ -283,6 +1818,31 @@ module.exports = {
     testLetterSize,
     testComplexHTML,
     testErrorHandling,
+    testRendererPool,
+    testBufferAndStreamOutput,
+    testPageGeometry,
+    testHeaderFooter,
+    testTableOfContents,
+    testOutline,
+    testMetadata,
+    testTemplateRendering,
+    testMarkdownInput,
+    testURLInput,
+    testWatermark,
+    testMultipleDocuments,
+    testEncryption,
+    testPDFA,
+    testSignature,
+    testFormFields,
+    testLocalFonts,
+    testHTTPService,
+    testRenderJobs,
+    testRenderCache,
+    testNetworkIsolation,
+    testRenderLimits,
+    testLogging,
+    testTypedErrors,
+    testHTMLProcessing,
     runAllTests,
     cleanupTestFiles
 };
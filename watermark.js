@@ -0,0 +1,338 @@
+/**
+ * Watermarks and Stamps
+ *
+ * This module marks the pages of a rendered PDF with text or image watermarks,
+ * such as a diagonal "DRAFT" across the page or a "CONFIDENTIAL" stamp in a
+ * corner, without touching the document's HTML (so layout heuristics like
+ * fixCenteringIssues never see them).
+ *
+ * Like headers and footers (see header-footer.js), each watermark is rendered
+ * by Chrome as a separate transparent page and drawn onto the document pages
+ * with pdf-lib, so any CSS font, color and image format can be used.
+ *
+ * The `watermark` option is a text string, an options object, or an array of
+ * them for several marks. Options:
+ * - text: Watermark text (use either text or image)
+ * - image: Image file path, http(s):// URL or data: URI
+ * - width: Image width as a CSS length or percentage of the page (default: '50%')
+ * - fontFamily: CSS font stack (default: sans-serif)
+ * - fontSize: Size in points or a CSS length (default: 96)
+ * - fontWeight: CSS font weight (default: 'bold')
+ * - color: CSS color (default: '#808080')
+ * - opacity: 0 to 1 (default: 0.2)
+ * - rotation: Degrees, counter-clockwise (default: 45 when centered, 0 otherwise)
+ * - position: 'center' (default), 'top', 'bottom', 'top-left', 'top-right',
+ *   'bottom-left' or 'bottom-right'
+ * - layer: 'above' (default) or 'behind' the page content
+ * - pages: 'all' (default) or page numbers and ranges, e.g. '1', '2-5', '1,3,6-'
+ *
+ * Marks placed behind the content are hidden by opaque backgrounds in the
+ * document; use 'above' with a low opacity for those documents.
+ *
+ * @example
+ * await convertHTMLToPDF(html, 'draft.pdf', { watermark: 'DRAFT' });
+ *
+ * @example
+ * await convertHTMLToPDF(html, 'contract.pdf', {
+ *   watermark: [
+ *     { image: 'assets/logo.png', width: '40%', opacity: 0.08, layer: 'behind' },
+ *     { text: 'CONFIDENTIAL', position: 'top-right', fontSize: 14, color: '#c62828', opacity: 1, pages: '1' }
+ *   ]
+ * });
+ */
+
+const fs = require('fs').promises; // Asynchronous file system operations
+const path = require('path'); // File extension lookup for images
+const {
+    PDFDocument,
+    pushGraphicsState,
+    popGraphicsState,
+    concatTransformationMatrix,
+    drawObject
+} = require('@cantoo/pdf-lib'); // PDF parsing and content stream operators
+const { injectFontFaces, blockRemoteFonts } = require('./font-registry.js'); // Local fonts for the overlay
+const { hasIsolation, applyIsolation } = require('./network-isolation.js'); // Same request rules as the document
+const { getLogger } = require('./logger.js'); // Progress logging
+const { escapeHTML, formatMillimeters } = require('./html-utils.js'); // Shared HTML helpers
+
+/**
+ * Flexbox alignment (justify-content, align-items) for each position
+ */
+const POSITIONS = {
+    'center': ['center', 'center'],
+    'top': ['center', 'flex-start'],
+    'bottom': ['center', 'flex-end'],
+    'top-left': ['flex-start', 'flex-start'],
+    'top-right': ['flex-end', 'flex-start'],
+    'bottom-left': ['flex-start', 'flex-end'],
+    'bottom-right': ['flex-end', 'flex-end']
+};
+
+/**
+ * Image MIME types by file extension, for embedding local images
+ */
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Checks whether a watermark is requested
+ *
+ * @param {Object} config - Conversion configuration
+ * @returns {boolean} - True when the watermark option is set
+ */
+function hasWatermark(config) {
+    return Array.isArray(config.watermark) ? config.watermark.length > 0 : Boolean(config.watermark);
+}
+
+/**
+ * Resolves the watermark option into a list of complete watermark options
+ *
+ * @param {string|Object|Array} watermark - The watermark option
+ * @returns {Array<Object>} - Watermarks with defaults applied
+ * @throws {Error} - If a watermark has no content or invalid settings
+ */
+function resolveWatermarks(watermark) {
+    const marks = Array.isArray(watermark) ? watermark : [watermark];
+
+    return marks.map(mark => {
+        const options = typeof mark === 'string' ? { text: mark } : { ...mark };
+        const position = options.position || 'center';
+
+        if (!options.text && !options.image) {
+            throw new Error('Each watermark needs text or an image');
+        }
+        if (!POSITIONS[position]) {
+            throw new Error(`Invalid watermark position: "${position}" (expected ${Object.keys(POSITIONS).join(', ')})`);
+        }
+        if (options.layer !== undefined && !['above', 'behind'].includes(options.layer)) {
+            throw new Error(`Invalid watermark layer: "${options.layer}" (expected above or behind)`);
+        }
+
+        const opacity = options.opacity !== undefined ? Number(options.opacity) : 0.2;
+        if (!(opacity >= 0 && opacity <= 1)) {
+            throw new Error(`Invalid watermark opacity: "${options.opacity}" (expected 0 to 1)`);
+        }
+
+        return {
+            text: options.text ? String(options.text) : '',
+            image: options.image || '',
+            width: options.width || '50%',
+            fontFamily: options.fontFamily || "'Liberation Sans', Arial, Helvetica, sans-serif",
+            fontSize: typeof options.fontSize === 'number' || options.fontSize === undefined
+                ? `${options.fontSize || 96}pt`
+                : options.fontSize,
+            fontWeight: options.fontWeight || 'bold',
+            color: options.color || '#808080',
+            opacity,
+            rotation: options.rotation !== undefined ? Number(options.rotation) : (position === 'center' ? 45 : 0),
+            position,
+            layer: options.layer || 'above',
+            pages: options.pages === undefined ? 'all' : String(options.pages)
+        };
+    });
+}
+
+/**
+ * Parses a page selection into zero-based page indexes
+ *
+ * @param {string} pages - 'all', or comma-separated page numbers and ranges
+ *   ('3', '2-5', '6-' for page 6 to the end, '-2' for pages 1 and 2)
+ * @param {number} totalPages - Number of pages in the document
+ * @returns {Set<number>} - Selected page indexes within the document
+ * @throws {Error} - If the selection is malformed
+ *
+ * @example
+ * parsePageRange('1,3-4', 10); // Set { 0, 2, 3 }
+ */
+function parsePageRange(pages, totalPages) {
+    const selected = new Set();
+
+    if (pages.trim().toLowerCase() === 'all') {
+        for (let i = 0; i < totalPages; i++) {
+            selected.add(i);
+        }
+        return selected;
+    }
+
+    pages.split(',').forEach(part => {
+        const match = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/.exec(part);
+        if (!match || (!match[1] && !match[3]) || (!match[2] && !match[1])) {
+            throw new Error(`Invalid page range: "${pages}"`);
+        }
+
+        const first = match[1] ? Number(match[1]) : 1;
+        const last = match[2] ? (match[3] ? Number(match[3]) : totalPages) : first;
+        if (first < 1 || last < first) {
+            throw new Error(`Invalid page range: "${pages}"`);
+        }
+
+        for (let number = first; number <= Math.min(last, totalPages); number++) {
+            selected.add(number - 1);
+        }
+    });
+
+    return selected;
+}
+
+/**
+ * Returns an image source Chrome can load from an overlay set with setContent()
+ *
+ * Local files are inlined as data: URIs, since the overlay has no base URL.
+ *
+ * @param {string} image - File path, http(s):// URL or data: URI
+ * @returns {Promise<string>} - URL for the <img> element
+ * @throws {Error} - If a local image cannot be read or has an unknown type
+ */
+async function resolveImageSource(image) {
+    if (/^(https?:|data:)/i.test(image)) {
+        return image;
+    }
+
+    const type = IMAGE_TYPES[path.extname(image).toLowerCase()];
+    if (!type) {
+        throw new Error(`Unsupported watermark image type: "${image}" (expected ${Object.keys(IMAGE_TYPES).join(', ')})`);
+    }
+
+    const data = await fs.readFile(image);
+    return `data:${type};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Builds the overlay document holding one page per watermark
+ *
+ * @param {Array<Object>} marks - Resolved watermarks, with image sources resolved
+ * @param {Object} geometry - Resolved page geometry
+ * @returns {string} - Complete HTML document for the overlay
+ */
+function buildWatermarkHTML(marks, geometry) {
+    const pages = marks.map(mark => {
+        const [justify, align] = POSITIONS[mark.position];
+        // CSS rotates clockwise, watermark rotation is counter-clockwise like PDF angles
+        const style = `opacity: ${mark.opacity}; transform: rotate(${-mark.rotation}deg);`;
+
+        const content = mark.image
+            ? `<img class="watermark" src="${escapeHTML(mark.image)}" style="${style} width: ${escapeHTML(mark.width)};">`
+            : `<div class="watermark" style="${style} font-family: ${escapeHTML(mark.fontFamily)}; font-size: ${escapeHTML(mark.fontSize)}; font-weight: ${escapeHTML(mark.fontWeight)}; color: ${escapeHTML(mark.color)};">${escapeHTML(mark.text)}</div>`;
+
+        return `
+    <div class="watermark-page" style="justify-content: ${justify}; align-items: ${align};">${content}</div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        @page { size: ${formatMillimeters(geometry.width)} ${formatMillimeters(geometry.height)}; margin: 0; }
+
+        /* Transparent so only the watermark covers the content page */
+        html, body { margin: 0; padding: 0; background: transparent; }
+
+        .watermark-page {
+            display: flex;
+            box-sizing: border-box;
+            height: calc(${formatMillimeters(geometry.height)} - 1px);
+            padding: 12mm;
+            overflow: hidden;
+            break-after: page;
+        }
+        .watermark-page:last-child { break-after: auto; }
+        .watermark { white-space: pre; line-height: 1; }
+        img.watermark { height: auto; }
+
+        * {
+            -webkit-print-color-adjust: exact !important;
+            color-adjust: exact !important;
+        }
+    </style>
+</head>
+<body>${pages}
+</body>
+</html>`;
+}
+
+/**
+ * Draws watermarks onto the selected pages of a rendered PDF
+ *
+ * Process Flow:
+ * 1. Resolve the watermark options and inline local images
+ * 2. Render one transparent overlay page per watermark with the same browser page
+ * 3. Draw each overlay page above or behind the content of its selected pages
+ *
+ * @param {Object} page - Puppeteer page (its content is replaced by the overlay)
+ * @param {Buffer} pdf - Rendered PDF
+ * @param {Object} config - Conversion configuration with the watermark option and geometry
+ * @returns {Promise<Buffer>} - PDF with watermarks
+ * @throws {Error} - If the watermark options are invalid or an image cannot be loaded
+ */
+async function applyWatermark(page, pdf, config) {
+    const marks = resolveWatermarks(config.watermark);
+    for (const mark of marks) {
+        if (mark.image) {
+            mark.image = await resolveImageSource(mark.image);
+        }
+    }
+
+    const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+    const totalPages = pdfDoc.getPageCount();
+    const selections = marks.map(mark => parsePageRange(mark.pages, totalPages));
+
+    getLogger(config).info(`💧 Adding ${marks.length === 1 ? 'watermark' : `${marks.length} watermarks`}...`);
+    if (hasIsolation(config)) {
+        // Image URLs load under the same rules as the document
+        await applyIsolation(page, config);
+    }
+    await blockRemoteFonts(page, config);
+    await page.setContent(injectFontFaces(buildWatermarkHTML(marks, config.geometry)), { waitUntil: 'networkidle0' });
+    const overlayPdf = await page.pdf({
+        width: formatMillimeters(config.geometry.width),
+        height: formatMillimeters(config.geometry.height),
+        margin: { top: '0mm', right: '0mm', bottom: '0mm', left: '0mm' },
+        printBackground: true,
+        preferCSSPageSize: false
+    });
+
+    const overlay = await PDFDocument.load(overlayPdf, { updateMetadata: false });
+    if (overlay.getPageCount() < marks.length) {
+        throw new Error('Watermark overlay did not produce one page per watermark');
+    }
+    const overlayPages = await pdfDoc.embedPdf(overlay, marks.map((mark, i) => i));
+
+    marks.forEach((mark, i) => {
+        selections[i].forEach(index => {
+            const target = pdfDoc.getPage(index);
+            const xObject = target.node.newXObject('Watermark', overlayPages[i].ref);
+
+            // A separate content stream, anchored to the top-left corner of the page, that
+            // can go before the page content (behind) or after it (above)
+            const stream = pdfDoc.context.register(pdfDoc.context.contentStream([
+                pushGraphicsState(),
+                concatTransformationMatrix(1, 0, 0, 1, 0, target.getHeight() - overlayPages[i].height),
+                drawObject(xObject),
+                popGraphicsState()
+            ]));
+
+            target.node.normalize(); // Contents become an array with the original content isolated
+            const contents = target.node.Contents();
+            if (mark.layer === 'behind') {
+                contents.insert(0, stream);
+            } else {
+                contents.push(stream);
+            }
+        });
+    });
+
+    return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+    hasWatermark,   // Watermark detection
+    applyWatermark, // Watermark drawing after rendering
+    parsePageRange  // Page selection parsing
+};